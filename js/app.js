@@ -18,10 +18,15 @@ const etatApp = {
         type_doc: null,
         tags: [],
         favoris: false,
-        tri: 'date_creation',
+        partages: false,         // seulement les docs partagés avec moi
+        corbeille: false,        // vue "Corbeille" à la place des documents
+        dossier_id: null,        // dossier sélectionné dans l'arbre (voir dossiers.js)
+        sous_dossiers: true,     // ... en incluant ses sous-dossiers
+        tri: 'pertinence',       // en navigation normale, getDocuments trie par date
         page: 0
     },
     totalDocuments: 0,
+    documentsAffiches: [],   // documents de la page affichée (patchés par le temps réel)
     rechercheCourante: ''    // terme de recherche actif
 };
 
@@ -37,18 +42,52 @@ async function initialiserApp() {
 
         etatApp.utilisateur = user;
 
+        // Refresh refusé, déconnexion dans un autre onglet, fin de session (voir auth.js)
+        surveillerSession();
+
+        // Miroir local + file d'attente du mode hors ligne (voir hors-ligne.js)
+        await preparerHorsLigne(user);
+
+        // Supprimer pour de bon ce qui traîne dans la corbeille depuis trop longtemps
+        // (avant les stats pour qu'elles soient justes)
+        await purgerCorbeille();
+
         // Afficher l'email dans le header
         const emailEl = document.getElementById('user-email');
         if (emailEl) emailEl.textContent = user.email;
 
+        // Vue décrite dans l'URL : recherche, filtres, tri, page (voir navigation.js)
+        lireEtatDepuisUrl();
+
+        // Le filtre par dossier a besoin de l'arbre en mémoire (idsDossiersFiltres)
+        const dossierDansUrl = !!etatApp.filtres.dossier_id;
+        if (dossierDansUrl) await chargerDossiers();
+
         // Charger les documents et les tags en parallèle
         // Promise.all est plus rapide que 2 await séquentiels
         await Promise.all([
             chargerDocuments(),
             chargerTags(),
+            dossierDansUrl ? null : chargerDossiers(),
             chargerStats()
         ]);
 
+        // Les compteurs ont besoin de l'arbre des dossiers : après le reste,
+        // et sans attendre (une requête par recherche enregistrée)
+        chargerRecherchesSauvegardees();
+
+        // Liens morts : une vérification par jour au plus, en arrière-plan (voir liens.js)
+        verifierLiensAnciens();
+
+        // Lien direct vers un document (index.html?doc=...)
+        synchroniserDetailAvecUrl();
+
+        // Formulaire en cours quand la session a expiré
+        await restaurerBrouillon();
+
+        // Changements faits dans d'autres onglets / sur d'autres appareils
+        abonnerTempsReel(user.id);
+
     } catch (err) {
         console.error('Erreur initialisation :', err);
         afficherErreur('Impossible de charger l\'application. Réessaie.');
@@ -60,11 +99,15 @@ async function initialiserApp() {
  */
 async function chargerDocuments() {
     afficherChargement();
+    // Filtres, recherche et page dans l'URL (voir navigation.js)
+    enregistrerEtatDansUrl();
+    // Surligner la recherche enregistrée qui correspond (voir recherches.js)
+    afficherRecherchesSauvegardees();
 
     try {
         let resultats;
 
-        if (etatApp.rechercheCourante) {
+        if (etatApp.rechercheCourante && !etatApp.filtres.corbeille) {
             // Mode recherche
             resultats = await rechercherDocuments(etatApp.rechercheCourante, etatApp.filtres);
         } else {
@@ -72,15 +115,52 @@ async function chargerDocuments() {
             resultats = await getDocuments(etatApp.filtres);
         }
 
+        // Page qui n'existe plus (URL ancienne, documents supprimés) : aller à la dernière
+        if (resultats.documents.length === 0 && resultats.total > 0 && etatApp.filtres.page > 0) {
+            etatApp.filtres.page = Math.ceil(resultats.total / DOCS_PAR_PAGE) - 1;
+            enregistrerEtatDansUrl(true);
+            return await chargerDocuments();
+        }
+
         etatApp.totalDocuments = resultats.total;
-        afficherDocuments(resultats.documents, resultats.total);
+        afficherErreurRecherche(null);
+        afficherDocuments(resultats.documents, resultats.total, etatApp.rechercheCourante);
+
+        // Aucun résultat : fautes de frappe ? (pas hors ligne, la recherche locale est déjà approchée)
+        if (resultats.total === 0 && etatApp.rechercheCourante && !etatApp.filtres.corbeille && !estHorsLigne()) {
+            proposerCorrections(etatApp.rechercheCourante);
+        }
 
     } catch (err) {
+        // Requête mal formée : message précis sous la barre de recherche
+        if (err.name === 'ErreurRequete') {
+            afficherErreurRecherche(err.message);
+            document.getElementById('results-info').textContent = 'Recherche invalide';
+            afficherErreur('Corrige la recherche pour voir les résultats.');
+            return;
+        }
         console.error('Erreur chargement documents :', err);
         afficherErreur('Impossible de charger tes documents.');
     }
 }
 
+/**
+ * Afficher (ou cacher si null) l'erreur de syntaxe sous la barre de recherche
+ * @param {string|null} message
+ */
+function afficherErreurRecherche(message) {
+    const erreurEl = document.getElementById('erreur-recherche');
+    erreurEl.textContent = message || '';
+    erreurEl.style.display = message ? 'block' : 'none';
+    document.getElementById('input-recherche').classList.toggle('invalide', !!message);
+    if (message) document.getElementById('aide-recherche').style.display = 'none';
+}
+
+function basculerAideRecherche() {
+    const aide = document.getElementById('aide-recherche');
+    aide.style.display = aide.style.display === 'none' ? 'block' : 'none';
+}
+
 /**
  * Afficher l'état de chargement dans la grille
  */
@@ -113,53 +193,133 @@ function afficherErreur(message) {
  * Afficher les documents dans la grille
  * @param {array} documents - Liste des documents
  * @param {number} total - Nombre total (pour la pagination)
- * @param {string} termRecherche - Pour surligner les résultats (TODO)
+ * @param {string} termRecherche - Recherche active (affiche les extraits surlignés)
  */
 function afficherDocuments(documents, total, termRecherche = '') {
     const grid = document.getElementById('documents-grid');
-    const infoEl = document.getElementById('results-info');
+    etatApp.documentsAffiches = documents;
 
-    // Info sur les résultats
-    if (termRecherche) {
-        infoEl.textContent = `${total} résultat(s) pour "${termRecherche}"`;
-    } else {
-        infoEl.textContent = `${total} document(s)`;
-    }
+    const corbeille = etatApp.filtres.corbeille;
+    document.getElementById('btn-vider-corbeille').style.display =
+        corbeille && documents.length > 0 ? '' : 'none';
+
+    // La recherche ne porte pas sur la corbeille (voir chargerDocuments)
+    if (corbeille) termRecherche = '';
+
+    afficherInfoResultats(total, termRecherche);
 
     // État vide
     if (documents.length === 0) {
-        grid.innerHTML = `
+        grid.innerHTML = corbeille
+            ? `
+            <div class="empty-state">
+                <span class="empty-state-icon">🗑️</span>
+                <p>La corbeille est vide</p>
+            </div>
+        `
+            : `
             <div class="empty-state">
                 <span class="empty-state-icon">📭</span>
                 <p>${termRecherche ? 'Aucun résultat trouvé' : 'Aucun document pour l\'instant'}</p>
                 ${!termRecherche ? '<p><small>Clique sur "Nouveau document" pour commencer !</small></p>' : ''}
+                <div id="corrections-recherche"></div>
             </div>
         `;
         document.getElementById('pagination-container').style.display = 'none';
+        synchroniserSelection();
         return;
     }
 
     // Générer les cards
-    grid.innerHTML = documents.map(doc => creerCardHTML(doc)).join('');
+    grid.innerHTML = documents.map(doc => creerCardHTML(doc, termRecherche)).join('');
+    // Remettre les coches du mode sélection (voir selection.js)
+    synchroniserSelection();
 
     // Mettre à jour la pagination
     mettreAJourPagination(total);
 }
 
+let correctionsProposees = [];   // requêtes du "Vouliez-vous dire", dans l'ordre affiché
+
+/**
+ * Sous "Aucun résultat trouvé" : requêtes corrigées + documents proches
+ * Les cards des documents proches vont dans la grille, après l'état vide.
+ * @param {string} saisie - Recherche qui n'a rien donné
+ */
+async function proposerCorrections(saisie) {
+    let corrections, proches;
+    try {
+        [corrections, proches] = await Promise.all([getRequetesCorrigees(saisie), getDocumentsProches(saisie)]);
+    } catch (err) {
+        return;  // pas grave, on reste sur "Aucun résultat trouvé"
+    }
+
+    // Une autre recherche a pu être lancée pendant ce temps
+    const container = document.getElementById('corrections-recherche');
+    if (!container || etatApp.rechercheCourante !== saisie) return;
+
+    correctionsProposees = corrections;
+    container.innerHTML = `
+        ${corrections.length > 0 ? `
+            <p class="corrections-titre">Vouliez-vous dire
+                ${corrections.map((correction, i) =>
+                    `<button class="correction-lien" onclick="appliquerCorrection(${i})">${echapper(correction)}</button>`
+                ).join(' · ')} ?
+            </p>` : ''}
+        ${proches.length > 0 ? '<p class="corrections-proches"><small>Documents qui s\'en approchent :</small></p>' : ''}
+    `;
+    document.getElementById('documents-grid')
+        .insertAdjacentHTML('beforeend', proches.map(doc => creerCardHTML(doc)).join(''));
+}
+
+/**
+ * Relancer la recherche avec une correction proposée
+ * @param {number} index - Dans correctionsProposees
+ */
+function appliquerCorrection(index) {
+    const correction = correctionsProposees[index];
+    if (!correction) return;
+
+    clearTimeout(debounceTimer);
+    document.getElementById('input-recherche').value = correction;
+    etatApp.rechercheCourante = correction;
+    etatApp.filtres.page = 0;
+    chargerDocuments();
+}
+
+/**
+ * Texte au-dessus de la grille (nombre de résultats)
+ * @param {number} total
+ * @param {string} termRecherche - Déjà vidé dans la corbeille
+ */
+function afficherInfoResultats(total, termRecherche) {
+    const infoEl = document.getElementById('results-info');
+    if (etatApp.filtres.corbeille) {
+        infoEl.textContent = `${total} document(s) dans la corbeille — supprimés pour de bon après ${RETENTION_CORBEILLE_JOURS} jours`;
+    } else if (termRecherche) {
+        infoEl.textContent = `${total} résultat(s) pour "${termRecherche}"`;
+    } else {
+        infoEl.textContent = `${total} document(s)`;
+    }
+}
+
+// Icône selon le type (cards, rapport des doublons)
+const ICONES_TYPES = {
+    pdf: '📄',
+    note: '📝',
+    lien: '🔗',
+    image: '🖼️'
+};
+
 /**
  * Générer le HTML d'une card de document
  * @param {object} doc - Données du document
+ * @param {string} [termRecherche] - Si une recherche est active, on montre l'extrait
  * @returns {string} HTML de la card
  */
-function creerCardHTML(doc) {
-    // Icône selon le type
-    const icones = {
-        pdf: '📄',
-        note: '📝',
-        lien: '🔗',
-        image: '🖼️'
-    };
-    const icone = icones[doc.type_doc] || '📋';
+function creerCardHTML(doc, termRecherche = '') {
+    const icone = ICONES_TYPES[doc.type_doc] || '📋';
+    const etatLien = doc.type_doc === 'lien' ? doc.etat_lien : null;
 
     // Tags HTML (max 3 affichés sur la card)
     const tagsHTML = doc.tags && doc.tags.length > 0
@@ -174,12 +334,58 @@ function creerCardHTML(doc) {
     // Taille si disponible
     const taille = doc.taille_kb ? `${doc.taille_kb} Ko` : '';
 
+    // Badge de partage : "partagé avec N personnes" pour le propriétaire,
+    // "partagé par X" pour les autres
+    const acces = doc.acces || { permission: 'proprietaire', nb_partages: 0 };
+    let badgePartage = '';
+    if (acces.permission === 'proprietaire' && acces.nb_partages > 0) {
+        badgePartage = `<span class="card-badge">👥 Partagé (${acces.nb_partages})</span>`;
+    } else if (acces.permission !== 'proprietaire') {
+        badgePartage = `
+            <span class="card-badge card-badge-partage" title="Partagé par ${echapper(acces.proprietaire_email)}">
+                👤 ${echapper(acces.proprietaire_email)} · ${LIBELLES_PERMISSION[acces.permission]}
+            </span>`;
+    }
+
+    // Dans la corbeille : seulement restaurer / supprimer pour de bon
+    if (doc.date_suppression) {
+        return creerCardCorbeilleHTML(doc, icone, tagsHTML);
+    }
+
     return `
-        <div class="doc-card" onclick="ouvrirDetail('${doc.id}')">
+        <div class="doc-card ${selection.has(doc.id) ? 'selectionne' : ''}" data-id="${doc.id}"
+            onclick="clicCard(event, '${doc.id}')"
+            draggable="${estProprietaire(doc)}" ondragstart="commencerGlisserDocument(event, '${doc.id}')">
             <div class="card-header">
-                <span class="card-type-icon">${icone}</span>
+                <!-- Case du mode sélection (le clic est géré par la card) -->
+                <span class="card-checkbox"></span>
+                <!-- Lien : favicon du site, l'icône du type si l'image ne charge pas -->
+                <span class="card-type-icon">${etatLien && urlSure(etatLien.favicon)
+                    ? `<img class="card-favicon" src="${echapper(etatLien.favicon)}" alt="" loading="lazy"
+                        onerror="this.replaceWith('${icone}')">`
+                    : icone}</span>
                 <div class="card-actions">
-                    <!-- Bouton favori -->
+                    ${doc.fichier_path ? `
+                    <!-- Boutons fichier (PDF / image stockés dans Storage)
+                         Chemin passé par data-chemin : écrit par le propriétaire, jamais dans le JS du onclick -->
+                    <button 
+                        class="card-action-btn"
+                        title="Ouvrir le fichier"
+                        data-chemin="${echapper(doc.fichier_path)}"
+                        onclick="event.stopPropagation(); ouvrirFichier(this.dataset.chemin, false)"
+                    >
+                        📂
+                    </button>
+                    <button 
+                        class="card-action-btn"
+                        title="Télécharger"
+                        data-chemin="${echapper(doc.fichier_path)}"
+                        onclick="event.stopPropagation(); ouvrirFichier(this.dataset.chemin, true)"
+                    >
+                        ⬇️
+                    </button>` : ''}
+                    ${estProprietaire(doc) ? `
+                    <!-- Bouton favori (est_favori est un champ du propriétaire) -->
                     <button 
                         class="card-action-btn card-favori-btn ${doc.est_favori ? 'est-favori' : ''}"
                         title="${doc.est_favori ? 'Retirer des favoris' : 'Ajouter aux favoris'}"
@@ -187,6 +393,15 @@ function creerCardHTML(doc) {
                     >
                         ${doc.est_favori ? '⭐' : '☆'}
                     </button>
+                    <!-- Bouton partager -->
+                    <button 
+                        class="card-action-btn"
+                        title="Partager"
+                        onclick="event.stopPropagation(); ouvrirModalPartage('${doc.id}')"
+                    >
+                        👥
+                    </button>` : ''}
+                    ${peutModifier(doc) ? `
                     <!-- Bouton modifier -->
                     <button 
                         class="card-action-btn"
@@ -194,7 +409,8 @@ function creerCardHTML(doc) {
                         onclick="event.stopPropagation(); ouvrirModalModif('${doc.id}')"
                     >
                         ✏️
-                    </button>
+                    </button>` : ''}
+                    ${estProprietaire(doc) ? `
                     <!-- Bouton supprimer -->
                     <button 
                         class="card-action-btn"
@@ -202,18 +418,30 @@ function creerCardHTML(doc) {
                         onclick="event.stopPropagation(); demanderSuppression('${doc.id}')"
                     >
                         🗑️
-                    </button>
+                    </button>` : ''}
                 </div>
             </div>
 
             <h3 class="card-titre">${echapper(doc.titre)}</h3>
             
-            ${doc.description
-            ? `<p class="card-description">${echapper(doc.description)}</p>`
-            : ''}
+            ${termRecherche && doc.extrait
+            ? `<p class="card-description card-extrait">${formaterExtrait(doc.extrait)}</p>`
+            : doc.description
+                ? `<p class="card-description">${echapper(doc.description)}</p>`
+                : ''}
 
             ${tagsHTML ? `<div class="card-tags">${tagsHTML}</div>` : ''}
 
+            ${badgePartage || doc.en_attente || (etatLien && etatLien.mort) ? `
+            <div class="card-badges">
+                ${etatLien && etatLien.mort ? `
+                <span class="card-badge card-badge-mort" title="${echapper(etatLien.erreur || `La page répond ${etatLien.statut}`)}">
+                    ⚠️ Lien mort
+                </span>` : ''}
+                ${badgePartage}
+                ${doc.en_attente ? '<span class="card-badge card-badge-attente" title="Modifié hors ligne">⏳ En attente d\'envoi</span>' : ''}
+            </div>` : ''}
+
             <div class="card-footer">
                 <span>${date}</span>
                 ${taille ? `<span>${taille}</span>` : ''}
@@ -222,9 +450,55 @@ function creerCardHTML(doc) {
     `;
 }
 
+/**
+ * Card d'un document dans la corbeille
+ * @param {object} doc
+ * @param {string} icone - Icône du type (déjà calculée par creerCardHTML)
+ * @param {string} tagsHTML
+ * @returns {string}
+ */
+function creerCardCorbeilleHTML(doc, icone, tagsHTML) {
+    const dateSuppression = new Date(doc.date_suppression);
+    const joursRestants = Math.max(0, RETENTION_CORBEILLE_JOURS
+        - Math.floor((Date.now() - dateSuppression.getTime()) / (24 * 60 * 60 * 1000)));
+
+    return `
+        <div class="doc-card doc-card-corbeille" data-id="${doc.id}">
+            <div class="card-header">
+                <span class="card-type-icon">${icone}</span>
+                <div class="card-actions">
+                    <button 
+                        class="card-action-btn"
+                        title="Restaurer"
+                        onclick="restaurerDepuisCorbeille('${doc.id}')"
+                    >
+                        ♻️
+                    </button>
+                    <button 
+                        class="card-action-btn"
+                        title="Supprimer définitivement"
+                        onclick="demanderSuppressionDefinitive('${doc.id}')"
+                    >
+                        ❌
+                    </button>
+                </div>
+            </div>
+
+            <h3 class="card-titre">${echapper(doc.titre)}</h3>
+
+            ${tagsHTML ? `<div class="card-tags">${tagsHTML}</div>` : ''}
+
+            <div class="card-footer">
+                <span>Supprimé le ${dateSuppression.toLocaleDateString('fr-FR', { day: '2-digit', month: 'short' })}</span>
+                <span>Purge dans ${joursRestants} j</span>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Échapper les caractères HTML pour éviter les injections XSS
- * Bon réflexe même si ici l'user ne peut voir que ses propres données
+ * Indispensable depuis les partages : on affiche aussi les données des autres
  * @param {string} str
  * @returns {string}
  */
@@ -237,6 +511,45 @@ function echapper(str) {
         .replace(/"/g, '&quot;');
 }
 
+/**
+ * Transformer l'extrait renvoyé par rechercher_documents() en HTML
+ * Le SQL entoure les termes trouvés de \u0002 ... \u0003 : on échappe
+ * d'abord TOUT le texte, puis on remplace ces marqueurs par <mark>.
+ * Comme ça le contenu du document ne peut jamais injecter de HTML.
+ * @param {string} extrait
+ * @returns {string}
+ */
+function formaterExtrait(extrait) {
+    return echapper(extrait)
+        .replace(/\u0002/g, '<mark>')
+        .replace(/\u0003/g, '</mark>');
+}
+
+// Scripts externes déjà chargés (url → Promise)
+const scriptsCharges = {};
+
+/**
+ * Charger un script externe à la demande (une seule fois)
+ * Pour les grosses libs (pdf.js...) qu'on n'utilise pas à chaque visite
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+function chargerScript(url) {
+    if (!scriptsCharges[url]) {
+        scriptsCharges[url] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                delete scriptsCharges[url];  // pour pouvoir réessayer
+                reject(new Error('Impossible de charger ' + url));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return scriptsCharges[url];
+}
+
 // ============================================
 // FILTRES
 // ============================================
@@ -290,9 +603,31 @@ function filtrerFavoris() {
     chargerDocuments();
 }
 
+/**
+ * Filtrer les documents partagés avec moi
+ */
+function filtrerPartages() {
+    const btn = document.getElementById('btn-partages');
+    etatApp.filtres.partages = !etatApp.filtres.partages;
+    btn.classList.toggle('active', etatApp.filtres.partages);
+    etatApp.filtres.page = 0;
+    chargerDocuments();
+}
+
+/**
+ * Afficher la corbeille (ou revenir aux documents)
+ */
+function afficherCorbeille() {
+    const btn = document.getElementById('btn-corbeille');
+    etatApp.filtres.corbeille = !etatApp.filtres.corbeille;
+    btn.classList.toggle('active', etatApp.filtres.corbeille);
+    etatApp.filtres.page = 0;
+    chargerDocuments();
+}
+
 /**
  * Changer le tri
- * @param {string} tri - 'date_creation', 'titre', etc.
+ * @param {string} tri - 'pertinence', 'date_creation', 'titre', etc.
  */
 function changerTri(tri) {
     etatApp.filtres.tri = tri;
@@ -333,45 +668,276 @@ function changerPage(direction) {
 // TAGS (sidebar)
 // ============================================
 
+let tagsSidebar = null;   // [{ tag, nb_documents }] affichés (null = pas encore chargés)
+
 async function chargerTags() {
     const container = document.getElementById('tags-container');
     try {
-        const tags = await getTousLesTags();
-
-        if (tags.length === 0) {
-            container.innerHTML = '<span class="tags-loading">Aucun tag</span>';
-            return;
-        }
-
-        container.innerHTML = tags.map(tag => `
-            <span 
-                class="tag-badge" 
-                onclick="filtrerParTag(this, '${echapper(tag)}')"
-            >
-                ${echapper(tag)}
-            </span>
-        `).join('');
-
+        afficherTags(await getTousLesTags());
     } catch (err) {
+        tagsSidebar = null;
         container.innerHTML = '<span class="tags-loading">Erreur</span>';
     }
 }
 
+/**
+ * @param {{tag: string, nb_documents: number}[]} tags - Triés par nom
+ */
+function afficherTags(tags) {
+    const container = document.getElementById('tags-container');
+    tagsSidebar = tags;
+
+    if (tags.length === 0) {
+        container.innerHTML = '<span class="tags-loading">Aucun tag</span>';
+        return;
+    }
+
+    // Le tag passe par data-tag : une apostrophe dans le nom casserait le onclick
+    container.innerHTML = tags.map(({ tag, nb_documents }) => `
+        <span 
+            class="tag-badge ${etatApp.filtres.tags.includes(tag) ? 'active' : ''}" 
+            data-tag="${echapper(tag)}"
+            onclick="filtrerParTag(this, this.dataset.tag)"
+        >
+            ${echapper(tag)} <span class="tag-compteur">${nb_documents}</span>
+        </span>
+    `).join('');
+}
+
 async function chargerStats() {
     try {
-        // Compter tous les docs et les favoris
-        const [{ count: total }, { count: favoris }] = await Promise.all([
-            supabase.from('documents').select('*', { count: 'exact', head: true }),
-            supabase.from('documents').select('*', { count: 'exact', head: true }).eq('est_favori', true)
+        if (estHorsLigne()) {
+            afficherStats(await getStatsHorsLigne());
+            return;
+        }
+
+        // Compter tous les docs et les favoris (hors corbeille), et la corbeille à part
+        const compter = () => supabaseClient.from('documents').select('*', { count: 'exact', head: true });
+        const [{ count: total }, { count: favoris }, { count: corbeille }] = await Promise.all([
+            compter().is('date_suppression', null),
+            compter().is('date_suppression', null).eq('est_favori', true),
+            compter().not('date_suppression', 'is', null).eq('user_id', etatApp.utilisateur.id)
         ]);
 
-        document.getElementById('stat-total').textContent = total || 0;
-        document.getElementById('stat-favoris').textContent = favoris || 0;
+        afficherStats({ total, favoris, corbeille });
     } catch (err) {
         console.warn('Erreur stats :', err);
     }
 }
 
+let statsAffichees = null;   // { total, favoris, corbeille } (null = pas encore chargées)
+
+function afficherStats({ total, favoris, corbeille }) {
+    statsAffichees = { total: total || 0, favoris: favoris || 0, corbeille: corbeille || 0 };
+    document.getElementById('stat-total').textContent = total || 0;
+    document.getElementById('stat-favoris').textContent = favoris || 0;
+    document.getElementById('stat-corbeille').textContent = corbeille ? `(${corbeille})` : '';
+}
+
+// ============================================
+// TEMPS RÉEL (Supabase Realtime)
+//
+// Chaque INSERT / UPDATE / DELETE sur mes documents
+// arrive ici (autre onglet, autre appareil, ou moi).
+// La grille, les tags et les stats sont patchés sur
+// place : pas de rechargement de la page courante.
+// L'ancienne version du document (pour savoir quels
+// compteurs bouger) vient du miroir hors ligne ou de
+// la page affichée : avec le RLS, Supabase n'envoie
+// que l'id dans payload.old.
+// ============================================
+
+let canalDocuments = null;
+let tempsReelCoupe = false;   // affiché dans la pastille du header (mettreAJourStatutConnexion)
+
+/**
+ * @param {string} userId
+ */
+function abonnerTempsReel(userId) {
+    canalDocuments = supabaseClient
+        .channel('documents-' + userId)
+        .on('postgres_changes',
+            { event: '*', schema: 'public', table: 'documents', filter: `user_id=eq.${userId}` },
+            recevoirChangement)
+        .subscribe((statut) => {
+            const etaitCoupe = tempsReelCoupe;
+            tempsReelCoupe = statut !== 'SUBSCRIBED';
+            mettreAJourStatutConnexion();
+
+            // Supabase ne renvoie pas ce qui a changé pendant la coupure :
+            // on recharge une fois (sauf hors ligne, retourEnLigne s'en charge)
+            if (etaitCoupe && !tempsReelCoupe && !estHorsLigne()) {
+                rechargerVues();
+            }
+        });
+}
+
+/**
+ * @param {object} payload - { eventType, new, old }
+ */
+async function recevoirChangement(payload) {
+    const supprime = payload.eventType === 'DELETE';
+    const id = supprime ? payload.old.id : payload.new.id;
+
+    const affiche = etatApp.documentsAffiches.find(doc => doc.id === id);
+    const ancien = (await lireStore('documents', id).catch(() => null)) || affiche || null;
+
+    // acces est une colonne calculée : absente du payload
+    const nouveau = supprime ? null : {
+        ...payload.new,
+        acces: (ancien && ancien.acces) || { permission: 'proprietaire', nb_partages: 0 }
+    };
+
+    if (supprime) {
+        retirerDuMiroir(id);
+    } else {
+        enregistrerDansMiroir([nouveau]);
+    }
+
+    patcherGrille(id, nouveau);
+
+    // Sans l'ancienne version on ne sait pas quoi décompter : on recharge
+    if (ancien || payload.eventType === 'INSERT') {
+        patcherCompteurs(ancien, nouveau);
+    } else {
+        chargerTags();
+        chargerStats();
+    }
+
+    if (docDetail && docDetail.id === id) rafraichirDetail();
+
+    // Un document a pu entrer dans une recherche enregistrée ou en sortir
+    programmerComptageRecherches();
+}
+
+/**
+ * Ajouter / remplacer / retirer la card d'un document dans la page affichée
+ * Les autres pages ne sont pas recalculées : seul le total bouge.
+ *
+ * @param {string} id
+ * @param {object|null} doc - null = supprimé pour de bon
+ */
+function patcherGrille(id, doc) {
+    const corbeille = etatApp.filtres.corbeille;
+    const terme = corbeille ? '' : etatApp.rechercheCourante;
+
+    let garder = false;
+    if (doc) {
+        try {
+            const parametres = parametresRecherche(terme, etatApp.filtres);
+            garder = !!parametres && filtreParametres(parametres, corbeille)(doc);
+        } catch (err) {
+            return;  // recherche invalide : la grille affiche déjà une erreur
+        }
+    }
+
+    const liste = etatApp.documentsAffiches;
+    const index = liste.findIndex(d => d.id === id);
+    const card = document.querySelector(`.doc-card[data-id="${id}"]`);
+
+    if (index !== -1 && garder) {
+        // On garde pertinence + extrait de la recherche
+        liste[index] = { ...liste[index], ...doc };
+        if (card) card.outerHTML = creerCardHTML(liste[index], terme);
+        return;
+    }
+
+    if (index !== -1) {
+        liste.splice(index, 1);
+        etatApp.totalDocuments--;
+        if (card) card.remove();
+    } else if (garder) {
+        etatApp.totalDocuments++;
+        const position = positionDansPage(doc, liste);
+        if (position === null) {
+            // Sur une autre page : seul le total change
+        } else {
+            liste.splice(position, 0, doc);
+            const suivante = liste[position + 1];
+            const html = creerCardHTML(doc, terme);
+            const grid = document.getElementById('documents-grid');
+            if (suivante && grid.querySelector(`.doc-card[data-id="${suivante.id}"]`)) {
+                grid.querySelector(`.doc-card[data-id="${suivante.id}"]`).insertAdjacentHTML('beforebegin', html);
+            } else if (liste.length > 1) {
+                grid.insertAdjacentHTML('beforeend', html);
+            }
+            // Page pleine : le dernier passe sur la page suivante
+            if (liste.length > DOCS_PAR_PAGE) {
+                const sortant = liste.pop();
+                const cardSortante = grid.querySelector(`.doc-card[data-id="${sortant.id}"]`);
+                if (cardSortante) cardSortante.remove();
+            }
+        }
+    } else {
+        return;  // ni affiché ni concerné par les filtres
+    }
+
+    // Page vide ↔ pas vide : l'état vide est géré par afficherDocuments
+    if (liste.length <= 1) {
+        afficherDocuments(liste, etatApp.totalDocuments, terme);
+        return;
+    }
+    afficherInfoResultats(etatApp.totalDocuments, terme);
+    mettreAJourPagination(etatApp.totalDocuments);
+    synchroniserSelection();
+}
+
+/**
+ * Où insérer un document dans la page affichée, selon le tri courant
+ * @param {object} doc
+ * @param {object[]} liste - Documents de la page, déjà triés
+ * @returns {number|null} null = il est sur une autre page
+ */
+function positionDansPage(doc, liste) {
+    const recherchePertinence = etatApp.rechercheCourante && etatApp.filtres.tri === 'pertinence';
+    const comparer = comparateurTri(etatApp.filtres.tri, etatApp.filtres.corbeille);
+    // Pas de score en local : un nouveau résultat de recherche va en fin de page
+    const position = recherchePertinence ? -1 : liste.findIndex(d => comparer(doc, d) < 0);
+
+    if (position === 0 && etatApp.filtres.page > 0) return null;   // page précédente
+    if (position === -1) return liste.length < DOCS_PAR_PAGE ? liste.length : null;
+    return position;
+}
+
+/**
+ * Décompter l'ancienne version et compter la nouvelle (tags + stats)
+ * Mêmes règles que compter_tags et chargerStats.
+ *
+ * @param {object|null} ancien
+ * @param {object|null} nouveau
+ */
+function patcherCompteurs(ancien, nouveau) {
+    const moi = etatApp.utilisateur.id;
+
+    if (statsAffichees) {
+        const compter = (doc) => ({
+            total: doc && !doc.date_suppression ? 1 : 0,
+            favoris: doc && !doc.date_suppression && doc.est_favori ? 1 : 0,
+            corbeille: doc && doc.date_suppression && doc.user_id === moi ? 1 : 0
+        });
+        const avant = compter(ancien);
+        const apres = compter(nouveau);
+        afficherStats({
+            total: statsAffichees.total - avant.total + apres.total,
+            favoris: statsAffichees.favoris - avant.favoris + apres.favoris,
+            corbeille: statsAffichees.corbeille - avant.corbeille + apres.corbeille
+        });
+    }
+
+    if (tagsSidebar) {
+        const tagsDe = (doc) => doc && doc.user_id === moi && !doc.date_suppression ? (doc.tags || []) : [];
+        const compteurs = {};
+        tagsSidebar.forEach(({ tag, nb_documents }) => { compteurs[tag] = nb_documents; });
+        tagsDe(ancien).forEach(tag => { compteurs[tag] = (compteurs[tag] || 0) - 1; });
+        tagsDe(nouveau).forEach(tag => { compteurs[tag] = (compteurs[tag] || 0) + 1; });
+
+        afficherTags(Object.keys(compteurs)
+            .filter(tag => compteurs[tag] > 0)
+            .sort()
+            .map(tag => ({ tag, nb_documents: compteurs[tag] })));
+    }
+}
+
 // ============================================
 // MODALS
 // ============================================
@@ -380,8 +946,17 @@ function ouvrirModalAjout() {
     // Réinitialiser le formulaire
     document.getElementById('form-document').reset();
     document.getElementById('doc-id').value = '';
+    reinitialiserUpload();
+    reinitialiserExtraction();
+    reinitialiserDoublons();
+    afficherFichierActuel(null);
+    verrouillerFormulaire(false, true);
+    adapterFormulaire('');
+    // Par défaut, ranger le nouveau document dans le dossier affiché
+    remplirSelectDossiers(etatApp.filtres.dossier_id);
     document.getElementById('modal-titre').textContent = 'Nouveau document';
     document.getElementById('btn-soumettre').textContent = 'Enregistrer';
+    document.getElementById('btn-historique').style.display = 'none';
     document.getElementById('modal-error').style.display = 'none';
     document.getElementById('modal-document').style.display = 'flex';
 }
@@ -398,9 +973,20 @@ async function ouvrirModalModif(docId) {
         document.getElementById('doc-taille').value = doc.taille_kb || '';
         document.getElementById('doc-tags').value = doc.tags ? doc.tags.join(', ') : '';
         document.getElementById('doc-favori').checked = doc.est_favori || false;
-
-        document.getElementById('modal-titre').textContent = 'Modifier le document';
+        remplirSelectDossiers(doc.dossier_id);
+
+        reinitialiserUpload();
+        reinitialiserExtraction();
+        reinitialiserDoublons();
+        afficherFichierActuel(doc.fichier_path);
+        adapterFormulaire(doc.type_doc);
+        verrouillerFormulaire(!peutModifier(doc), estProprietaire(doc));
+
+        document.getElementById('modal-titre').textContent = peutModifier(doc)
+            ? 'Modifier le document'
+            : 'Document partagé (lecture seule)';
         document.getElementById('btn-soumettre').textContent = 'Sauvegarder';
+        document.getElementById('btn-historique').style.display = '';
         document.getElementById('modal-error').style.display = 'none';
         document.getElementById('modal-document').style.display = 'flex';
 
@@ -409,7 +995,30 @@ async function ouvrirModalModif(docId) {
     }
 }
 
+/**
+ * Bloquer le formulaire selon la permission sur le document
+ * @param {boolean} lectureSeule - Partage en lecture : rien n'est modifiable
+ * @param {boolean} proprietaire - Seul le propriétaire peut remplacer le fichier
+ */
+function verrouillerFormulaire(lectureSeule, proprietaire) {
+    document.querySelectorAll('#form-document input, #form-document select, #form-document textarea')
+        .forEach(champ => { champ.disabled = lectureSeule; });
+    document.getElementById('btn-soumettre').style.display = lectureSeule ? 'none' : '';
+    document.getElementById('upload-zone').style.display = proprietaire ? '' : 'none';
+    // Les dossiers sont ceux du propriétaire (voir proteger_proprietaire)
+    document.getElementById('doc-dossier').disabled = lectureSeule || !proprietaire;
+    document.getElementById('btn-reextraire').disabled = lectureSeule;
+}
+
 function fermerModal() {
+    // Fichier envoyé mais document jamais enregistré → on le supprime
+    // pour ne pas laisser d'orphelin dans le bucket
+    if (uploadEnCours) uploadEnCours.annuler();
+    if (fichierEnvoye) supprimerFichier(fichierEnvoye.fichier_path);
+    reinitialiserUpload();
+    reinitialiserExtraction();
+    reinitialiserDoublons();
+
     document.getElementById('modal-document').style.display = 'none';
 }
 
@@ -420,6 +1029,85 @@ function fermerModalSiClic(event) {
     }
 }
 
+// ============================================
+// BROUILLON (session perdue en pleine saisie)
+// ============================================
+
+const CLE_BROUILLON = 'doc-manager-brouillon';
+const CHAMPS_BROUILLON = [
+    'doc-id', 'doc-titre', 'doc-type', 'doc-description', 'doc-contenu',
+    'doc-taille', 'doc-tags', 'doc-favori', 'doc-dossier'
+];
+
+/**
+ * Garder le formulaire du modal document dans le localStorage
+ * Appelée par auth.js juste avant de partir vers login.html.
+ */
+function sauvegarderBrouillon() {
+    const modalOuvert = document.getElementById('modal-document').style.display === 'flex';
+    const lectureSeule = document.getElementById('btn-soumettre').style.display === 'none';
+    if (!modalOuvert || lectureSeule || !etatApp.utilisateur) return;
+
+    const champs = {};
+    CHAMPS_BROUILLON.forEach(id => {
+        const champ = document.getElementById(id);
+        champs[id] = champ.type === 'checkbox' ? champ.checked : champ.value;
+    });
+
+    // Nouveau document encore vide : rien à garder
+    if (!champs['doc-id'] && !champs['doc-titre'] && !champs['doc-description']
+        && !champs['doc-contenu'] && !fichierEnvoye) return;
+
+    localStorage.setItem(CLE_BROUILLON, JSON.stringify({
+        user_id: etatApp.utilisateur.id,
+        date: new Date().toISOString(),
+        champs,
+        // Déjà dans Storage : le brouillon le garde pour ne pas le perdre
+        fichier: fichierEnvoye
+    }));
+}
+
+/**
+ * Rouvrir le modal tel qu'il était (une seule fois, puis le brouillon est oublié)
+ */
+async function restaurerBrouillon() {
+    const brouillon = JSON.parse(localStorage.getItem(CLE_BROUILLON) || 'null');
+    localStorage.removeItem(CLE_BROUILLON);
+    // Brouillon d'un autre compte (ordi partagé) : on ne le montre pas
+    if (!brouillon || brouillon.user_id !== etatApp.utilisateur.id) return;
+
+    const { champs } = brouillon;
+    if (champs['doc-id']) {
+        await ouvrirModalModif(champs['doc-id']);
+    } else {
+        ouvrirModalAjout();
+    }
+    // Document supprimé entre-temps, ou plus le droit de le modifier
+    if (document.getElementById('modal-document').style.display !== 'flex'
+        || document.getElementById('btn-soumettre').style.display === 'none') return;
+
+    CHAMPS_BROUILLON.forEach(id => {
+        const champ = document.getElementById(id);
+        if (champ.type === 'checkbox') champ.checked = champs[id];
+        else champ.value = champs[id];
+    });
+    adapterFormulaire(champs['doc-type']);
+
+    if (brouillon.fichier) {
+        fichierEnvoye = brouillon.fichier;
+        document.getElementById('upload-zone').innerHTML = `
+            <span class="upload-icon">✅</span>
+            <p>${echapper(nomDepuisChemin(fichierEnvoye.fichier_path))}</p>
+            <p class="upload-note">${fichierEnvoye.taille_kb} Ko — clique pour changer de fichier</p>
+        `;
+    }
+
+    const statut = document.getElementById('extraction-statut');
+    const heure = new Date(brouillon.date).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+    statut.textContent = `Brouillon restauré : ta saisie de ${heure}, avant la fin de ta session`;
+    statut.style.display = 'block';
+}
+
 /**
  * Soumettre le formulaire (ajouter ou modifier)
  */
@@ -429,13 +1117,23 @@ async function soumettreDocument(event) {
     const btnSoumettre = document.getElementById('btn-soumettre');
     const errorDiv = document.getElementById('modal-error');
 
+    // En dehors du try pour être accessible dans le catch
+    const docId = document.getElementById('doc-id').value;
+
+    if (uploadEnCours || extractionCourante) {
+        errorDiv.textContent = uploadEnCours
+            ? 'Attends la fin de l\'envoi du fichier'
+            : 'Attends la fin de l\'extraction du texte';
+        errorDiv.style.display = 'block';
+        return;
+    }
+
     btnSoumettre.disabled = true;
     btnSoumettre.textContent = 'Sauvegarde...';
     errorDiv.style.display = 'none';
 
     try {
         // Récupérer les données du formulaire
-        const docId = document.getElementById('doc-id').value;
         const data = {
             titre: document.getElementById('doc-titre').value,
             type_doc: document.getElementById('doc-type').value,
@@ -450,17 +1148,46 @@ async function soumettreDocument(event) {
             est_favori: document.getElementById('doc-favori').checked
         };
 
+        // Dossier : seulement si on a le droit d'y toucher (propriétaire)
+        const selectDossier = document.getElementById('doc-dossier');
+        if (!selectDossier.disabled) {
+            data.dossier_id = selectDossier.value || null;
+        }
+
+        // Fichier envoyé : chemin, type MIME et vraie taille
+        if (fichierEnvoye) {
+            Object.assign(data, fichierEnvoye);
+        }
+
+        let idEnregistre = docId;
         if (docId) {
             // Mode modification
             await modifierDocument(docId, data);
+            // Le fichier a été remplacé → supprimer l'ancien
+            if (fichierEnvoye && fichierActuel) {
+                await supprimerFichier(fichierActuel);
+            }
         } else {
-            // Mode création
-            await ajouterDocument(data);
+            // Mode création : déjà enregistré ? On s'arrête pour laisser choisir (voir doublons.js)
+            if (await signalerDoublons(data)) {
+                btnSoumettre.disabled = false;
+                btnSoumettre.textContent = 'Enregistrer';
+                return;
+            }
+            idEnregistre = (await ajouterDocument(data)).id;
+        }
+
+        // Lien : texte de la page, favicon, état (sans attendre, voir liens.js)
+        // Hors ligne, la vérification périodique s'en chargera plus tard
+        if (data.type_doc === 'lien' && idEnregistre && !estHorsLigne()) {
+            analyserLien(idEnregistre);
         }
 
+        // Le fichier appartient maintenant au document, fermerModal() ne doit pas le supprimer
+        fichierEnvoye = null;
         fermerModal();
         // Recharger pour voir le nouveau doc + les nouveaux tags
-        await Promise.all([chargerDocuments(), chargerTags(), chargerStats()]);
+        await Promise.all([chargerDocuments(), chargerTags(), chargerStats(), rafraichirDetail()]);
 
     } catch (err) {
         errorDiv.textContent = err.message;
@@ -476,27 +1203,334 @@ async function soumettreDocument(event) {
 
 let docASupprimer = null;  // garder l'ID du doc à supprimer
 
-function demanderSuppression(docId) {
-    docASupprimer = docId;
+/**
+ * Ouvrir la confirmation de suppression
+ * @param {string} titre - Question affichée
+ * @param {string} texte - Précision sous la question
+ * @param {function} action - Lancée si l'user confirme
+ */
+function confirmerSuppression(titre, texte, action) {
+    document.getElementById('suppression-titre').textContent = titre;
+    document.getElementById('suppression-texte').textContent = texte;
     document.getElementById('modal-suppression').style.display = 'flex';
 
     // Configurer le bouton de confirmation
     document.getElementById('btn-confirmer-suppression').onclick = async () => {
         try {
-            await supprimerDocument(docId);
+            await action();
             fermerModalSuppression();
-            await Promise.all([chargerDocuments(), chargerStats()]);
+            await Promise.all([chargerDocuments(), chargerTags(), chargerStats()]);
         } catch (err) {
             alert('Erreur lors de la suppression');
         }
     };
 }
 
+function demanderSuppression(docId) {
+    docASupprimer = docId;
+    confirmerSuppression(
+        'Mettre ce document à la corbeille ?',
+        `Tu pourras le restaurer depuis la corbeille pendant ${RETENTION_CORBEILLE_JOURS} jours.`,
+        () => supprimerDocument(docId)
+    );
+}
+
+function demanderSuppressionDefinitive(docId) {
+    docASupprimer = docId;
+    confirmerSuppression(
+        'Supprimer définitivement ?',
+        'Le document et son fichier seront effacés. Cette action est irréversible.',
+        () => supprimerDefinitivement(docId)
+    );
+}
+
+function demanderViderCorbeille() {
+    confirmerSuppression(
+        'Vider la corbeille ?',
+        'Tous les documents de la corbeille et leurs fichiers seront effacés. Cette action est irréversible.',
+        () => viderCorbeille()
+    );
+}
+
+async function restaurerDepuisCorbeille(docId) {
+    try {
+        await restaurerDocument(docId);
+        await Promise.all([chargerDocuments(), chargerTags(), chargerStats()]);
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
 function fermerModalSuppression() {
     docASupprimer = null;
     document.getElementById('modal-suppression').style.display = 'none';
 }
 
+// ============================================
+// HISTORIQUE DES VERSIONS
+// ============================================
+
+let docHistorique = null;     // document dont l'historique est ouvert
+let revisionsHistorique = []; // liste légère (sans contenu), la plus récente en premier
+const cacheRevisions = {};    // id → révision complète, pour ne pas recharger à chaque diff
+
+async function ouvrirHistorique(docId) {
+    const liste = document.getElementById('liste-revisions');
+    liste.innerHTML = '<li class="partage-vide">Chargement...</li>';
+    document.getElementById('diff-revisions').innerHTML = '';
+    document.getElementById('modal-historique').style.display = 'flex';
+
+    try {
+        docHistorique = await getDocument(docId);
+        await afficherListeRevisions();
+    } catch (err) {
+        liste.innerHTML = `<li class="partage-vide">${err.message}</li>`;
+    }
+}
+
+/**
+ * Afficher la liste des révisions et comparer par défaut
+ * la version actuelle avec la précédente
+ */
+async function afficherListeRevisions() {
+    const liste = document.getElementById('liste-revisions');
+    revisionsHistorique = await getRevisions(docHistorique.id);
+
+    if (revisionsHistorique.length === 0) {
+        liste.innerHTML = '<li class="partage-vide">Aucune version enregistrée pour l\'instant.</li>';
+        return;
+    }
+
+    const restaurable = peutModifier(docHistorique);
+
+    liste.innerHTML = revisionsHistorique.map((revision, index) => {
+        const date = new Date(revision.date_revision).toLocaleString('fr-FR', {
+            day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        const champs = revision.champs_modifies.length > 0
+            ? revision.champs_modifies.map(champ => LIBELLES_CHAMPS[champ] || champ).join(', ')
+            : 'Version initiale';
+
+        return `
+            <li class="revision-item">
+                <input type="radio" name="revision-de" value="${revision.id}" title="De"
+                    ${index === 1 ? 'checked' : ''} onchange="afficherDiffRevisions()">
+                <input type="radio" name="revision-a" value="${revision.id}" title="À"
+                    ${index === 0 ? 'checked' : ''} onchange="afficherDiffRevisions()">
+                <div class="revision-infos">
+                    <strong>${date}${index === 0 ? ' · actuelle' : ''}</strong>
+                    <span>${echapper(champs)}</span>
+                    ${revision.auteur_email ? `<small>par ${echapper(revision.auteur_email)}</small>` : ''}
+                </div>
+                ${restaurable && index > 0 ? `
+                <button class="btn btn-ghost btn-small" onclick="demanderRestauration(${revision.id}, '${date}')">
+                    Restaurer
+                </button>` : ''}
+            </li>
+        `;
+    }).join('');
+
+    await afficherDiffRevisions();
+}
+
+/**
+ * Afficher le diff entre les deux versions cochées
+ */
+async function afficherDiffRevisions() {
+    const zone = document.getElementById('diff-revisions');
+    const de = document.querySelector('input[name="revision-de"]:checked');
+    const a = document.querySelector('input[name="revision-a"]:checked');
+
+    if (!de || !a) {
+        zone.innerHTML = '<p class="partage-vide">Une seule version pour l\'instant, rien à comparer.</p>';
+        return;
+    }
+
+    try {
+        const [ancienne, nouvelle] = await Promise.all([de.value, a.value].map(async id => {
+            if (!cacheRevisions[id]) cacheRevisions[id] = await getRevision(id);
+            return cacheRevisions[id];
+        }));
+
+        const differences = comparerRevisions(ancienne, nouvelle);
+        if (differences.length === 0) {
+            zone.innerHTML = '<p class="partage-vide">Aucune différence entre ces deux versions.</p>';
+            return;
+        }
+
+        zone.innerHTML = differences.map(diff => `
+            <div class="diff-champ">
+                <h4>${LIBELLES_CHAMPS[diff.champ]}</h4>
+                ${creerDiffHTML(diff)}
+            </div>
+        `).join('');
+
+    } catch (err) {
+        zone.innerHTML = `<p class="partage-vide">${err.message}</p>`;
+    }
+}
+
+/**
+ * HTML d'une différence (selon le type de champ)
+ * @param {object} diff - Élément renvoyé par comparerRevisions()
+ * @returns {string}
+ */
+function creerDiffHTML(diff) {
+    if (diff.type === 'tags') {
+        return [
+            ...diff.retires.map(tag => `<span class="card-tag diff-tag-retire">− ${echapper(tag)}</span>`),
+            ...diff.ajoutes.map(tag => `<span class="card-tag diff-tag-ajoute">+ ${echapper(tag)}</span>`)
+        ].join(' ');
+    }
+
+    if (diff.type === 'valeur') {
+        return `
+            <div class="diff-ligne suppression">${echapper(diff.avant || '(vide)')}</div>
+            <div class="diff-ligne ajout">${echapper(diff.apres || '(vide)')}</div>
+        `;
+    }
+
+    // texte : ligne par ligne
+    const signes = { egal: ' ', ajout: '+', suppression: '−' };
+    return `<pre class="diff-texte">${diff.lignes.map(ligne =>
+        `<div class="diff-ligne ${ligne.type}">${signes[ligne.type]} ${echapper(ligne.texte)}</div>`
+    ).join('')}</pre>`;
+}
+
+async function demanderRestauration(revisionId, date) {
+    if (!confirm(`Restaurer la version du ${date} ?\nLa version actuelle reste dans l'historique.`)) return;
+
+    try {
+        await restaurerRevision(docHistorique.id, revisionId);
+        await afficherListeRevisions();
+
+        // Le formulaire de modification ouvert derrière n'est plus à jour
+        if (document.getElementById('modal-document').style.display !== 'none'
+            && document.getElementById('doc-id').value === docHistorique.id) {
+            await ouvrirModalModif(docHistorique.id);
+        }
+        await Promise.all([chargerDocuments(), chargerTags(), rafraichirDetail()]);
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+function fermerModalHistorique() {
+    docHistorique = null;
+    document.getElementById('modal-historique').style.display = 'none';
+}
+
+// ============================================
+// PARTAGES
+// ============================================
+
+let docAPartager = null;      // ID du document dont le modal de partage est ouvert
+let partagesModifies = false; // pour recharger les badges à la fermeture
+
+async function ouvrirModalPartage(docId) {
+    try {
+        const doc = await getDocument(docId);
+        docAPartager = docId;
+        partagesModifies = false;
+
+        document.getElementById('partage-titre-doc').textContent = doc.titre;
+        document.getElementById('form-partage').reset();
+        document.getElementById('partage-error').style.display = 'none';
+        document.getElementById('modal-partage').style.display = 'flex';
+
+        await afficherListePartages();
+    } catch (err) {
+        alert('Impossible de charger le document');
+    }
+}
+
+/**
+ * Afficher les personnes qui ont accès au document
+ */
+async function afficherListePartages() {
+    const liste = document.getElementById('liste-partages');
+    try {
+        const partages = await getPartages(docAPartager);
+
+        if (partages.length === 0) {
+            liste.innerHTML = '<li class="partage-vide">Document privé : personne d\'autre n\'y a accès.</li>';
+            return;
+        }
+
+        liste.innerHTML = partages.map(partage => `
+            <li class="partage-item">
+                <span class="partage-email">${echapper(partage.destinataire_email)}</span>
+                <!-- Email par data-email : echapper() ne protège pas une chaîne JS (apostrophes) -->
+                <select data-email="${echapper(partage.destinataire_email)}"
+                    onchange="changerPermissionPartage(this.dataset.email, this.value)">
+                    <option value="lecture" ${partage.permission === 'lecture' ? 'selected' : ''}>Lecture seule</option>
+                    <option value="edition" ${partage.permission === 'edition' ? 'selected' : ''}>Édition</option>
+                </select>
+                <button class="btn btn-ghost btn-small" onclick="retirerPartage('${partage.id}')">Retirer</button>
+            </li>
+        `).join('');
+
+    } catch (err) {
+        liste.innerHTML = `<li class="partage-vide">${err.message}</li>`;
+    }
+}
+
+async function soumettrePartage(event) {
+    event.preventDefault();
+
+    const btn = document.getElementById('btn-partager');
+    const errorDiv = document.getElementById('partage-error');
+    btn.disabled = true;
+    errorDiv.style.display = 'none';
+
+    try {
+        await partagerDocument(
+            docAPartager,
+            document.getElementById('partage-email').value,
+            document.getElementById('partage-permission').value
+        );
+        partagesModifies = true;
+        document.getElementById('partage-email').value = '';
+        await afficherListePartages();
+    } catch (err) {
+        errorDiv.textContent = err.message;
+        errorDiv.style.display = 'block';
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function changerPermissionPartage(email, permission) {
+    try {
+        // partager_document() met à jour la permission si le partage existe déjà
+        await partagerDocument(docAPartager, email, permission);
+        partagesModifies = true;
+    } catch (err) {
+        alert(err.message);
+        await afficherListePartages();
+    }
+}
+
+async function retirerPartage(partageId) {
+    try {
+        await revoquerPartage(partageId);
+        partagesModifies = true;
+        await afficherListePartages();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+function fermerModalPartage() {
+    docAPartager = null;
+    document.getElementById('modal-partage').style.display = 'none';
+    // Mettre à jour le badge "Partagé (N)" sur la card
+    if (partagesModifies) {
+        chargerDocuments();
+        rafraichirDetail();
+    }
+}
+
 // ============================================
 // AUTRES ACTIONS
 // ============================================
@@ -504,8 +1538,8 @@ function fermerModalSuppression() {
 async function basculerFavori(docId, nouvelEtat) {
     try {
         await toggleFavori(docId, nouvelEtat);
-        // Recharger pour mettre à jour l'icône
-        await Promise.all([chargerDocuments(), chargerStats()]);
+        // Recharger pour mettre à jour l'icône (card + vue détail)
+        await Promise.all([chargerDocuments(), chargerStats(), rafraichirDetail()]);
     } catch (err) {
         alert('Impossible de modifier le favori');
     }
@@ -520,6 +1554,10 @@ function adapterFormulaire(type) {
     const groupUpload = document.getElementById('group-upload');
     const labelContenu = document.getElementById('label-contenu');
     const inputContenu = document.getElementById('doc-contenu');
+    const inputFichier = document.getElementById('input-fichier');
+
+    // La ré-extraction n'a de sens que pour un PDF
+    document.getElementById('btn-reextraire').style.display = type === 'pdf' ? '' : 'none';
 
     switch (type) {
         case 'pdf':
@@ -527,6 +1565,7 @@ function adapterFormulaire(type) {
             groupUpload.style.display = 'block';
             labelContenu.textContent = 'Texte extrait (optionnel)';
             inputContenu.placeholder = 'Texte extrait automatiquement du PDF...';
+            inputFichier.accept = 'application/pdf';
             break;
         case 'lien':
             groupTaille.style.display = 'none';
@@ -539,6 +1578,7 @@ function adapterFormulaire(type) {
             groupUpload.style.display = 'block';
             labelContenu.textContent = 'Description ou URL';
             inputContenu.placeholder = 'Description de l\'image...';
+            inputFichier.accept = 'image/*';
             break;
         default:  // note
             groupTaille.style.display = 'none';
@@ -548,23 +1588,216 @@ function adapterFormulaire(type) {
     }
 }
 
+// ============================================
+// UPLOAD DE FICHIERS (Supabase Storage)
+// ============================================
+
+let uploadEnCours = null;   // { promesse, annuler } pendant l'envoi
+let fichierEnvoye = null;   // { fichier_path, mime_type, taille_kb, empreinte_fichier } envoyé mais pas encore enregistré
+let fichierActuel = null;   // fichier_path du document en cours de modification
+
+/**
+ * Envoyer le fichier choisi (clic ou glisser-déposer)
+ * L'upload part tout de suite pour afficher la progression
+ * pendant que l'user remplit le reste du formulaire.
+ * @param {File} fichier
+ */
+async function gererFichierChoisi(fichier) {
+    if (!fichier) return;
+
+    const errorDiv = document.getElementById('modal-error');
+    errorDiv.style.display = 'none';
+
+    // Un nouveau fichier remplace celui envoyé juste avant
+    if (uploadEnCours) uploadEnCours.annuler();
+    if (fichierEnvoye) {
+        supprimerFichier(fichierEnvoye.fichier_path);
+        fichierEnvoye = null;
+    }
+
+    afficherProgressionUpload(0);
+    const upload = uploaderFichier(fichier, afficherProgressionUpload);
+    uploadEnCours = upload;
+
+    // Pour un PDF, on extrait le texte en même temps que l'upload
+    if (fichier.type === 'application/pdf') {
+        lancerExtraction(async (onProgression) =>
+            extraireTextePDF(await fichier.arrayBuffer(), onProgression)
+        );
+    }
+
+    try {
+        const resultat = await upload.promesse;
+        // Si un autre fichier a été choisi entre temps, on ignore celui-là
+        if (uploadEnCours !== upload) {
+            supprimerFichier(resultat.fichier_path);
+            return;
+        }
+        fichierEnvoye = resultat;
+        uploadEnCours = null;
+
+        document.getElementById('doc-taille').value = resultat.taille_kb;
+        document.getElementById('upload-progression').style.display = 'none';
+        document.getElementById('upload-zone').innerHTML = `
+            <span class="upload-icon">✅</span>
+            <p>${echapper(fichier.name)}</p>
+            <p class="upload-note">${resultat.taille_kb} Ko — clique pour changer de fichier</p>
+        `;
+
+    } catch (err) {
+        if (uploadEnCours !== upload) return;
+        uploadEnCours = null;
+        reinitialiserUpload();
+        errorDiv.textContent = err.message;
+        errorDiv.style.display = 'block';
+    }
+}
+
+/**
+ * Mettre à jour la barre de progression
+ * @param {number} pourcentage
+ */
+function afficherProgressionUpload(pourcentage) {
+    document.getElementById('upload-progression').style.display = 'flex';
+    document.getElementById('upload-barre').style.width = `${pourcentage}%`;
+    document.getElementById('upload-pourcentage').textContent = `${pourcentage}%`;
+}
+
+function annulerUpload() {
+    if (uploadEnCours) uploadEnCours.annuler();
+}
+
 /**
- * Simuler un upload de fichier
- * TODO: implémenter vraiment avec Supabase Storage
+ * Remettre la zone d'upload dans son état initial
  */
-function simulerUpload() {
-    const uploadZone = document.getElementById('upload-zone');
-    uploadZone.innerHTML = `
-        <span class="upload-icon">✅</span>
-        <p>Fichier "sélectionné" (simulation)</p>
-        <p class="upload-note">Le vrai upload avec Supabase Storage sera implémenté ultérieurement</p>
+function reinitialiserUpload() {
+    uploadEnCours = null;
+    fichierEnvoye = null;
+    document.getElementById('input-fichier').value = '';
+    document.getElementById('upload-progression').style.display = 'none';
+    document.getElementById('upload-zone').innerHTML = `
+        <span class="upload-icon">📤</span>
+        <p>Clique ou glisse un fichier ici</p>
+        <p class="upload-note">${TAILLE_MAX_FICHIER_MO} Mo maximum</p>
     `;
 }
 
-function ouvrirDetail(docId) {
-    // TODO: ouvrir un panneau de détail ou modal
-    // Pour l'instant j'ouvre juste la modal de modification
-    ouvrirModalModif(docId);
+/**
+ * Afficher le fichier déjà attaché au document (mode édition)
+ * @param {string|null} chemin
+ */
+function afficherFichierActuel(chemin) {
+    fichierActuel = chemin || null;
+    document.getElementById('fichier-actuel').style.display = chemin ? 'flex' : 'none';
+    document.getElementById('fichier-actuel-nom').textContent = nomDepuisChemin(chemin);
+}
+
+// Glisser-déposer sur la zone d'upload
+function survolerUpload(event, survol) {
+    event.preventDefault();
+    document.getElementById('upload-zone').classList.toggle('survol', survol);
+}
+
+function deposerFichier(event) {
+    event.preventDefault();
+    document.getElementById('upload-zone').classList.remove('survol');
+    gererFichierChoisi(event.dataTransfer.files[0]);
+}
+
+/**
+ * Ouvrir un fichier dans un nouvel onglet ou le télécharger
+ * @param {string} chemin - fichier_path du document
+ * @param {boolean} telecharger
+ */
+async function ouvrirFichier(chemin, telecharger) {
+    // J'ouvre l'onglet AVANT l'await, sinon le navigateur
+    // le bloque (ce n'est plus considéré comme un clic de l'user)
+    const onglet = telecharger ? null : window.open('', '_blank');
+
+    try {
+        const url = await getUrlFichier(chemin, telecharger);
+        if (onglet) {
+            onglet.location.href = url;
+        } else {
+            window.location.href = url;  // Content-Disposition: attachment → pas de changement de page
+        }
+    } catch (err) {
+        if (onglet) onglet.close();
+        alert(err.message);
+    }
+}
+
+function ouvrirFichierModal(telecharger) {
+    if (fichierActuel) ouvrirFichier(fichierActuel, telecharger);
+}
+
+// ============================================
+// EXTRACTION DU TEXTE DES PDF
+// ============================================
+
+let extractionCourante = null;  // jeton de l'extraction en cours (null = aucune)
+
+/**
+ * Lancer une extraction et écrire le résultat dans le champ contenu
+ * Si une autre extraction démarre entre temps (nouveau fichier),
+ * le résultat de celle-ci est ignoré.
+ *
+ * @param {function} extraire - Reçoit onProgression, renvoie {texte, tronque, nbPages, pagesLues}
+ */
+async function lancerExtraction(extraire) {
+    const jeton = {};
+    extractionCourante = jeton;
+
+    const statut = document.getElementById('extraction-statut');
+    statut.textContent = 'Extraction du texte...';
+    statut.style.display = 'block';
+
+    try {
+        const { texte, tronque, nbPages, pagesLues } = await extraire((page, total) => {
+            if (extractionCourante === jeton) {
+                statut.textContent = `Extraction du texte : page ${page} / ${total}`;
+            }
+        });
+        if (extractionCourante !== jeton) return;
+
+        if (texte) {
+            document.getElementById('doc-contenu').value = texte;
+            // Arrêtée avant la fin : dire combien de pages ont vraiment été lues,
+            // sinon on croit que tout le PDF est cherchable
+            statut.textContent = pagesLues < nbPages
+                ? `Texte extrait des ${pagesLues} premières pages sur ${nbPages}`
+                    + ` (limite de ${MAX_CARACTERES_EXTRAITS} caractères / ${MAX_PAGES_EXTRAITES} pages)`
+                : `Texte extrait de ${nbPages} page(s)`
+                    + (tronque ? ` (tronqué à ${MAX_CARACTERES_EXTRAITS} caractères)` : '');
+        } else {
+            // Un PDF scanné n'a que des images, pas de texte
+            statut.textContent = 'Aucun texte trouvé dans ce PDF (document scanné ?)';
+        }
+
+    } catch (err) {
+        if (extractionCourante !== jeton) return;
+        console.error('Erreur extraction :', err);
+        statut.textContent = err.message;
+    } finally {
+        if (extractionCourante === jeton) extractionCourante = null;
+    }
+}
+
+/**
+ * Ré-extraire le texte du PDF déjà stocké (documents existants)
+ */
+function reextraireTexte() {
+    if (!fichierActuel) return;
+    lancerExtraction((onProgression) => extraireTexteFichierStocke(fichierActuel, onProgression));
+}
+
+function reinitialiserExtraction() {
+    extractionCourante = null;
+    // Même zone de statut que l'aperçu d'un lien
+    reinitialiserApercuLien();
+    const statut = document.getElementById('extraction-statut');
+    statut.textContent = '';
+    statut.style.display = 'none';
 }
 
 // ============================================
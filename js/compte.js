@@ -0,0 +1,352 @@
+// ============================================
+// compte.js - Réglages du compte (modal "Mon compte")
+// ESIEA 2024 - Mabiala Euloge Junior
+//
+// Changer d'email ou de mot de passe, activer la
+// double authentification, télécharger ses données,
+// supprimer son compte. Les appels Supabase sont dans
+// auth.js (et transfert.js pour l'export) ; ici
+// seulement les formulaires.
+// Tout ce qui touche au compte redemande le mot de
+// passe actuel.
+// ============================================
+
+function ouvrirCompte() {
+    if (estHorsLigne()) {
+        alert('Les réglages du compte ont besoin du réseau');
+        return;
+    }
+
+    document.getElementById('form-compte-email').reset();
+    document.getElementById('form-compte-password').reset();
+    document.getElementById('form-compte-suppression').reset();
+    ['compte-email-error', 'compte-email-success', 'compte-password-error', 'compte-password-success',
+        'compte-export-error', 'compte-export-success', 'compte-export-progression', 'compte-suppression-error']
+        .forEach(id => { document.getElementById(id).style.display = 'none'; });
+    document.getElementById('compte-email-actuel').textContent = etatApp.utilisateur.email;
+    afficherErreurMfa(null);
+    afficherEtatMfa();
+    document.getElementById('modal-compte').style.display = 'flex';
+}
+
+function fermerCompte() {
+    // Activation pas confirmée : ne pas laisser traîner le facteur non vérifié
+    if (activationMfa) annulerActivation();
+    // Codes de secours : une seule fois, même si on ferme sans cliquer "C'est noté"
+    codesSecoursAffiches = null;
+    document.getElementById('modal-compte').style.display = 'none';
+}
+
+/**
+ * Afficher le résultat d'un des deux formulaires
+ * @param {string} prefixe - 'compte-email' ou 'compte-password'
+ * @param {string|null} erreur
+ * @param {string|null} succes
+ */
+function afficherResultatCompte(prefixe, erreur, succes) {
+    const errorDiv = document.getElementById(`${prefixe}-error`);
+    const successDiv = document.getElementById(`${prefixe}-success`);
+    errorDiv.textContent = erreur || '';
+    errorDiv.style.display = erreur ? 'block' : 'none';
+    successDiv.textContent = succes || '';
+    successDiv.style.display = succes ? 'block' : 'none';
+}
+
+async function soumettreChangementEmail(event) {
+    event.preventDefault();
+
+    const btn = document.getElementById('btn-compte-email');
+    const email = document.getElementById('compte-nouvel-email').value.trim();
+    afficherResultatCompte('compte-email', null, null);
+
+    if (email.toLowerCase() === etatApp.utilisateur.email.toLowerCase()) {
+        afficherResultatCompte('compte-email', 'C\'est déjà l\'email du compte', null);
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        await verifierMotDePasseActuel(document.getElementById('compte-email-password').value);
+        await changerEmail(email);
+        document.getElementById('form-compte-email').reset();
+        // L'email ne change qu'après le clic sur le lien de confirmation
+        afficherResultatCompte('compte-email', null,
+            `Un lien de confirmation a été envoyé à ${email}. L'email du compte changera quand tu l'auras ouvert.`);
+    } catch (err) {
+        afficherResultatCompte('compte-email', err.message, null);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function soumettreChangementMotDePasse(event) {
+    event.preventDefault();
+
+    const btn = document.getElementById('btn-compte-password');
+    const nouveau = document.getElementById('compte-password-nouveau').value;
+    afficherResultatCompte('compte-password', null, null);
+
+    if (nouveau !== document.getElementById('compte-password-confirmation').value) {
+        afficherResultatCompte('compte-password', 'Les deux mots de passe ne sont pas identiques', null);
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        await verifierMotDePasseActuel(document.getElementById('compte-password-actuel').value);
+        await changerMotDePasse(nouveau);
+        document.getElementById('form-compte-password').reset();
+        afficherResultatCompte('compte-password', null, 'Mot de passe changé');
+    } catch (err) {
+        afficherResultatCompte('compte-password', err.message, null);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ============================================
+// DOUBLE AUTHENTIFICATION (TOTP)
+// Trois écrans dans la même zone du modal :
+//  - état (activée ou non, codes de secours restants)
+//  - activation : QR code + premier code à confirmer
+//  - codes de secours, montrés une seule fois
+// ============================================
+
+let activationMfa = null;    // { id, qr_code, secret } pendant l'activation
+let codesSecoursAffiches = null;  // codes en clair juste après leur création
+
+function afficherErreurMfa(message) {
+    const errorDiv = document.getElementById('compte-mfa-error');
+    errorDiv.textContent = message || '';
+    errorDiv.style.display = message ? 'block' : 'none';
+}
+
+async function afficherEtatMfa() {
+    const zone = document.getElementById('compte-mfa');
+
+    if (activationMfa) {
+        zone.innerHTML = `
+            <p class="upload-note">
+                1. Scanne ce QR code avec ton application (Google Authenticator, Authy, 2FAS...).
+            </p>
+            <img class="mfa-qr" src="${echapper(activationMfa.qr_code)}" alt="QR code de la double authentification">
+            <p class="upload-note">
+                Pas d'appareil photo ? Entre cette clé à la main :
+                <code class="mfa-secret">${echapper(activationMfa.secret)}</code>
+            </p>
+            <form class="compte-mfa-ligne" onsubmit="confirmerCodeActivation(event)">
+                <label for="mfa-activation-code">2. Code affiché</label>
+                <input type="text" id="mfa-activation-code" inputmode="numeric" autocomplete="one-time-code"
+                    pattern="[0-9 ]{6,7}" maxlength="7" placeholder="123 456" required>
+                <button type="submit" class="btn btn-primary btn-small" id="btn-mfa-confirmer">Activer</button>
+                <button type="button" class="btn btn-ghost btn-small" onclick="annulerActivation()">Annuler</button>
+            </form>
+        `;
+        return;
+    }
+
+    if (codesSecoursAffiches) {
+        zone.innerHTML = `
+            <p class="upload-note">
+                Garde ces codes de secours en lieu sûr : chacun permet de te connecter une fois
+                si tu perds ton téléphone. <strong>Ils ne seront plus jamais affichés.</strong>
+            </p>
+            <ul class="mfa-codes">
+                ${codesSecoursAffiches.map(code => `<li><code>${echapper(code)}</code></li>`).join('')}
+            </ul>
+            <div class="compte-mfa-ligne">
+                <button class="btn btn-ghost btn-small" onclick="telechargerCodesSecours()">⬇️ Télécharger</button>
+                <button class="btn btn-primary btn-small" onclick="fermerCodesSecours()">C'est noté</button>
+            </div>
+        `;
+        return;
+    }
+
+    zone.innerHTML = '<p class="upload-note">Chargement...</p>';
+    try {
+        const facteur = await getFacteurTotp();
+        if (!facteur) {
+            zone.innerHTML = `
+                <p class="upload-note">
+                    Désactivée. Avec la double authentification, ton mot de passe ne suffit plus :
+                    il faut aussi un code de ton téléphone.
+                </p>
+                <button class="btn btn-primary btn-small" id="btn-mfa-activer" onclick="demarrerActivationMfa()">Activer</button>
+            `;
+            return;
+        }
+
+        const nbCodes = await getNbCodesSecours();
+        const depuis = new Date(facteur.created_at).toLocaleDateString('fr-FR', {
+            day: '2-digit', month: 'long', year: 'numeric'
+        });
+        zone.innerHTML = `
+            <p class="upload-note">
+                ✅ Activée depuis le ${depuis}.
+                ${nbCodes > 0
+                    ? `${nbCodes} code(s) de secours encore utilisable(s).`
+                    : '<strong>Plus aucun code de secours :</strong> crée-en de nouveaux.'}
+            </p>
+            <div class="compte-mfa-ligne">
+                <button class="btn btn-ghost btn-small" onclick="regenererCodesSecours()">Nouveaux codes de secours</button>
+                <button class="btn btn-ghost btn-small" onclick="demanderDesactivationMfa('${facteur.id}')">Désactiver</button>
+            </div>
+        `;
+    } catch (err) {
+        zone.innerHTML = '';
+        afficherErreurMfa(err.message);
+    }
+}
+
+async function demarrerActivationMfa() {
+    afficherErreurMfa(null);
+    document.getElementById('btn-mfa-activer').disabled = true;
+    try {
+        activationMfa = await commencerActivationMfa();
+    } catch (err) {
+        afficherErreurMfa(err.message);
+    }
+    await afficherEtatMfa();
+    const champ = document.getElementById('mfa-activation-code');
+    if (champ) champ.focus();
+}
+
+async function confirmerCodeActivation(event) {
+    event.preventDefault();
+    afficherErreurMfa(null);
+
+    const btn = document.getElementById('btn-mfa-confirmer');
+    btn.disabled = true;
+    try {
+        await confirmerActivationMfa(activationMfa.id, document.getElementById('mfa-activation-code').value);
+    } catch (err) {
+        afficherErreurMfa(err.message);
+        btn.disabled = false;
+        return;
+    }
+
+    // La 2FA est active : même si les codes échouent, on peut les recréer depuis l'état
+    activationMfa = null;
+    try {
+        codesSecoursAffiches = await genererCodesSecours();
+    } catch (err) {
+        afficherErreurMfa(err.message);
+    }
+    await afficherEtatMfa();
+}
+
+async function annulerActivation() {
+    if (activationMfa) await annulerActivationMfa(activationMfa.id);
+    activationMfa = null;
+    afficherErreurMfa(null);
+    await afficherEtatMfa();
+}
+
+async function regenererCodesSecours() {
+    if (!confirm('Créer de nouveaux codes de secours ? Les anciens ne marcheront plus.')) return;
+
+    afficherErreurMfa(null);
+    try {
+        codesSecoursAffiches = await genererCodesSecours();
+    } catch (err) {
+        afficherErreurMfa(err.message);
+        return;
+    }
+    await afficherEtatMfa();
+}
+
+async function demanderDesactivationMfa(factorId) {
+    if (!confirm('Désactiver la double authentification ? Ton mot de passe suffira à nouveau pour te connecter.')) return;
+
+    afficherErreurMfa(null);
+    try {
+        await desactiverMfa(factorId);
+    } catch (err) {
+        afficherErreurMfa(err.message);
+        return;
+    }
+    await afficherEtatMfa();
+}
+
+function telechargerCodesSecours() {
+    const texte = [
+        `Codes de secours Doc Manager - ${etatApp.utilisateur.email}`,
+        'Chaque code ne sert qu\'une fois.',
+        '',
+        ...codesSecoursAffiches
+    ].join('\n');
+    telechargerBlob(new Blob([texte], { type: 'text/plain;charset=utf-8' }), 'doc-manager-codes-secours.txt');
+}
+
+function fermerCodesSecours() {
+    codesSecoursAffiches = null;
+    afficherEtatMfa();
+}
+
+// ============================================
+// MES DONNÉES ET SUPPRESSION DU COMPTE
+// ============================================
+
+// À taper en toutes lettres : on ne supprime pas un compte par mégarde
+const MOT_CONFIRMATION_SUPPRESSION = 'SUPPRIMER';
+
+// Clés localStorage de l'app, effacées avec le compte
+// (la session Supabase, elle, part avec signOut)
+const CLES_LOCALES_COMPTE = [CLE_BROUILLON, CLE_DOSSIERS_OUVERTS, CLE_DERNIERE_VERIFICATION];
+
+async function telechargerDonneesCompte() {
+    const btn = document.getElementById('btn-compte-export');
+    const progression = document.getElementById('compte-export-progression');
+    afficherResultatCompte('compte-export', null, null);
+
+    btn.disabled = true;
+    try {
+        const { nbDocuments, nbFichiers, fichiersManquants } = await exporterCompte((message, pourcentage) => {
+            progression.style.display = 'flex';
+            document.getElementById('compte-export-barre').style.width = `${pourcentage}%`;
+            document.getElementById('compte-export-message').textContent = message;
+        });
+        afficherResultatCompte('compte-export',
+            fichiersManquants.length > 0
+                ? `Fichier(s) introuvable(s), absents du ZIP : ${fichiersManquants.join(', ')}`
+                : null,
+            `${nbDocuments} document(s) et ${nbFichiers} fichier(s) exportés`);
+    } catch (err) {
+        afficherResultatCompte('compte-export', err.message, null);
+    } finally {
+        progression.style.display = 'none';
+        btn.disabled = false;
+    }
+}
+
+async function soumettreSuppressionCompte(event) {
+    event.preventDefault();
+
+    const btn = document.getElementById('btn-compte-suppression');
+    const errorDiv = document.getElementById('compte-suppression-error');
+    errorDiv.style.display = 'none';
+
+    if (document.getElementById('compte-suppression-confirmation').value.trim() !== MOT_CONFIRMATION_SUPPRESSION) {
+        errorDiv.textContent = `Tape ${MOT_CONFIRMATION_SUPPRESSION} en majuscules pour confirmer`;
+        errorDiv.style.display = 'block';
+        return;
+    }
+    if (!confirm('Dernière chance : supprimer ton compte et tous tes documents ? Impossible de revenir en arrière.')) return;
+
+    btn.disabled = true;
+    btn.textContent = 'Suppression...';
+    try {
+        await supprimerCompte(document.getElementById('compte-suppression-password').value);
+    } catch (err) {
+        errorDiv.textContent = err.message;
+        errorDiv.style.display = 'block';
+        btn.disabled = false;
+        btn.textContent = 'Supprimer définitivement mon compte';
+        return;
+    }
+
+    // Plus rien sur le serveur : ne rien laisser dans le navigateur non plus
+    await viderBaseLocale().catch(err => console.warn('Erreur viderBaseLocale :', err.message));
+    CLES_LOCALES_COMPTE.forEach(cle => localStorage.removeItem(cle));
+    window.location.href = 'login.html?raison=supprime';
+}
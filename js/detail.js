@@ -0,0 +1,469 @@
+// ============================================
+// detail.js - Vue détail d'un document
+// ESIEA 2024 - Mohammed Abia
+//
+// Panneau en lecture seule ouvert au clic sur une
+// card : rendu adapté au type (Markdown, lien, PDF,
+// image) + toutes les métadonnées. L'URL change
+// (index.html?doc=<id>) pour pouvoir la mettre en
+// favori ou l'envoyer à quelqu'un.
+// ============================================
+
+// Libs chargées à la demande (comme pdf.js dans extraction.js)
+const MARKED_URL = 'https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js';
+const DOMPURIFY_URL = 'https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js';
+
+// Zoom de la visionneuse d'images
+const ZOOM_MIN = 0.25;
+const ZOOM_MAX = 4;
+const PAS_ZOOM = 0.25;
+
+let docDetail = null;      // document affiché dans le panneau
+let visionneusePDF = null; // { pdf, page, nbPages } pour la navigation
+let zoomImage = 1;
+
+/**
+ * Ouvrir la vue détail d'un document
+ * @param {string} docId
+ * @param {boolean} [depuisUrl] - true quand on vient de l'URL (chargement, bouton retour) :
+ *                                l'URL est déjà bonne, pas de nouvelle entrée d'historique
+ */
+async function ouvrirDetail(docId, depuisUrl = false) {
+    if (!depuisUrl) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('doc', docId);
+        history.pushState({ detail: docId }, '', url);
+    }
+
+    const panneau = document.getElementById('panneau-detail');
+    const corps = document.getElementById('detail-corps');
+    corps.innerHTML = '<div class="loading-state"><div class="spinner"></div><p>Chargement...</p></div>';
+    document.getElementById('detail-titre').textContent = '';
+    document.getElementById('detail-actions').innerHTML = '';
+    panneau.style.display = 'flex';
+
+    try {
+        docDetail = await getDocument(docId);
+        afficherDetail(docDetail);
+    } catch (err) {
+        docDetail = null;
+        corps.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-state-icon">⚠️</span>
+                <p>${echapper(err.message)}</p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Recharger le panneau (après une modification, un favori...)
+ */
+async function rafraichirDetail() {
+    if (!docDetail) return;
+    try {
+        docDetail = await getDocument(docDetail.id);
+        afficherDetail(docDetail);
+    } catch (err) {
+        fermerDetail();
+    }
+}
+
+/**
+ * Fermer le panneau et enlever ?doc= de l'URL
+ * @param {boolean} [depuisUrl] - Fermeture déclenchée par le bouton retour
+ */
+function fermerDetail(depuisUrl = false) {
+    document.getElementById('panneau-detail').style.display = 'none';
+    document.getElementById('detail-corps').innerHTML = '';
+    docDetail = null;
+    fermerVisionneusePDF();
+
+    if (depuisUrl) return;
+
+    // Si c'est nous qui avons ajouté l'entrée d'historique, on revient
+    // simplement en arrière ; sinon (lien ouvert directement) on nettoie l'URL
+    if (history.state && history.state.detail) {
+        history.back();
+    } else {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('doc');
+        history.replaceState(null, '', url);
+    }
+}
+
+function fermerDetailSiClic(event) {
+    if (event.target === event.currentTarget) fermerDetail();
+}
+
+/**
+ * Remplir le panneau avec le document
+ * @param {object} doc
+ */
+function afficherDetail(doc) {
+    const icones = { pdf: '📄', note: '📝', lien: '🔗', image: '🖼️' };
+    document.getElementById('detail-titre').textContent = `${icones[doc.type_doc] || '📋'} ${doc.titre}`;
+    document.getElementById('detail-actions').innerHTML = creerActionsDetailHTML(doc);
+
+    fermerVisionneusePDF();
+    document.getElementById('detail-corps').innerHTML = `
+        ${doc.description ? `<p class="detail-description">${echapper(doc.description)}</p>` : ''}
+        <div id="detail-contenu" class="detail-contenu"></div>
+        ${creerMetadonneesHTML(doc)}
+    `;
+
+    afficherContenuDetail(doc);
+}
+
+/**
+ * Boutons d'action du panneau (selon la permission)
+ * @param {object} doc
+ * @returns {string}
+ */
+function creerActionsDetailHTML(doc) {
+    // Document dans la corbeille (lien direct) : on se restaure depuis la corbeille
+    if (doc.date_suppression) {
+        return '<span class="card-badge">Dans la corbeille</span>';
+    }
+
+    const boutons = [];
+
+    if (estProprietaire(doc)) {
+        boutons.push(`
+            <button class="card-action-btn card-favori-btn ${doc.est_favori ? 'est-favori' : ''}"
+                title="${doc.est_favori ? 'Retirer des favoris' : 'Ajouter aux favoris'}"
+                onclick="basculerFavoriDetail()">
+                ${doc.est_favori ? '⭐' : '☆'}
+            </button>
+            <button class="card-action-btn" title="Partager" onclick="ouvrirModalPartage('${doc.id}')">👥</button>
+        `);
+    }
+    if (peutModifier(doc)) {
+        boutons.push(`<button class="card-action-btn" title="Modifier" onclick="ouvrirModalModif('${doc.id}')">✏️</button>`);
+    }
+    boutons.push(`<button class="card-action-btn" title="Historique" onclick="ouvrirHistorique('${doc.id}')">🕘</button>`);
+    if (estProprietaire(doc)) {
+        boutons.push(`<button class="card-action-btn" title="Supprimer" onclick="demanderSuppressionDetail()">🗑️</button>`);
+    }
+
+    return boutons.join('');
+}
+
+/**
+ * Bloc des métadonnées : dates, taille, fichier, partage, tous les tags
+ * @param {object} doc
+ * @returns {string}
+ */
+function creerMetadonneesHTML(doc) {
+    const formatDate = (date) => new Date(date).toLocaleString('fr-FR', {
+        day: '2-digit', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const acces = doc.acces || { permission: 'proprietaire', nb_partages: 0 };
+
+    const lignes = [
+        ['Type', doc.type_doc],
+        ['Créé le', formatDate(doc.date_creation)],
+        ['Modifié le', formatDate(doc.date_modification)]
+    ];
+    if (doc.taille_kb) lignes.push(['Taille', `${doc.taille_kb} Ko`]);
+    if (doc.mime_type) lignes.push(['Format', doc.mime_type]);
+    if (doc.dossier_id && estProprietaire(doc)) {
+        lignes.push(['Dossier', cheminDossier(doc.dossier_id).map(d => d.nom).join(' › ')]);
+    }
+    if (acces.permission === 'proprietaire') {
+        lignes.push(['Partage', acces.nb_partages > 0 ? `Partagé avec ${acces.nb_partages} personne(s)` : 'Privé']);
+    } else {
+        lignes.push(['Propriétaire', `${acces.proprietaire_email} (${LIBELLES_PERMISSION[acces.permission]})`]);
+    }
+
+    const tags = doc.tags && doc.tags.length > 0
+        ? doc.tags.map(tag => `<span class="card-tag">${echapper(tag)}</span>`).join('')
+        : '<span class="upload-note">Aucun tag</span>';
+
+    return `
+        <dl class="detail-meta">
+            ${lignes.map(([libelle, valeur]) => `<dt>${libelle}</dt><dd>${echapper(valeur)}</dd>`).join('')}
+            ${doc.fichier_path ? `
+            <dt>Fichier</dt>
+            <dd>
+                ${echapper(nomDepuisChemin(doc.fichier_path))}
+                <button class="btn btn-ghost btn-small" data-chemin="${echapper(doc.fichier_path)}"
+                    onclick="ouvrirFichier(this.dataset.chemin, false)">Ouvrir</button>
+                <button class="btn btn-ghost btn-small" data-chemin="${echapper(doc.fichier_path)}"
+                    onclick="ouvrirFichier(this.dataset.chemin, true)">Télécharger</button>
+            </dd>` : ''}
+            ${doc.type_doc === 'lien' ? `
+            <dt>Lien</dt>
+            <dd>
+                ${echapper(etatLienTexte(doc.etat_lien))}
+                ${peutModifier(doc) && !doc.date_suppression ? `
+                <button id="btn-reverifier-lien" class="btn btn-ghost btn-small" onclick="reverifierLien('${doc.id}')">Revérifier</button>` : ''}
+            </dd>` : ''}
+            <dt>Tags</dt>
+            <dd class="card-tags">${tags}</dd>
+        </dl>
+    `;
+}
+
+/**
+ * État d'un lien en clair (etat_lien est rempli par l'edge function apercu-lien)
+ * @param {object|null} etat
+ * @returns {string}
+ */
+function etatLienTexte(etat) {
+    if (!etat) return 'Pas encore vérifié';
+
+    const date = new Date(etat.date_verification).toLocaleDateString('fr-FR', {
+        day: '2-digit', month: 'short', year: 'numeric'
+    });
+    let resultat;
+    if (etat.mort) {
+        resultat = `⚠️ Lien mort (${etat.erreur || `réponse ${etat.statut}`})`;
+    } else if (etat.statut === null || etat.statut >= 400) {
+        resultat = `Injoignable (${etat.erreur || `réponse ${etat.statut}`})`;
+    } else {
+        resultat = 'En ligne';
+    }
+    return `${resultat}, vérifié le ${date}`;
+}
+
+/**
+ * Rendu du contenu selon le type du document
+ * @param {object} doc
+ */
+async function afficherContenuDetail(doc) {
+    const zone = document.getElementById('detail-contenu');
+
+    try {
+        switch (doc.type_doc) {
+            case 'note':
+                zone.innerHTML = doc.contenu
+                    ? `<div class="detail-markdown">${await rendreMarkdown(doc.contenu)}</div>`
+                    : '<p class="upload-note">Note vide</p>';
+                break;
+
+            case 'lien':
+                zone.innerHTML = creerLienHTML(doc.contenu);
+                break;
+
+            case 'pdf':
+                if (doc.fichier_path) {
+                    await ouvrirVisionneusePDF(doc.fichier_path);
+                } else {
+                    zone.innerHTML = creerTexteBrutHTML(doc.contenu, 'Aucun fichier PDF attaché');
+                }
+                break;
+
+            case 'image':
+                if (doc.fichier_path) {
+                    afficherVisionneuseImage(await getUrlFichier(doc.fichier_path));
+                } else if (urlSure(doc.contenu)) {
+                    afficherVisionneuseImage(doc.contenu);
+                } else {
+                    zone.innerHTML = creerTexteBrutHTML(doc.contenu, 'Aucune image attachée');
+                }
+                break;
+
+            default:
+                zone.innerHTML = creerTexteBrutHTML(doc.contenu, '');
+        }
+    } catch (err) {
+        console.error('Erreur afficherContenuDetail :', err);
+        zone.innerHTML = `<p class="error-msg">${echapper(err.message)}</p>`;
+    }
+}
+
+/**
+ * Convertir une note Markdown en HTML nettoyé
+ * DOMPurify enlève tout ce qui pourrait exécuter du JS
+ * (<script>, onerror=, liens javascript:...) : important
+ * maintenant que les notes peuvent venir d'un partage.
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+async function rendreMarkdown(markdown) {
+    await Promise.all([chargerScript(MARKED_URL), chargerScript(DOMPURIFY_URL)]);
+    return window.DOMPurify.sanitize(window.marked.parse(markdown));
+}
+
+/**
+ * Vérifier qu'une URL est en http(s) (pas de javascript:, data:...)
+ * @param {string} valeur
+ * @returns {URL|null}
+ */
+function urlSure(valeur) {
+    try {
+        const url = new URL((valeur || '').trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function creerLienHTML(contenu) {
+    const url = urlSure(contenu);
+    if (!url) {
+        return creerTexteBrutHTML(contenu, 'Aucune URL valide');
+    }
+
+    return `
+        <a class="detail-lien" href="${echapper(url.href)}" target="_blank" rel="noopener noreferrer">
+            <span class="detail-lien-domaine">${echapper(url.hostname)}</span>
+            <span class="detail-lien-url">${echapper(url.href)}</span>
+        </a>
+    `;
+}
+
+function creerTexteBrutHTML(texte, messageVide) {
+    return texte
+        ? `<pre class="detail-texte">${echapper(texte)}</pre>`
+        : `<p class="upload-note">${messageVide}</p>`;
+}
+
+// ============================================
+// VISIONNEUSE PDF (pdf.js, même lib que l'extraction)
+// ============================================
+
+async function ouvrirVisionneusePDF(chemin) {
+    const zone = document.getElementById('detail-contenu');
+    zone.innerHTML = '<p class="upload-note">Chargement du PDF...</p>';
+    const idDocument = docDetail && docDetail.id;
+
+    const pdfjsLib = await chargerPdfJs();
+    const blob = await telechargerFichier(chemin);
+    const pdf = await pdfjsLib.getDocument({ data: await blob.arrayBuffer() }).promise;
+
+    // Le panneau a pu être fermé, ou ouvert sur un autre document,
+    // pendant le téléchargement : ne pas afficher ce PDF sous un autre titre
+    if (!docDetail || docDetail.id !== idDocument) {
+        pdf.destroy();
+        return;
+    }
+
+    visionneusePDF = { pdf, page: 1, nbPages: pdf.numPages };
+    zone.innerHTML = `
+        <div class="visionneuse-barre">
+            <button class="btn btn-ghost btn-small" id="pdf-precedent" onclick="changerPagePDF(-1)">← Précédente</button>
+            <span id="pdf-info" class="pagination-info"></span>
+            <button class="btn btn-ghost btn-small" id="pdf-suivant" onclick="changerPagePDF(1)">Suivante →</button>
+        </div>
+        <div class="visionneuse-pdf">
+            <canvas id="pdf-canvas"></canvas>
+        </div>
+    `;
+    await rendrePagePDF();
+}
+
+async function rendrePagePDF() {
+    if (!visionneusePDF) return;
+    const { pdf, page: numero, nbPages } = visionneusePDF;
+
+    const page = await pdf.getPage(numero);
+    const canvas = document.getElementById('pdf-canvas');
+    if (!canvas) return;
+
+    // Adapter à la largeur du panneau (et à la densité de l'écran)
+    const largeur = canvas.parentElement.clientWidth || 600;
+    const echelle = largeur / page.getViewport({ scale: 1 }).width;
+    const ratio = window.devicePixelRatio || 1;
+    const viewport = page.getViewport({ scale: echelle * ratio });
+
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    canvas.style.width = `${viewport.width / ratio}px`;
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    document.getElementById('pdf-info').textContent = `Page ${numero} / ${nbPages}`;
+    document.getElementById('pdf-precedent').disabled = numero <= 1;
+    document.getElementById('pdf-suivant').disabled = numero >= nbPages;
+}
+
+function changerPagePDF(direction) {
+    if (!visionneusePDF) return;
+    const nouvellePage = visionneusePDF.page + direction;
+    if (nouvellePage < 1 || nouvellePage > visionneusePDF.nbPages) return;
+    visionneusePDF.page = nouvellePage;
+    rendrePagePDF();
+}
+
+function fermerVisionneusePDF() {
+    if (visionneusePDF) {
+        visionneusePDF.pdf.destroy();
+        visionneusePDF = null;
+    }
+}
+
+// ============================================
+// VISIONNEUSE IMAGE (zoom)
+// ============================================
+
+function afficherVisionneuseImage(url) {
+    zoomImage = 1;
+    document.getElementById('detail-contenu').innerHTML = `
+        <div class="visionneuse-barre">
+            <button class="btn btn-ghost btn-small" onclick="zoomerImage(-${PAS_ZOOM})">−</button>
+            <span id="zoom-info" class="pagination-info">100%</span>
+            <button class="btn btn-ghost btn-small" onclick="zoomerImage(${PAS_ZOOM})">+</button>
+            <button class="btn btn-ghost btn-small" onclick="zoomerImage(0)">Ajuster</button>
+        </div>
+        <div class="visionneuse-image" onwheel="zoomerImageMolette(event)">
+            <img id="detail-image" src="${echapper(url)}" alt="" onclick="zoomerImage(zoomImage === 1 ? 1 : 0)">
+        </div>
+    `;
+}
+
+/**
+ * @param {number} delta - Variation du zoom (0 = revenir à 100%)
+ */
+function zoomerImage(delta) {
+    zoomImage = delta === 0 ? 1 : Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, zoomImage + delta));
+    document.getElementById('detail-image').style.width = `${zoomImage * 100}%`;
+    document.getElementById('zoom-info').textContent = `${Math.round(zoomImage * 100)}%`;
+}
+
+// Ctrl + molette pour zoomer (la molette seule fait défiler)
+function zoomerImageMolette(event) {
+    if (!event.ctrlKey) return;
+    event.preventDefault();
+    zoomerImage(event.deltaY < 0 ? PAS_ZOOM : -PAS_ZOOM);
+}
+
+// ============================================
+// ACTIONS DEPUIS LE PANNEAU
+// ============================================
+
+async function basculerFavoriDetail() {
+    if (!docDetail) return;
+    // basculerFavori() rafraîchit aussi le panneau
+    await basculerFavori(docDetail.id, !docDetail.est_favori);
+}
+
+function demanderSuppressionDetail() {
+    if (!docDetail) return;
+    const docId = docDetail.id;
+    confirmerSuppression(
+        'Mettre ce document à la corbeille ?',
+        `Tu pourras le restaurer depuis la corbeille pendant ${RETENTION_CORBEILLE_JOURS} jours.`,
+        async () => {
+            await supprimerDocument(docId);
+            fermerDetail();
+        }
+    );
+}
+
+/**
+ * Ouvrir le document indiqué dans l'URL (?doc=...)
+ * Appelée au chargement et quand on navigue avec précédent / suivant.
+ */
+function synchroniserDetailAvecUrl() {
+    const docId = new URL(window.location.href).searchParams.get('doc');
+
+    if (docId && (!docDetail || docDetail.id !== docId)) {
+        ouvrirDetail(docId, true);
+    } else if (!docId && document.getElementById('panneau-detail').style.display !== 'none') {
+        fermerDetail(true);
+    }
+}
+
+// Bouton Retour / Suivant : écouté dans navigation.js (filtres + détail)
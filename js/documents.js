@@ -12,6 +12,13 @@
 // J'ai essayé 20, c'est pas mal pour perf + UX
 const DOCS_PAR_PAGE = 12;
 
+// Types autorisés : même liste que le CHECK sur type_doc dans schema.sql
+const TYPES_DOC = ['pdf', 'note', 'lien', 'image'];
+
+// Nombre de jours avant qu'un document de la corbeille soit supprimé pour de bon
+// (même valeur dans l'edge function purger-corbeille, qui purge côté serveur)
+const RETENTION_CORBEILLE_JOURS = 30;
+
 /**
  * Récupérer les documents avec filtres et pagination
  * 
@@ -23,30 +30,84 @@ const DOCS_PAR_PAGE = 12;
  * @param {string} filtres.type_doc - Filtrer par type ('pdf', 'note', etc.)
  * @param {string[]} filtres.tags - Filtrer par tags
  * @param {boolean} filtres.favoris - Seulement les favoris
- * @param {string} filtres.tri - Colonne de tri ('date_creation', 'titre')
+ * @param {boolean} filtres.partages - Seulement les documents partagés avec moi
+ * @param {boolean} filtres.corbeille - Afficher la corbeille (mes docs supprimés) au lieu des docs
+ * @param {string} filtres.dossier_id - Seulement les docs de ce dossier
+ * @param {boolean} filtres.sous_dossiers - ... et de ses sous-dossiers
+ * @param {string} filtres.tri - Colonne de tri ('date_creation', 'titre'...)
+ *                                'pertinence' n'a de sens qu'en recherche → date_creation ici
  * @param {number} filtres.page - Numéro de page (commence à 0)
  * @returns {Promise<{documents: array, total: number}>}
  */
 async function getDocuments(filtres = {}) {
     // Valeurs par défaut des filtres
     const {
-        type_doc = null,
-        tags = null,
-        favoris = false,
+        corbeille = false,
         tri = 'date_creation',
         page = 0
     } = filtres;
 
+    // Hors ligne : même résultat, lu dans le miroir local (voir hors-ligne.js)
+    if (estHorsLigne()) {
+        return await chercherDansMiroir(parametresRecherche('', filtres), { corbeille, page });
+    }
+
     const offset = page * DOCS_PAR_PAGE;
+    // Dans la corbeille, les derniers supprimés d'abord
+    const colonneTri = corbeille ? 'date_suppression' : (tri === 'pertinence' ? 'date_creation' : tri);
 
     // Construction de la requête Supabase
     // La syntaxe est chainée, c'est comme un builder pattern
     let query = supabaseClient
         .from('documents')
-        .select('*', { count: 'exact' })  // count: exact pour avoir le total
-        .order(tri, { ascending: tri === 'titre' })  // A-Z pour titre, récent en premier sinon
+        // acces = colonne calculée (fonction SQL) : permission + infos de partage
+        .select('*, acces', { count: 'exact' })  // count: exact pour avoir le total
+        .order(colonneTri, { ascending: colonneTri === 'titre' })  // A-Z pour titre, récent en premier sinon
         .range(offset, offset + DOCS_PAR_PAGE - 1);  // Pagination avec range (0-indexed)
 
+    query = await appliquerFiltres(query, filtres);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+        console.error('Erreur getDocuments :', error.message);
+        throw new Error('Impossible de charger les documents');
+    }
+
+    // Garder le miroir hors ligne à jour avec ce qu'on vient de recevoir
+    enregistrerDansMiroir(data || []);
+
+    return {
+        documents: data || [],
+        total: count || 0
+    };
+}
+
+/**
+ * Ajouter les filtres de la sidebar à une requête sur documents
+ * (partagé entre getDocuments et getIdsDocuments)
+ *
+ * @param {object} query - Requête Supabase en cours de construction
+ * @param {object} filtres - Mêmes filtres que getDocuments
+ * @returns {Promise<object>} La requête filtrée
+ */
+async function appliquerFiltres(query, filtres) {
+    const {
+        type_doc = null,
+        tags = null,
+        favoris = false,
+        partages = false,
+        corbeille = false
+    } = filtres;
+
+    // Corbeille : seulement mes docs supprimés. Sinon on les cache partout.
+    if (corbeille) {
+        const session = await getSession();
+        query = query.not('date_suppression', 'is', null).eq('user_id', session.user.id);
+    } else {
+        query = query.is('date_suppression', null);
+    }
+
     // Appliquer les filtres optionnellement
     if (type_doc) {
         query = query.eq('type_doc', type_doc);
@@ -56,6 +117,13 @@ async function getDocuments(filtres = {}) {
         query = query.eq('est_favori', true);
     }
 
+    // Le RLS renvoie déjà mes docs + ceux partagés avec moi,
+    // il suffit d'enlever les miens
+    if (partages) {
+        const session = await getSession();
+        query = query.neq('user_id', session.user.id);
+    }
+
     // Filtrage sur les tags avec l'opérateur 'cs' (contains)
     // 'cs' = "@>" en PostgreSQL, utilise l'index GIN pour être rapide
     // J'ai galéré à trouver ça dans la doc Supabase...
@@ -63,17 +131,41 @@ async function getDocuments(filtres = {}) {
         query = query.contains('tags', tags);
     }
 
-    const { data, error, count } = await query;
+    // Dossier (+ ses sous-dossiers si demandé), calculé depuis l'arbre en mémoire
+    const idsDossiers = idsDossiersFiltres(filtres);
+    if (idsDossiers) {
+        query = query.in('dossier_id', idsDossiers);
+    }
+
+    return query;
+}
+
+/**
+ * Récupérer les ids de TOUS les documents qui correspondent aux filtres
+ * (toutes les pages) : pour "tout sélectionner"
+ *
+ * @param {object} filtres - Mêmes filtres que getDocuments (page ignorée)
+ * @returns {Promise<string[]>}
+ */
+async function getIdsDocuments(filtres = {}) {
+    if (estHorsLigne()) {
+        const { documents } = await chercherDansMiroir(parametresRecherche('', filtres), { limite: null });
+        return documents.map(doc => doc.id);
+    }
+
+    const query = await appliquerFiltres(
+        supabaseClient.from('documents').select('id'),
+        filtres
+    );
+
+    const { data, error } = await query;
 
     if (error) {
-        console.error('Erreur getDocuments :', error.message);
-        throw new Error('Impossible de charger les documents');
+        console.error('Erreur getIdsDocuments :', error.message);
+        throw new Error('Impossible de sélectionner les documents');
     }
 
-    return {
-        documents: data || [],
-        total: count || 0
-    };
+    return (data || []).map(doc => doc.id);
 }
 
 /**
@@ -86,33 +178,49 @@ async function getDocuments(filtres = {}) {
  * @param {string} [data.contenu] - Contenu ou URL
  * @param {string[]} [data.tags] - Tableau de tags
  * @param {number} [data.taille_kb] - Taille en Ko
+ * @param {string} [data.fichier_path] - Chemin du fichier dans Storage
+ * @param {string} [data.mime_type] - Type MIME du fichier
+ * @param {string} [data.empreinte_fichier] - SHA-256 du fichier (voir empreinteFichier)
+ * @param {string} [data.dossier_id] - Dossier où ranger le document
  * @param {boolean} [data.est_favori] - Favori ou non
  * @returns {Promise<object>} Le document créé
  */
 async function ajouterDocument(data) {
     // Récupérer l'ID de l'utilisateur connecté
-    const { data: { user } } = await supabaseClient.auth.getUser();
+    // (hors ligne, getUser() a besoin du réseau : on prend celui de etatApp)
+    const user = estHorsLigne()
+        ? etatApp.utilisateur
+        : (await supabaseClient.auth.getUser()).data.user;
     if (!user) throw new Error('Tu dois être connecté pour ajouter un document');
 
-    // Nettoyer les tags (enlever les espaces, ignorer les vides)
-    const tagsPropres = data.tags
-        ? data.tags.map(t => t.trim()).filter(t => t.length > 0)
-        : [];
+    // Nettoyer les tags (casse, accents, espaces, vides, doublons)
+    const tagsPropres = normaliserTags(data.tags);
+
+    const nouveauDoc = {
+        user_id: user.id,
+        titre: data.titre.trim(),
+        description: data.description || null,
+        type_doc: data.type_doc,
+        contenu: data.contenu || null,
+        tags: tagsPropres.length > 0 ? tagsPropres : null,
+        taille_kb: data.taille_kb || null,
+        fichier_path: data.fichier_path || null,
+        mime_type: data.mime_type || null,
+        empreinte_fichier: data.empreinte_fichier || null,
+        dossier_id: data.dossier_id || null,
+        est_favori: data.est_favori || false
+        // date_creation et date_modification sont gérés par PostgreSQL (DEFAULT NOW())
+    };
+
+    // Hors ligne : envoyé au retour du réseau
+    if (estHorsLigne()) {
+        return await mettreEnAttente('ajout', null, nouveauDoc);
+    }
 
     const { data: docCree, error } = await supabaseClient
         .from('documents')
-        .insert({
-            user_id: user.id,
-            titre: data.titre.trim(),
-            description: data.description || null,
-            type_doc: data.type_doc,
-            contenu: data.contenu || null,
-            tags: tagsPropres.length > 0 ? tagsPropres : null,
-            taille_kb: data.taille_kb || null,
-            est_favori: data.est_favori || false
-            // date_creation et date_modification sont gérés par PostgreSQL (DEFAULT NOW())
-        })
-        .select()     // Retourner le document créé (avec l'id généré)
+        .insert(nouveauDoc)
+        .select('*, acces')     // Retourner le document créé (avec l'id généré)
         .single();    // On sait qu'il y a un seul résultat
 
     if (error) {
@@ -124,6 +232,7 @@ async function ajouterDocument(data) {
         throw new Error('Erreur lors de la création du document');
     }
 
+    enregistrerDansMiroir([docCree]);
     return docCree;
 }
 
@@ -147,21 +256,28 @@ async function modifierDocument(id, data) {
     if (data.contenu !== undefined) updateData.contenu = data.contenu;
     if (data.est_favori !== undefined) updateData.est_favori = data.est_favori;
     if (data.taille_kb !== undefined) updateData.taille_kb = data.taille_kb;
+    if (data.fichier_path !== undefined) updateData.fichier_path = data.fichier_path;
+    if (data.mime_type !== undefined) updateData.mime_type = data.mime_type;
+    if (data.empreinte_fichier !== undefined) updateData.empreinte_fichier = data.empreinte_fichier;
+    if (data.dossier_id !== undefined) updateData.dossier_id = data.dossier_id;
 
     // Nettoyer les tags si fournis
     if (data.tags !== undefined) {
-        updateData.tags = data.tags
-            ? data.tags.map(t => t.trim()).filter(t => t.length > 0)
-            : null;
+        updateData.tags = data.tags ? normaliserTags(data.tags) : null;
     }
 
     // Note : date_modification est mis à jour automatiquement par le trigger SQL
 
+    // Hors ligne : envoyé au retour du réseau (avec détection de conflit)
+    if (estHorsLigne()) {
+        return await mettreEnAttente('modification', id, updateData);
+    }
+
     const { data: docModifie, error } = await supabaseClient
         .from('documents')
         .update(updateData)
         .eq('id', id)
-        .select()
+        .select('*, acces')
         .single();
 
     if (error) {
@@ -169,27 +285,168 @@ async function modifierDocument(id, data) {
         throw new Error('Impossible de modifier le document');
     }
 
+    enregistrerDansMiroir([docModifie]);
     return docModifie;
 }
 
 /**
- * Supprimer un document par son ID
- * Le ON DELETE CASCADE dans le schéma SQL gère
- * la suppression des données liées automatiquement.
+ * Appliquer une action à plusieurs documents en une seule requête
+ * (barre de sélection). Voir modifier_documents_en_masse dans schema.sql :
+ * les documents qu'on n'a pas le droit de modifier sont ignorés.
+ *
+ * @param {string[]} ids - Documents sélectionnés
+ * @param {string} action - 'ajouter_tags', 'retirer_tags', 'changer_type', 'favori' ou 'supprimer'
+ * @param {object} [options]
+ * @param {string[]} [options.tags] - Pour ajouter_tags / retirer_tags
+ * @param {string} [options.type_doc] - Pour changer_type
+ * @param {boolean} [options.est_favori] - Pour favori
+ * @returns {Promise<number>} Nombre de documents réellement modifiés
+ */
+async function modifierDocumentsEnMasse(ids, action, options = {}) {
+    const tags = options.tags ? normaliserTags(options.tags) : null;
+
+    if ((action === 'ajouter_tags' || action === 'retirer_tags') && (!tags || tags.length === 0)) {
+        throw new Error('Indique au moins un tag');
+    }
+    if (action === 'changer_type' && !TYPES_DOC.includes(options.type_doc)) {
+        throw new Error('Type de document invalide');
+    }
+
+    const { data, error } = await supabaseClient.rpc('modifier_documents_en_masse', {
+        p_ids: ids,
+        p_action: action,
+        p_tags: tags,
+        p_type_doc: options.type_doc || null,
+        p_est_favori: options.est_favori === undefined ? null : options.est_favori
+    });
+
+    if (error) {
+        console.error('Erreur modifierDocumentsEnMasse :', error.message);
+        throw new Error('Impossible de modifier la sélection');
+    }
+
+    return data;
+}
+
+/**
+ * Supprimer un document = le mettre à la corbeille
+ * Il disparaît des listes, de la recherche et des stats,
+ * mais peut être restauré pendant RETENTION_CORBEILLE_JOURS.
  * 
  * @param {string} id - UUID du document à supprimer
  * @returns {Promise<void>}
  */
 async function supprimerDocument(id) {
+    const changements = { date_suppression: new Date().toISOString() };
+
+    if (estHorsLigne()) {
+        await mettreEnAttente('modification', id, changements);
+        return;
+    }
+
+    const { data, error } = await supabaseClient
+        .from('documents')
+        .update(changements)
+        .eq('id', id)
+        .select('*, acces');
+
+    if (error) {
+        console.error('Erreur supprimerDocument :', error.message);
+        throw new Error('Impossible de supprimer le document');
+    }
+
+    // Pour que la corbeille hors ligne soit à jour
+    enregistrerDansMiroir(data || []);
+}
+
+/**
+ * Sortir un document de la corbeille
+ * 
+ * @param {string} id - UUID du document
+ * @returns {Promise<void>}
+ */
+async function restaurerDocument(id) {
     const { error } = await supabaseClient
         .from('documents')
-        .delete()
+        .update({ date_suppression: null })
         .eq('id', id);
 
     if (error) {
-        console.error('Erreur supprimerDocument :', error.message);
+        console.error('Erreur restaurerDocument :', error.message);
+        throw new Error('Impossible de restaurer le document');
+    }
+}
+
+/**
+ * Supprimer définitivement un document (depuis la corbeille)
+ * Le ON DELETE CASCADE dans le schéma SQL gère
+ * la suppression des données liées automatiquement.
+ * Par contre le fichier dans Storage n'est pas lié par
+ * une clé étrangère, il faut le supprimer à la main.
+ * 
+ * @param {string} id - UUID du document à supprimer
+ * @returns {Promise<void>}
+ */
+async function supprimerDefinitivement(id) {
+    // .select() après le delete renvoie la ligne supprimée
+    // → on récupère fichier_path sans faire une requête de plus
+    const { data, error } = await supabaseClient
+        .from('documents')
+        .delete()
+        .eq('id', id)
+        .select('fichier_path');
+
+    if (error) {
+        console.error('Erreur supprimerDefinitivement :', error.message);
         throw new Error('Impossible de supprimer le document');
     }
+
+    // La ligne d'abord, le fichier ensuite : si la suppression
+    // du fichier rate, on a juste un orphelin dans le bucket
+    if (data && data.length > 0 && data[0].fichier_path) {
+        await supprimerFichier(data[0].fichier_path);
+    }
+}
+
+/**
+ * Vider toute la corbeille d'un coup
+ * @returns {Promise<void>}
+ */
+async function viderCorbeille() {
+    const session = await getSession();
+    const { data, error } = await supabaseClient
+        .from('documents')
+        .delete()
+        .eq('user_id', session.user.id)
+        .not('date_suppression', 'is', null)
+        .select('fichier_path');
+
+    if (error) {
+        console.error('Erreur viderCorbeille :', error.message);
+        throw new Error('Impossible de vider la corbeille');
+    }
+
+    await supprimerFichiers(data.map(doc => doc.fichier_path));
+}
+
+/**
+ * Purge automatique : supprime pour de bon ce qui est dans la
+ * corbeille depuis plus de RETENTION_CORBEILLE_JOURS (fichiers compris)
+ * Lancée au chargement de l'app. Silencieuse : au pire ce sera
+ * purgé à la prochaine visite.
+ */
+async function purgerCorbeille() {
+    try {
+        const { data, error } = await supabaseClient.rpc('purger_corbeille', {
+            p_retention_jours: RETENTION_CORBEILLE_JOURS
+        });
+        if (error) throw error;
+
+        // data = chemins des fichiers des documents supprimés (NULL pour notes et liens)
+        await supprimerFichiers(data || []);
+    } catch (err) {
+        console.warn('Erreur purgerCorbeille :', err.message);
+    }
 }
 
 /**
@@ -204,36 +461,93 @@ async function toggleFavori(id, estFavori) {
 }
 
 /**
- * Récupérer tous les tags distincts de l'utilisateur
- * Pour alimenter la sidebar avec les tags disponibles.
- * 
- * Utilise la fonction PostgreSQL unnest() pour "dérouler"
- * le tableau de tags et récupérer les valeurs uniques.
- * 
- * @returns {Promise<string[]>} Liste de tags uniques
+ * Normaliser un tag : minuscules, sans accents, espaces simples
+ * "  Base de Données " → "base de donnees"
+ * Appliqué partout où un tag est écrit (ajout, modification,
+ * actions groupées, import, gestionnaire de tags) pour ne plus
+ * avoir "BDD" et "bdd" comme deux tags différents.
+ *
+ * @param {string} tag
+ * @returns {string}
+ */
+function normaliserTag(tag) {
+    return String(tag)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normaliser une liste de tags (sans vides ni doublons, ordre conservé)
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function normaliserTags(tags) {
+    return [...new Set((tags || []).map(normaliserTag).filter(t => t.length > 0))];
+}
+
+/**
+ * Récupérer mes tags avec le nombre de documents de chacun
+ * Calculé côté SQL avec unnest + GROUP BY (fonction compter_tags)
+ * au lieu de télécharger la colonne tags de tous les documents.
+ *
+ * @returns {Promise<{tag: string, nb_documents: number}[]>} Triés par nom
  */
 async function getTousLesTags() {
-    // TODO: cette approche charge tous les tags en mémoire
-    // Si un user a des milliers de docs, il faudrait paginer ça aussi
-    const { data, error } = await supabaseClient
-        .from('documents')
-        .select('tags');
+    if (estHorsLigne()) return await getTagsHorsLigne();
+
+    const { data, error } = await supabaseClient.rpc('compter_tags');
 
     if (error) {
         console.error('Erreur getTousLesTags :', error.message);
-        return [];
+        throw new Error('Impossible de charger les tags');
     }
 
-    // Aplatir et dédoublonner côté JS
-    // (j'aurais pu faire unnest côté SQL avec une RPC Supabase)
-    const tousLesTags = new Set();
-    data.forEach(doc => {
-        if (doc.tags && Array.isArray(doc.tags)) {
-            doc.tags.forEach(tag => tousLesTags.add(tag));
-        }
+    return data || [];
+}
+
+/**
+ * Renommer un tag ou fusionner plusieurs tags en un seul, sur tous mes documents
+ * Une seule requête (fonction SQL fusionner_tags) : tout ou rien.
+ *
+ * @param {string[]} sources - Tags à remplacer ("BDD", "bdd", "base-de-donnees")
+ * @param {string} cible - Tag qui les remplace (normalisé ici)
+ * @returns {Promise<number>} Nombre de documents modifiés
+ */
+async function fusionnerTags(sources, cible) {
+    const ciblePropre = normaliserTag(cible || '');
+    if (!ciblePropre) throw new Error('Le nouveau nom du tag est vide');
+
+    const { data, error } = await supabaseClient.rpc('fusionner_tags', {
+        p_sources: sources,
+        p_cible: ciblePropre
     });
 
-    return Array.from(tousLesTags).sort();
+    if (error) {
+        console.error('Erreur fusionnerTags :', error.message);
+        throw new Error('Impossible de renommer le tag');
+    }
+
+    return data;
+}
+
+/**
+ * Retirer des tags de tous mes documents
+ *
+ * @param {string[]} tags
+ * @returns {Promise<number>} Nombre de documents modifiés
+ */
+async function supprimerTags(tags) {
+    const { data, error } = await supabaseClient.rpc('supprimer_tags', { p_tags: tags });
+
+    if (error) {
+        console.error('Erreur supprimerTags :', error.message);
+        throw new Error('Impossible de supprimer le tag');
+    }
+
+    return data;
 }
 
 /**
@@ -242,9 +556,11 @@ async function getTousLesTags() {
  * @returns {Promise<object>}
  */
 async function getDocument(id) {
+    if (estHorsLigne()) return await getDocumentHorsLigne(id);
+
     const { data, error } = await supabaseClient
         .from('documents')
-        .select('*')
+        .select('*, acces')
         .eq('id', id)
         .single();
 
@@ -0,0 +1,441 @@
+// ============================================
+// dossiers.js - Dossiers imbriqués
+// ESIEA 2024 - Mohammed Abia
+//
+// En plus des tags : des dossiers perso qu'on peut
+// imbriquer (2024 → S5 → BDD). L'arbre complet est
+// chargé une fois (il reste petit) et tout le reste
+// est calculé en JS : sous-dossiers, fil d'Ariane...
+// On range un document par glisser-déposer sur un
+// dossier de la sidebar ou depuis le modal.
+// ============================================
+
+let dossiers = [];  // tous mes dossiers, liste plate { id, parent_id, nom }
+
+// Dossiers dépliés dans la sidebar (gardés d'une visite à l'autre)
+const CLE_DOSSIERS_OUVERTS = 'dossiers-ouverts';
+const dossiersOuverts = new Set(JSON.parse(localStorage.getItem(CLE_DOSSIERS_OUVERTS) || '[]'));
+
+// Types de données du glisser-déposer (pour distinguer docs et dossiers)
+const GLISSER_DOCUMENTS = 'application/x-documents';
+const GLISSER_DOSSIER = 'application/x-dossier';
+
+/**
+ * Traduire les erreurs SQL des dossiers (triggers + index unique)
+ * @param {object} error - Erreur Supabase
+ * @param {string} messageParDefaut
+ * @returns {Error}
+ */
+function erreurDossier(error, messageParDefaut) {
+    if (error.code === '23505') return new Error('Un dossier porte déjà ce nom à cet endroit');
+    if (error.message.includes('dossier_cycle')) return new Error('Impossible de ranger un dossier dans un de ses sous-dossiers');
+    if (error.message.includes('dossier_introuvable')) return new Error('Dossier introuvable');
+    return new Error(messageParDefaut);
+}
+
+/**
+ * @returns {Promise<array>} Tous mes dossiers (liste plate)
+ */
+async function getDossiers() {
+    // Hors ligne : l'arbre tel qu'il était à la dernière visite
+    if (estHorsLigne()) {
+        return (await lireMeta('dossiers')) || [];
+    }
+
+    const { data, error } = await supabaseClient
+        .from('dossiers')
+        .select('id, parent_id, nom')
+        .order('nom');
+
+    if (error) {
+        console.error('Erreur getDossiers :', error.message);
+        throw new Error('Impossible de charger les dossiers');
+    }
+
+    ecrireMeta('dossiers', data || []).catch(err => {
+        console.warn('Erreur sauvegarde dossiers hors ligne :', err.message);
+    });
+    return data || [];
+}
+
+/**
+ * @param {string} nom
+ * @param {string|null} parentId - null = à la racine
+ * @returns {Promise<object>}
+ */
+async function creerDossier(nom, parentId) {
+    const session = await getSession();
+    const { data, error } = await supabaseClient
+        .from('dossiers')
+        .insert({ user_id: session.user.id, nom: nom.trim(), parent_id: parentId || null })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Erreur creerDossier :', error.message);
+        throw erreurDossier(error, 'Impossible de créer le dossier');
+    }
+
+    return data;
+}
+
+/**
+ * @param {string} id
+ * @param {object} changements - { nom } et/ou { parent_id }
+ */
+async function modifierDossier(id, changements) {
+    const { error } = await supabaseClient
+        .from('dossiers')
+        .update(changements)
+        .eq('id', id);
+
+    if (error) {
+        console.error('Erreur modifierDossier :', error.message);
+        throw erreurDossier(error, 'Impossible de modifier le dossier');
+    }
+}
+
+/**
+ * Supprimer un dossier et ses sous-dossiers
+ * Les documents ne sont pas supprimés : ils sortent du dossier (ON DELETE SET NULL)
+ * @param {string} id
+ */
+async function supprimerDossier(id) {
+    const { error } = await supabaseClient
+        .from('dossiers')
+        .delete()
+        .eq('id', id);
+
+    if (error) {
+        console.error('Erreur supprimerDossier :', error.message);
+        throw new Error('Impossible de supprimer le dossier');
+    }
+}
+
+/**
+ * Ranger des documents dans un dossier (une seule requête)
+ * @param {string[]} ids
+ * @param {string|null} dossierId - null = sortir de tout dossier
+ */
+async function deplacerDocuments(ids, dossierId) {
+    const { error } = await supabaseClient
+        .from('documents')
+        .update({ dossier_id: dossierId })
+        .in('id', ids);
+
+    if (error) {
+        console.error('Erreur deplacerDocuments :', error.message);
+        throw erreurDossier(error, 'Impossible de déplacer les documents');
+    }
+}
+
+// ============================================
+// CALCULS SUR L'ARBRE (en mémoire)
+// ============================================
+
+/**
+ * @param {string|null} parentId
+ * @returns {array} Sous-dossiers directs, triés par nom
+ */
+function enfantsDe(parentId) {
+    return dossiers
+        .filter(d => d.parent_id === parentId)
+        .sort((a, b) => a.nom.localeCompare(b.nom, 'fr'));
+}
+
+/**
+ * @param {string} id
+ * @returns {string[]} Le dossier et tous ses descendants
+ */
+function idsDescendants(id) {
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+        enfantsDe(ids[i]).forEach(enfant => ids.push(enfant.id));
+    }
+    return ids;
+}
+
+/**
+ * @param {string} id
+ * @returns {array} Dossiers de la racine jusqu'à celui-ci (fil d'Ariane)
+ */
+function cheminDossier(id) {
+    const chemin = [];
+    let courant = dossiers.find(d => d.id === id);
+    while (courant) {
+        chemin.unshift(courant);
+        courant = dossiers.find(d => d.id === courant.parent_id);
+    }
+    return chemin;
+}
+
+/**
+ * Dossiers à passer au filtre SQL (getDocuments / rechercher_documents)
+ * @param {object} filtres - etatApp.filtres
+ * @returns {string[]|null} null = pas de filtre par dossier
+ */
+function idsDossiersFiltres(filtres) {
+    if (!filtres.dossier_id) return null;
+    return filtres.sous_dossiers ? idsDescendants(filtres.dossier_id) : [filtres.dossier_id];
+}
+
+// ============================================
+// SIDEBAR : ARBRE DES DOSSIERS
+// ============================================
+
+async function chargerDossiers() {
+    const container = document.getElementById('arbre-dossiers');
+    try {
+        dossiers = await getDossiers();
+    } catch (err) {
+        container.innerHTML = '<span class="tags-loading">Erreur</span>';
+        return;
+    }
+
+    // Le dossier filtré a pu être supprimé (autre onglet...)
+    if (etatApp.filtres.dossier_id && !dossiers.some(d => d.id === etatApp.filtres.dossier_id)) {
+        etatApp.filtres.dossier_id = null;
+    }
+    // Dossier venu de l'URL (voir navigation.js) : déplier ses parents
+    if (etatApp.filtres.dossier_id) {
+        cheminDossier(etatApp.filtres.dossier_id).slice(0, -1).forEach(d => dossiersOuverts.add(d.id));
+    }
+    afficherArbreDossiers();
+    afficherFilAriane();
+}
+
+function afficherArbreDossiers() {
+    const container = document.getElementById('arbre-dossiers');
+    const actif = etatApp.filtres.dossier_id;
+
+    container.innerHTML = `
+        <div class="dossier-noeud ${actif ? '' : 'active'}"
+            onclick="filtrerParDossier(null)"
+            ondragover="survolerDossier(event)" ondragleave="quitterDossier(event)"
+            ondrop="deposerSurDossier(event, null)">
+            <span class="dossier-toggle"></span>
+            <span class="dossier-nom">🗂️ Tous les documents</span>
+        </div>
+        ${creerBrancheHTML(null, 0)}
+        ${dossiers.length === 0 ? '<span class="tags-loading">Aucun dossier</span>' : ''}
+    `;
+}
+
+/**
+ * HTML des sous-dossiers d'un parent (récursif, seulement les dossiers ouverts)
+ * @param {string|null} parentId
+ * @param {number} niveau - Profondeur (pour l'indentation)
+ * @returns {string}
+ */
+function creerBrancheHTML(parentId, niveau) {
+    return enfantsDe(parentId).map(dossier => {
+        const aDesEnfants = dossiers.some(d => d.parent_id === dossier.id);
+        const ouvert = dossiersOuverts.has(dossier.id);
+
+        return `
+            <div class="dossier-noeud ${dossier.id === etatApp.filtres.dossier_id ? 'active' : ''}"
+                style="padding-left: ${8 + niveau * 14}px"
+                draggable="true"
+                ondragstart="commencerGlisserDossier(event, '${dossier.id}')"
+                ondragover="survolerDossier(event)" ondragleave="quitterDossier(event)"
+                ondrop="deposerSurDossier(event, '${dossier.id}')"
+                onclick="filtrerParDossier('${dossier.id}')">
+                <button class="dossier-toggle" ${aDesEnfants ? '' : 'disabled'}
+                    onclick="event.stopPropagation(); basculerDossierOuvert('${dossier.id}')">
+                    ${aDesEnfants ? (ouvert ? '▾' : '▸') : ''}
+                </button>
+                <span class="dossier-nom" title="${echapper(dossier.nom)}">📁 ${echapper(dossier.nom)}</span>
+                <span class="dossier-actions">
+                    <button title="Nouveau sous-dossier" onclick="event.stopPropagation(); demanderCreationDossier('${dossier.id}')">＋</button>
+                    <button title="Renommer" onclick="event.stopPropagation(); demanderRenommageDossier('${dossier.id}')">✏️</button>
+                    <button title="Supprimer" onclick="event.stopPropagation(); demanderSuppressionDossier('${dossier.id}')">🗑️</button>
+                </span>
+            </div>
+            ${aDesEnfants && ouvert ? creerBrancheHTML(dossier.id, niveau + 1) : ''}
+        `;
+    }).join('');
+}
+
+function basculerDossierOuvert(id) {
+    if (dossiersOuverts.has(id)) {
+        dossiersOuverts.delete(id);
+    } else {
+        dossiersOuverts.add(id);
+    }
+    localStorage.setItem(CLE_DOSSIERS_OUVERTS, JSON.stringify([...dossiersOuverts]));
+    afficherArbreDossiers();
+}
+
+/**
+ * Filtrer sur un dossier (null = tous les documents)
+ * @param {string|null} id
+ */
+function filtrerParDossier(id) {
+    etatApp.filtres.dossier_id = id;
+    etatApp.filtres.page = 0;
+
+    // Déplier les parents pour que le dossier actif soit visible
+    if (id) cheminDossier(id).slice(0, -1).forEach(d => dossiersOuverts.add(d.id));
+
+    afficherArbreDossiers();
+    afficherFilAriane();
+    chargerDocuments();
+}
+
+function basculerSousDossiers(inclure) {
+    etatApp.filtres.sous_dossiers = inclure;
+    if (etatApp.filtres.dossier_id) {
+        etatApp.filtres.page = 0;
+        chargerDocuments();
+    }
+}
+
+/**
+ * Fil d'Ariane au-dessus de la grille : Tous › 2024 › S5 › BDD
+ */
+function afficherFilAriane() {
+    const fil = document.getElementById('fil-ariane');
+    const id = etatApp.filtres.dossier_id;
+
+    if (!id) {
+        fil.style.display = 'none';
+        return;
+    }
+
+    fil.innerHTML = [
+        '<button class="fil-ariane-lien" onclick="filtrerParDossier(null)">🗂️ Tous</button>',
+        ...cheminDossier(id).map(d => d.id === id
+            ? `<span class="fil-ariane-courant">${echapper(d.nom)}</span>`
+            : `<button class="fil-ariane-lien" onclick="filtrerParDossier('${d.id}')">${echapper(d.nom)}</button>`)
+    ].join('<span class="fil-ariane-separateur">›</span>');
+    fil.style.display = 'flex';
+}
+
+// ============================================
+// CRÉER / RENOMMER / SUPPRIMER
+// ============================================
+
+async function demanderCreationDossier(parentId = null) {
+    const nom = prompt(parentId ? 'Nom du sous-dossier :' : 'Nom du dossier :');
+    if (!nom || !nom.trim()) return;
+
+    try {
+        await creerDossier(nom, parentId);
+        if (parentId) dossiersOuverts.add(parentId);
+        await chargerDossiers();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+async function demanderRenommageDossier(id) {
+    const dossier = dossiers.find(d => d.id === id);
+    const nom = prompt('Nouveau nom :', dossier ? dossier.nom : '');
+    if (!nom || !nom.trim() || (dossier && nom.trim() === dossier.nom)) return;
+
+    try {
+        await modifierDossier(id, { nom: nom.trim() });
+        await chargerDossiers();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+async function demanderSuppressionDossier(id) {
+    const dossier = dossiers.find(d => d.id === id);
+    const nbSousDossiers = idsDescendants(id).length - 1;
+    const message = `Supprimer le dossier "${dossier ? dossier.nom : ''}"`
+        + (nbSousDossiers > 0 ? ` et ses ${nbSousDossiers} sous-dossier(s)` : '')
+        + ' ?\nLes documents ne sont pas supprimés, ils sortent simplement du dossier.';
+    if (!confirm(message)) return;
+
+    try {
+        await supprimerDossier(id);
+        await chargerDossiers();
+        await chargerDocuments();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+// ============================================
+// GLISSER-DÉPOSER
+// ============================================
+
+/**
+ * Début du glisser d'une card
+ * En mode sélection, glisser une card cochée déplace toute la sélection
+ */
+function commencerGlisserDocument(event, docId) {
+    const ids = modeSelection && selection.has(docId) ? [...selection] : [docId];
+    event.dataTransfer.setData(GLISSER_DOCUMENTS, JSON.stringify(ids));
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+function commencerGlisserDossier(event, dossierId) {
+    event.dataTransfer.setData(GLISSER_DOSSIER, dossierId);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+function survolerDossier(event) {
+    const types = event.dataTransfer.types;
+    if (!types.includes(GLISSER_DOCUMENTS) && !types.includes(GLISSER_DOSSIER)) return;
+    event.preventDefault();  // autorise le drop
+    event.currentTarget.classList.add('survol');
+}
+
+function quitterDossier(event) {
+    event.currentTarget.classList.remove('survol');
+}
+
+/**
+ * Déposer des documents (ou un dossier) sur un dossier de la sidebar
+ * @param {DragEvent} event
+ * @param {string|null} dossierId - null = "Tous les documents" (sortir du dossier / mettre à la racine)
+ */
+async function deposerSurDossier(event, dossierId) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('survol');
+
+    try {
+        const documentsGlisses = event.dataTransfer.getData(GLISSER_DOCUMENTS);
+        const dossierGlisse = event.dataTransfer.getData(GLISSER_DOSSIER);
+
+        if (documentsGlisses) {
+            await deplacerDocuments(JSON.parse(documentsGlisses), dossierId);
+            await Promise.all([chargerDocuments(), rafraichirDetail()]);
+        } else if (dossierGlisse && dossierGlisse !== dossierId) {
+            await modifierDossier(dossierGlisse, { parent_id: dossierId });
+            if (dossierId) dossiersOuverts.add(dossierId);
+            await chargerDossiers();
+            // Les sous-dossiers du filtre actif ont pu changer
+            if (etatApp.filtres.dossier_id) await chargerDocuments();
+        }
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+// ============================================
+// MODAL DOCUMENT : CHOIX DU DOSSIER
+// ============================================
+
+/**
+ * Remplir le <select> du modal avec l'arbre (indenté)
+ * @param {string|null} valeur - Dossier sélectionné
+ */
+function remplirSelectDossiers(valeur) {
+    // Espaces insécables : les espaces normaux sont fusionnés dans un <option>
+    const options = ['<option value="">— Aucun dossier —</option>'];
+    const ajouterBranche = (parentId, niveau) => {
+        enfantsDe(parentId).forEach(dossier => {
+            options.push(`<option value="${dossier.id}">${'\u00a0\u00a0\u00a0'.repeat(niveau)}📁 ${echapper(dossier.nom)}</option>`);
+            ajouterBranche(dossier.id, niveau + 1);
+        });
+    };
+    ajouterBranche(null, 0);
+
+    const select = document.getElementById('doc-dossier');
+    select.innerHTML = options.join('');
+    select.value = valeur || '';
+}
@@ -0,0 +1,445 @@
+// ============================================
+// doublons.js - Documents enregistrés en double
+// ESIEA 2024 - Mohammed Abia
+//
+// Le même PDF ou le même lien finit souvent enregistré
+// deux ou trois fois sous des titres un peu différents.
+// Trois règles, toutes en SQL (voir DOUBLONS dans schema.sql) :
+//  - même fichier : empreinte SHA-256 (empreinteFichier)
+//  - même lien : URL normalisée (normaliser_url)
+//  - notes : titre ou texte très ressemblants (pg_trgm)
+// À la création, le modal propose d'ouvrir l'existant,
+// d'enregistrer quand même ou de fusionner. Le rapport
+// (sidebar) liste tous les groupes et les fusionne.
+// ============================================
+
+// Similarité minimale de deux notes (0 à 1, voir similarite_notes)
+const SEUIL_SIMILARITE_NOTES = 0.6;
+
+const RAISONS_DOUBLON = {
+    fichier: 'même fichier',
+    url: 'même lien',
+    texte: 'texte ressemblant'
+};
+
+let doublonsIgnores = false;   // "Enregistrer quand même" cliqué
+let donneesEnAttente = null;   // formulaire vérifié, repris par "Fusionner"
+let groupesDoublons = [];      // rapport : [{ raisons, documents }]
+
+/**
+ * Doublons possibles d'un document pas encore créé
+ * @param {object} data - Mêmes champs que pour ajouterDocument
+ * @returns {Promise<array>} [{ id, titre, type_doc, tags, date_creation, raison, similarite }]
+ */
+async function chercherDoublons(data) {
+    const { data: doublons, error } = await supabaseClient.rpc('chercher_doublons', {
+        p_type_doc: data.type_doc,
+        p_titre: data.titre.trim(),
+        p_contenu: data.contenu || null,
+        p_empreinte: data.empreinte_fichier || null,
+        p_seuil: SEUIL_SIMILARITE_NOTES
+    });
+
+    if (error) {
+        console.error('Erreur chercherDoublons :', error.message);
+        throw new Error('Impossible de vérifier les doublons');
+    }
+    return doublons;
+}
+
+/**
+ * Fusionner des doublons dans un seul document (voir fusionner_documents)
+ * Les autres vont à la corbeille.
+ * @param {string} garderId - Document gardé
+ * @param {string[]} autresIds
+ * @returns {Promise<object>} Le document gardé, à jour
+ */
+async function fusionnerDocuments(garderId, autresIds) {
+    const { data, error } = await supabaseClient.rpc('fusionner_documents', {
+        p_garder: garderId,
+        p_autres: autresIds
+    });
+
+    if (error) {
+        console.error('Erreur fusionnerDocuments :', error.message);
+        if (error.message.includes('document_introuvable')) {
+            throw new Error('Seuls tes propres documents (hors corbeille) peuvent être fusionnés');
+        }
+        if (error.message.includes('rien_a_fusionner')) {
+            throw new Error('Choisis au moins un autre document à fusionner');
+        }
+        throw new Error('Impossible de fusionner les documents');
+    }
+    return data;
+}
+
+/**
+ * Regrouper les paires de doublons (A~B et B~C → A, B, C ensemble)
+ * @returns {Promise<array>} [{ raisons: string[], documents: array }], le plus gros groupe d'abord
+ */
+async function getGroupesDoublons() {
+    const { data: paires, error } = await supabaseClient.rpc('paires_doublons', {
+        p_seuil: SEUIL_SIMILARITE_NOTES
+    });
+
+    if (error) {
+        console.error('Erreur getGroupesDoublons :', error.message);
+        throw new Error('Impossible de chercher les doublons');
+    }
+
+    // Union-find : chaque document pointe vers le représentant de son groupe
+    const parent = new Map();
+    const racine = (id) => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+    paires.forEach(({ id_a, id_b }) => {
+        [id_a, id_b].forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+        parent.set(racine(id_a), racine(id_b));
+    });
+
+    const groupes = new Map();
+    parent.forEach((_, id) => {
+        const cle = racine(id);
+        if (!groupes.has(cle)) groupes.set(cle, { raisons: new Set(), ids: [] });
+        groupes.get(cle).ids.push(id);
+    });
+    paires.forEach(({ id_a, raison }) => groupes.get(racine(id_a)).raisons.add(raison));
+
+    const ids = [...parent.keys()];
+    const documents = new Map();
+    for (let i = 0; i < ids.length; i += TAILLE_LOT_IDS) {
+        const { data, error: erreurDocs } = await supabaseClient
+            .from('documents')
+            .select('id, titre, type_doc, contenu, tags, est_favori, fichier_path, taille_kb, date_creation')
+            .in('id', ids.slice(i, i + TAILLE_LOT_IDS));
+
+        if (erreurDocs) {
+            console.error('Erreur getGroupesDoublons :', erreurDocs.message);
+            throw new Error('Impossible de lire les doublons');
+        }
+        data.forEach(doc => documents.set(doc.id, doc));
+    }
+
+    return [...groupes.values()]
+        .map(groupe => ({
+            raisons: [...groupe.raisons],
+            // Le plus ancien d'abord : c'est en général "l'original"
+            documents: groupe.ids
+                .map(id => documents.get(id))
+                .filter(doc => doc)
+                .sort((a, b) => new Date(a.date_creation) - new Date(b.date_creation))
+        }))
+        .filter(groupe => groupe.documents.length > 1)
+        .sort((a, b) => b.documents.length - a.documents.length);
+}
+
+/**
+ * Mes fichiers envoyés avant l'empreinte SHA-256 : pas encore comparables
+ * @returns {Promise<array>} [{ id, fichier_path }]
+ */
+async function getFichiersSansEmpreinte() {
+    const { data, error } = await supabaseClient
+        .from('documents')
+        .select('id, fichier_path')
+        .eq('user_id', etatApp.utilisateur.id)
+        .is('date_suppression', null)
+        .not('fichier_path', 'is', null)
+        .is('empreinte_fichier', null);
+
+    if (error) {
+        console.error('Erreur getFichiersSansEmpreinte :', error.message);
+        throw new Error('Impossible de lire les fichiers');
+    }
+    return data;
+}
+
+/**
+ * Télécharger ces anciens fichiers pour calculer leur empreinte
+ * (date_modification ne bouge pas, voir update_date_modification)
+ * @param {array} fichiers - Résultat de getFichiersSansEmpreinte
+ * @param {function} [onProgression] - Appelée avec (traites, total)
+ * @returns {Promise<number>} Fichiers introuvables (ignorés)
+ */
+async function calculerEmpreintesManquantes(fichiers, onProgression = () => {}) {
+    let introuvables = 0;
+
+    for (let i = 0; i < fichiers.length; i++) {
+        onProgression(i, fichiers.length);
+        try {
+            const empreinte = await empreinteFichier(await telechargerFichier(fichiers[i].fichier_path));
+            const { error } = await supabaseClient
+                .from('documents')
+                .update({ empreinte_fichier: empreinte })
+                .eq('id', fichiers[i].id);
+            if (error) throw error;
+        } catch (err) {
+            // Un fichier perdu ne doit pas bloquer les autres
+            console.warn('Erreur empreinte :', err.message);
+            introuvables++;
+        }
+    }
+    onProgression(fichiers.length, fichiers.length);
+    return introuvables;
+}
+
+// ============================================
+// À LA CRÉATION (modal document)
+// ============================================
+
+/**
+ * Appelée par soumettreDocument avant de créer un document
+ * @param {object} data - Champs du formulaire
+ * @returns {Promise<boolean>} true = doublons affichés, ne pas enregistrer tout de suite
+ */
+async function signalerDoublons(data) {
+    if (doublonsIgnores || estHorsLigne()) return false;
+    // Rien à comparer : pas d'URL, ou un PDF / une image sans fichier
+    if (data.type_doc === 'lien' ? !data.contenu : data.type_doc !== 'note' && !data.empreinte_fichier) {
+        return false;
+    }
+
+    let doublons;
+    try {
+        doublons = await chercherDoublons(data);
+    } catch (err) {
+        // La vérification est un plus : elle ne doit pas empêcher d'enregistrer
+        return false;
+    }
+    if (doublons.length === 0) return false;
+
+    donneesEnAttente = data;
+    afficherDoublonsTrouves(doublons);
+    return true;
+}
+
+/**
+ * @param {array} doublons - Résultat de chercherDoublons
+ */
+function afficherDoublonsTrouves(doublons) {
+    const zone = document.getElementById('doublons-trouves');
+    zone.innerHTML = `
+        <p><strong>Déjà enregistré ?</strong> Ce document ressemble à :</p>
+        <ul class="doublons-liste">
+            ${doublons.map(doc => `
+                <li data-id="${doc.id}">
+                    <span class="doublon-titre">${ICONES_TYPES[doc.type_doc] || '📋'} ${echapper(doc.titre)}</span>
+                    <span class="tag-compteur">${RAISONS_DOUBLON[doc.raison]}${doc.raison === 'texte' ? ` (${Math.round(doc.similarite * 100)} %)` : ''}</span>
+                    <button type="button" class="btn btn-ghost btn-small"
+                        onclick="ouvrirDoublon(this.closest('li').dataset.id)">Ouvrir</button>
+                    <button type="button" class="btn btn-ghost btn-small"
+                        title="Ajouter les tags, le favori et la description à ce document, sans créer le nouveau"
+                        onclick="fusionnerDansExistant(this.closest('li').dataset.id, this)">Fusionner</button>
+                </li>
+            `).join('')}
+        </ul>
+        <button type="button" class="btn btn-ghost btn-small" onclick="enregistrerQuandMeme()">Enregistrer quand même</button>
+    `;
+    zone.style.display = 'block';
+}
+
+function reinitialiserDoublons() {
+    doublonsIgnores = false;
+    donneesEnAttente = null;
+    const zone = document.getElementById('doublons-trouves');
+    zone.style.display = 'none';
+    zone.innerHTML = '';
+}
+
+/**
+ * "Ouvrir" : abandonner la saisie et afficher le document existant
+ * @param {string} docId
+ */
+function ouvrirDoublon(docId) {
+    fermerModal();
+    ouvrirDetail(docId);
+}
+
+function enregistrerQuandMeme() {
+    doublonsIgnores = true;
+    document.getElementById('form-document').requestSubmit();
+}
+
+/**
+ * "Fusionner" : le nouveau document n'est pas créé, ses tags, son favori
+ * et sa description (si l'existant n'en a pas) vont sur l'existant.
+ * Le fichier envoyé est supprimé par fermerModal (c'est le même contenu).
+ * @param {string} docId - Document existant
+ * @param {HTMLElement} bouton
+ */
+async function fusionnerDansExistant(docId, bouton) {
+    const errorDiv = document.getElementById('modal-error');
+    errorDiv.style.display = 'none';
+    bouton.disabled = true;
+
+    try {
+        const existant = await getDocument(docId);
+        await modifierDocument(docId, {
+            tags: [...(existant.tags || []), ...donneesEnAttente.tags],
+            est_favori: existant.est_favori || donneesEnAttente.est_favori,
+            description: existant.description || donneesEnAttente.description || null
+        });
+    } catch (err) {
+        errorDiv.textContent = err.message;
+        errorDiv.style.display = 'block';
+        bouton.disabled = false;
+        return;
+    }
+
+    fermerModal();
+    await Promise.all([chargerDocuments(), chargerTags(), chargerStats()]);
+    ouvrirDetail(docId);
+}
+
+// ============================================
+// RAPPORT DES DOUBLONS (modal ouvert depuis la sidebar)
+// ============================================
+
+async function ouvrirDoublons() {
+    if (estHorsLigne()) {
+        alert('La recherche des doublons a besoin du réseau');
+        return;
+    }
+    document.getElementById('doublons-error').style.display = 'none';
+    document.getElementById('modal-doublons').style.display = 'flex';
+    await rechargerDoublons();
+}
+
+function fermerDoublons() {
+    document.getElementById('modal-doublons').style.display = 'none';
+}
+
+async function rechargerDoublons() {
+    const liste = document.getElementById('liste-doublons');
+    liste.innerHTML = '<p class="tags-loading">Recherche des doublons...</p>';
+
+    try {
+        const [groupes, sansEmpreinte] = await Promise.all([getGroupesDoublons(), getFichiersSansEmpreinte()]);
+        groupesDoublons = groupes;
+        afficherEmpreintesManquantes(sansEmpreinte);
+        afficherGroupesDoublons();
+    } catch (err) {
+        liste.innerHTML = `<p class="tags-loading">${echapper(err.message)}</p>`;
+    }
+}
+
+/**
+ * Fichiers envoyés avant la détection : proposer de les comparer aussi
+ * @param {array} fichiers
+ */
+function afficherEmpreintesManquantes(fichiers) {
+    const zone = document.getElementById('doublons-empreintes');
+    if (fichiers.length === 0) {
+        zone.style.display = 'none';
+        return;
+    }
+
+    zone.innerHTML = `
+        <span>${fichiers.length} fichier(s) envoyé(s) avant la détection des doublons ne sont pas encore comparés.</span>
+        <button class="btn btn-ghost btn-small" id="btn-empreintes">Les comparer</button>
+    `;
+    // Liste passée directement : pas besoin de la relire au clic
+    document.getElementById('btn-empreintes').onclick = () => comparerAnciensFichiers(fichiers);
+    zone.style.display = 'flex';
+}
+
+/**
+ * @param {array} fichiers - Résultat de getFichiersSansEmpreinte
+ */
+async function comparerAnciensFichiers(fichiers) {
+    const zone = document.getElementById('doublons-empreintes');
+    zone.querySelector('button').disabled = true;
+    const texte = zone.querySelector('span');
+
+    const introuvables = await calculerEmpreintesManquantes(fichiers, (traites, total) => {
+        texte.textContent = `Lecture des fichiers : ${traites} / ${total}...`;
+    });
+    if (introuvables > 0) {
+        alert(`${introuvables} fichier(s) introuvable(s) n'ont pas pu être comparés`);
+    }
+    await rechargerDoublons();
+}
+
+function afficherGroupesDoublons() {
+    const liste = document.getElementById('liste-doublons');
+
+    if (groupesDoublons.length === 0) {
+        liste.innerHTML = '<p class="tags-loading">Aucun doublon trouvé 🎉</p>';
+        return;
+    }
+
+    liste.innerHTML = groupesDoublons.map((groupe, index) => {
+        // Gardé par défaut : un favori, sinon le plus ancien (trié en premier)
+        const garde = (groupe.documents.find(doc => doc.est_favori) || groupe.documents[0]).id;
+
+        return `
+            <section class="groupe-doublons" data-index="${index}">
+                <h4>${groupe.documents.length} documents · ${groupe.raisons.map(raison => RAISONS_DOUBLON[raison]).join(', ')}</h4>
+                <ul class="doublons-liste">
+                    ${groupe.documents.map(doc => `
+                        <li data-id="${doc.id}">
+                            <input type="checkbox" class="doublon-inclus" checked title="Inclure dans la fusion">
+                            <label class="doublon-titre">
+                                <input type="radio" name="garder-${index}" value="${doc.id}" ${doc.id === garde ? 'checked' : ''}>
+                                ${ICONES_TYPES[doc.type_doc] || '📋'} ${doc.est_favori ? '⭐ ' : ''}${echapper(doc.titre)}
+                            </label>
+                            <span class="tag-compteur">
+                                ${new Date(doc.date_creation).toLocaleDateString('fr-FR')}${doc.tags && doc.tags.length ? ` · ${echapper(doc.tags.join(', '))}` : ''}
+                            </span>
+                            <button class="card-action-btn" title="Voir (ferme le rapport)"
+                                onclick="voirDoublon(this.closest('li').dataset.id)">👁️</button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="conflit-actions">
+                    <span class="upload-note">Le document coché (●) est gardé, les autres vont à la corbeille.</span>
+                    <button class="btn btn-primary btn-small" onclick="fusionnerGroupe(${index}, this)">Fusionner</button>
+                </div>
+            </section>
+        `;
+    }).join('');
+}
+
+/**
+ * La vue détail est sous les modals : on ferme le rapport pour la voir
+ * @param {string} docId
+ */
+function voirDoublon(docId) {
+    fermerDoublons();
+    ouvrirDetail(docId);
+}
+
+/**
+ * Fusionner un groupe du rapport dans le document choisi (bouton radio)
+ * Les documents décochés ne sont pas touchés.
+ * @param {number} index - Position dans groupesDoublons
+ * @param {HTMLElement} bouton
+ */
+async function fusionnerGroupe(index, bouton) {
+    const section = document.querySelector(`.groupe-doublons[data-index="${index}"]`);
+    const errorDiv = document.getElementById('doublons-error');
+    errorDiv.style.display = 'none';
+
+    const garder = section.querySelector(`input[name="garder-${index}"]:checked`).value;
+    const autres = [...section.querySelectorAll('li')]
+        .filter(li => li.querySelector('.doublon-inclus').checked && li.dataset.id !== garder)
+        .map(li => li.dataset.id);
+
+    if (autres.length === 0) {
+        errorDiv.textContent = 'Coche au moins un autre document à fusionner';
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    bouton.disabled = true;
+    try {
+        await fusionnerDocuments(garder, autres);
+    } catch (err) {
+        errorDiv.textContent = err.message;
+        errorDiv.style.display = 'block';
+        bouton.disabled = false;
+        return;
+    }
+
+    await Promise.all([rechargerDoublons(), chargerDocuments(), chargerTags(), chargerStats()]);
+}
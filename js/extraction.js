@@ -0,0 +1,104 @@
+// ============================================
+// extraction.js - Extraction du texte des PDF
+// ESIEA 2024 - Mohammed Abia
+//
+// Le texte est extrait dans le navigateur avec
+// pdf.js puis rangé dans `contenu`, qui compte
+// dans le search_vector (poids C). Comme ça la
+// recherche full-text couvre l'intérieur des PDF.
+// ============================================
+
+// pdf.js n'est chargé que quand on en a besoin (~300 Ko)
+// Version 3 : c'est la dernière qui a encore un build non-module (window.pdfjsLib)
+const PDFJS_VERSION = '3.11.174';
+const PDFJS_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.min.js`;
+const PDFJS_WORKER_URL = `https://cdn.jsdelivr.net/npm/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.js`;
+
+// Limites pour ne pas exploser le tsvector (max 1 Mo côté PostgreSQL)
+// ni bloquer l'onglet sur un PDF de 800 pages
+const MAX_CARACTERES_EXTRAITS = 100000;
+const MAX_PAGES_EXTRAITES = 300;
+
+/**
+ * Charger pdf.js (une seule fois)
+ * @returns {Promise<object>} window.pdfjsLib
+ */
+async function chargerPdfJs() {
+    await chargerScript(PDFJS_URL);
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    return window.pdfjsLib;
+}
+
+/**
+ * Extraire le texte d'un PDF, page par page
+ *
+ * @param {ArrayBuffer} donnees - Contenu binaire du PDF
+ * @param {function} [onProgression] - Appelée avec (pageCourante, nbPages)
+ * @returns {Promise<{texte: string, tronque: boolean, nbPages: number, pagesLues: number}>}
+ *   pagesLues < nbPages quand l'extraction s'est arrêtée avant la fin (limites)
+ */
+async function extraireTextePDF(donnees, onProgression) {
+    const pdfjsLib = await chargerPdfJs();
+
+    let pdf;
+    try {
+        pdf = await pdfjsLib.getDocument({ data: donnees }).promise;
+    } catch (err) {
+        console.error('Erreur extraireTextePDF :', err);
+        // PasswordException, InvalidPDFException...
+        throw new Error('Impossible de lire ce PDF (protégé ou corrompu ?)');
+    }
+
+    const nbPages = Math.min(pdf.numPages, MAX_PAGES_EXTRAITES);
+    let texte = '';
+    let tronque = pdf.numPages > nbPages;
+    let pagesLues = 0;
+
+    try {
+        for (let numero = 1; numero <= nbPages; numero++) {
+            const page = await pdf.getPage(numero);
+            const contenuPage = await page.getTextContent();
+
+            // hasEOL = fin de ligne dans le PDF, sinon les morceaux sont sur la même ligne
+            const textePage = contenuPage.items
+                .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+                .join('')
+                .replace(/[ \t]+/g, ' ')
+                .trim();
+
+            if (textePage) texte += textePage + '\n\n';
+            page.cleanup();
+            pagesLues = numero;
+
+            if (onProgression) onProgression(numero, nbPages);
+
+            if (texte.length >= MAX_CARACTERES_EXTRAITS) {
+                texte = texte.slice(0, MAX_CARACTERES_EXTRAITS);
+                tronque = true;
+                break;
+            }
+        }
+    } finally {
+        await pdf.destroy();
+    }
+
+    return {
+        // PostgreSQL refuse le caractère NUL dans un TEXT
+        texte: texte.replace(/\u0000/g, '').trim(),
+        tronque,
+        nbPages: pdf.numPages,
+        pagesLues
+    };
+}
+
+/**
+ * Ré-extraire le texte d'un PDF déjà stocké dans Storage
+ *
+ * @param {string} chemin - fichier_path du document
+ * @param {function} [onProgression]
+ * @returns {Promise<{texte: string, tronque: boolean, nbPages: number, pagesLues: number}>}
+ */
+async function extraireTexteFichierStocke(chemin, onProgression) {
+    const blob = await telechargerFichier(chemin);
+    return await extraireTextePDF(await blob.arrayBuffer(), onProgression);
+}
@@ -0,0 +1,193 @@
+// ============================================
+// historique.js - Versions des documents
+// ESIEA 2024 - Mohammed Abia
+//
+// Les révisions sont écrites par le trigger SQL
+// enregistrer_revision() à chaque modification.
+// Ici on les lit, on calcule le diff entre deux
+// versions et on restaure une ancienne version.
+// ============================================
+
+// Champs versionnés (même liste que dans le trigger SQL)
+const CHAMPS_VERSIONNES = ['titre', 'type_doc', 'description', 'contenu', 'tags'];
+
+const LIBELLES_CHAMPS = {
+    titre: 'Titre',
+    type_doc: 'Type',
+    description: 'Description',
+    contenu: 'Contenu',
+    tags: 'Tags'
+};
+
+// Au-delà, le diff ligne à ligne (O(n×m)) devient trop lent :
+// on affiche juste "avant / après" en bloc
+const MAX_CELLULES_DIFF = 4000000;
+
+/**
+ * Récupérer la liste des révisions d'un document (sans le contenu)
+ *
+ * @param {string} documentId
+ * @returns {Promise<array>} De la plus récente à la plus ancienne
+ */
+async function getRevisions(documentId) {
+    const { data, error } = await supabaseClient
+        .from('revisions_documents')
+        .select('id, auteur_email, champs_modifies, date_revision')
+        .eq('document_id', documentId)
+        .order('date_revision', { ascending: false })
+        .order('id', { ascending: false });
+
+    if (error) {
+        console.error('Erreur getRevisions :', error.message);
+        throw new Error('Impossible de charger l\'historique');
+    }
+
+    return data || [];
+}
+
+/**
+ * Récupérer une révision complète (avec le contenu)
+ *
+ * @param {number} revisionId
+ * @returns {Promise<object>}
+ */
+async function getRevision(revisionId) {
+    const { data, error } = await supabaseClient
+        .from('revisions_documents')
+        .select('*')
+        .eq('id', revisionId)
+        .single();
+
+    if (error) {
+        console.error('Erreur getRevision :', error.message);
+        throw new Error('Version introuvable');
+    }
+
+    return data;
+}
+
+/**
+ * Restaurer une ancienne version
+ * C'est juste un UPDATE avec les anciennes valeurs : le trigger
+ * crée donc une nouvelle révision, rien n'est perdu.
+ *
+ * @param {string} documentId
+ * @param {number} revisionId
+ * @returns {Promise<object>} Le document modifié
+ */
+async function restaurerRevision(documentId, revisionId) {
+    const revision = await getRevision(revisionId);
+
+    return await modifierDocument(documentId, {
+        titre: revision.titre,
+        type_doc: revision.type_doc,
+        description: revision.description,
+        contenu: revision.contenu,
+        tags: revision.tags
+    });
+}
+
+/**
+ * Comparer deux révisions champ par champ
+ *
+ * @param {object} ancienne - Révision complète
+ * @param {object} nouvelle - Révision complète
+ * @returns {array} [{ champ, type: 'texte'|'tags'|'valeur', ... }] seulement les champs qui diffèrent
+ */
+function comparerRevisions(ancienne, nouvelle) {
+    const differences = [];
+
+    CHAMPS_VERSIONNES.forEach(champ => {
+        const avant = ancienne[champ];
+        const apres = nouvelle[champ];
+
+        if (champ === 'tags') {
+            const tagsAvant = avant || [];
+            const tagsApres = apres || [];
+            const ajoutes = tagsApres.filter(t => !tagsAvant.includes(t));
+            const retires = tagsAvant.filter(t => !tagsApres.includes(t));
+            if (ajoutes.length > 0 || retires.length > 0) {
+                differences.push({ champ, type: 'tags', ajoutes, retires });
+            }
+            return;
+        }
+
+        if ((avant || '') === (apres || '')) return;
+
+        if (champ === 'description' || champ === 'contenu') {
+            differences.push({ champ, type: 'texte', lignes: diffLignes(avant || '', apres || '') });
+        } else {
+            differences.push({ champ, type: 'valeur', avant, apres });
+        }
+    });
+
+    return differences;
+}
+
+/**
+ * Diff ligne à ligne (plus longue sous-séquence commune)
+ *
+ * @param {string} ancien
+ * @param {string} nouveau
+ * @returns {array} [{ type: 'egal'|'ajout'|'suppression', texte }]
+ */
+function diffLignes(ancien, nouveau) {
+    const a = ancien.split('\n');
+    const b = nouveau.split('\n');
+
+    // Enlever le début et la fin communs : en pratique une modif
+    // touche quelques lignes, ça réduit énormément le tableau
+    let debut = 0;
+    while (debut < a.length && debut < b.length && a[debut] === b[debut]) debut++;
+    let fin = 0;
+    while (fin < a.length - debut && fin < b.length - debut
+        && a[a.length - 1 - fin] === b[b.length - 1 - fin]) fin++;
+
+    const prefixe = a.slice(0, debut).map(texte => ({ type: 'egal', texte }));
+    const suffixe = a.slice(a.length - fin).map(texte => ({ type: 'egal', texte }));
+    const milieuA = a.slice(debut, a.length - fin);
+    const milieuB = b.slice(debut, b.length - fin);
+
+    // Trop gros : tout l'ancien supprimé, tout le nouveau ajouté
+    if (milieuA.length * milieuB.length > MAX_CELLULES_DIFF) {
+        return [
+            ...prefixe,
+            ...milieuA.map(texte => ({ type: 'suppression', texte })),
+            ...milieuB.map(texte => ({ type: 'ajout', texte })),
+            ...suffixe
+        ];
+    }
+
+    // Table LCS : lcs[i][j] = longueur commune de milieuA[i..] et milieuB[j..]
+    const n = milieuA.length;
+    const m = milieuB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = milieuA[i] === milieuB[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const milieu = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (milieuA[i] === milieuB[j]) {
+            milieu.push({ type: 'egal', texte: milieuA[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            milieu.push({ type: 'suppression', texte: milieuA[i] });
+            i++;
+        } else {
+            milieu.push({ type: 'ajout', texte: milieuB[j] });
+            j++;
+        }
+    }
+    while (i < n) milieu.push({ type: 'suppression', texte: milieuA[i++] });
+    while (j < m) milieu.push({ type: 'ajout', texte: milieuB[j++] });
+
+    return [...prefixe, ...milieu, ...suffixe];
+}
@@ -0,0 +1,863 @@
+// ============================================
+// hors-ligne.js - Mode hors ligne
+// ESIEA 2024 - Mohammed Abia
+//
+// Un miroir IndexedDB de mes documents (et de ceux
+// partagés avec moi) est tenu à jour quand on est
+// en ligne. Sans réseau :
+//   - la navigation, les filtres et une recherche
+//     simple lisent le miroir (chercherDansMiroir)
+//   - créer / modifier / favori / corbeille écrit
+//     dans le miroir ET dans une file d'attente
+// Au retour du réseau, la file est rejouée dans
+// l'ordre. Une modification n'est envoyée que si
+// date_modification côté serveur n'a pas bougé
+// depuis la dernière synchro ; sinon c'est un
+// conflit, et c'est l'user qui choisit la version.
+//
+// La coquille de l'app (HTML/JS/CSS) est mise en
+// cache par le service worker (sw.js à la racine).
+// ============================================
+
+const NOM_BASE_LOCALE = 'doc-manager';
+const VERSION_BASE_LOCALE = 1;
+
+// Taille des pages lues sur le serveur pour remplir le miroir
+const TAILLE_LOT_MIROIR = 500;
+
+let baseLocale = null;      // Promise<IDBDatabase>, ouverte une seule fois
+let rejeuEnCours = false;   // pour ne pas rejouer la file deux fois en même temps
+
+// ============================================
+// INDEXEDDB
+// ============================================
+
+/**
+ * Ouvrir (et créer au premier passage) la base locale
+ *   documents : le miroir, clé = id du document
+ *   mutations : la file d'attente, clé auto-incrémentée = ordre d'envoi
+ *   conflits  : les conflits pas encore tranchés, clé = document_id
+ *   meta      : dernier user connecté, dossiers, date de la dernière synchro
+ * @returns {Promise<IDBDatabase>}
+ */
+function ouvrirBaseLocale() {
+    if (!baseLocale) {
+        baseLocale = new Promise((resolve, reject) => {
+            const demande = indexedDB.open(NOM_BASE_LOCALE, VERSION_BASE_LOCALE);
+            demande.onupgradeneeded = () => {
+                const db = demande.result;
+                db.createObjectStore('documents', { keyPath: 'id' });
+                db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore('conflits', { keyPath: 'document_id' });
+                db.createObjectStore('meta');
+            };
+            demande.onsuccess = () => resolve(demande.result);
+            demande.onerror = () => {
+                baseLocale = null;  // pour pouvoir réessayer
+                reject(demande.error);
+            };
+        });
+    }
+    return baseLocale;
+}
+
+/**
+ * Transformer une requête IndexedDB (callbacks) en Promise
+ * @param {IDBRequest} demande
+ * @returns {Promise<any>}
+ */
+function promesseIDB(demande) {
+    return new Promise((resolve, reject) => {
+        demande.onsuccess = () => resolve(demande.result);
+        demande.onerror = () => reject(demande.error);
+    });
+}
+
+/**
+ * Lire tout un store, ou une seule clé
+ * @param {string} nom - Nom du store
+ * @param {any} [cle] - Sans clé : toutes les valeurs (dans l'ordre des clés)
+ * @returns {Promise<any>}
+ */
+async function lireStore(nom, cle) {
+    const db = await ouvrirBaseLocale();
+    const store = db.transaction(nom).objectStore(nom);
+    return promesseIDB(cle === undefined ? store.getAll() : store.get(cle));
+}
+
+/**
+ * Écrire dans un store : tout ce que fait `modifier` est dans UNE
+ * transaction (tout ou rien). Résolue quand la transaction est finie.
+ * @param {string|string[]} noms - Store(s) concernés
+ * @param {function} modifier - Reçoit la transaction, fait ses put / delete
+ * @returns {Promise<void>}
+ */
+async function ecrireStore(noms, modifier) {
+    const db = await ouvrirBaseLocale();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(noms, 'readwrite');
+        modifier(tx);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+async function lireMeta(cle) {
+    return lireStore('meta', cle);
+}
+
+async function ecrireMeta(cle, valeur) {
+    await ecrireStore('meta', tx => tx.objectStore('meta').put(valeur, cle));
+}
+
+/**
+ * Tout effacer (déconnexion, ou autre compte sur le même navigateur) :
+ * les documents ne doivent pas rester dans le navigateur
+ */
+async function viderBaseLocale() {
+    await ecrireStore(['documents', 'mutations', 'conflits', 'meta'], tx => {
+        ['documents', 'mutations', 'conflits', 'meta'].forEach(nom => tx.objectStore(nom).clear());
+    });
+}
+
+// ============================================
+// ÉTAT DE LA CONNEXION
+// ============================================
+
+/**
+ * navigator.onLine = false est fiable (pas de réseau du tout).
+ * L'inverse ne garantit pas que Supabase répond, mais dans ce cas
+ * les appels échouent avec leur message d'erreur habituel.
+ * @returns {boolean}
+ */
+function estHorsLigne() {
+    return !navigator.onLine;
+}
+
+/**
+ * L'erreur renvoyée par Supabase vient-elle du réseau (et pas du serveur) ?
+ * @param {object} error
+ * @returns {boolean}
+ */
+function estErreurReseau(error) {
+    return estHorsLigne() || /fetch|network/i.test(error.message || '');
+}
+
+/**
+ * Appelée par initialiserApp une fois l'user connu
+ * @param {object} user - { id, email }
+ */
+async function preparerHorsLigne(user) {
+    try {
+        // Un autre compte s'est connecté sur ce navigateur : on repart de zéro
+        const precedent = await lireMeta('utilisateur');
+        if (precedent && precedent.id !== user.id) {
+            await viderBaseLocale();
+        }
+        await ecrireMeta('utilisateur', { id: user.id, email: user.email });
+    } catch (err) {
+        // Navigation privée de Firefox, quota... : l'app marche quand même en ligne
+        console.warn('Base locale indisponible :', err.message);
+        return;
+    }
+
+    window.addEventListener('online', retourEnLigne);
+    window.addEventListener('offline', () => {
+        mettreAJourStatutConnexion();
+        chargerDocuments();
+    });
+
+    await mettreAJourStatutConnexion();
+
+    // En arrière-plan : le premier affichage n'attend pas la synchro
+    if (!estHorsLigne()) {
+        const nbAttente = (await lireStore('mutations')).length;
+        synchroniser().then(() => {
+            // Des modifications de la dernière visite (hors ligne) viennent d'être envoyées
+            if (nbAttente > 0) rechargerVues();
+        });
+    }
+}
+
+/**
+ * Dernier user connecté : verifierAuth s'en sert hors ligne quand
+ * le jeton a expiré et ne peut pas être rafraîchi
+ * @returns {Promise<object|null>}
+ */
+async function getUtilisateurHorsLigne() {
+    try {
+        return (await lireMeta('utilisateur')) || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+async function retourEnLigne() {
+    await synchroniser();
+    await rechargerVues();
+}
+
+async function rechargerVues() {
+    await Promise.all([chargerDocuments(), chargerTags(), chargerDossiers(), chargerStats(), rafraichirDetail()]);
+    await chargerRecherchesSauvegardees();   // après les dossiers (filtresDeRecherche)
+}
+
+/**
+ * Rejouer la file puis rafraîchir tout le miroir
+ */
+async function synchroniser() {
+    await rejouerMutations();
+    try {
+        await synchroniserMiroir();
+    } catch (err) {
+        console.warn('Erreur synchroniserMiroir :', err.message);
+    }
+    await mettreAJourStatutConnexion();
+}
+
+/**
+ * Pastille dans le header : hors ligne, modifications en attente, conflits
+ */
+async function mettreAJourStatutConnexion() {
+    const statut = document.getElementById('statut-connexion');
+    let nbAttente = 0;
+    let nbConflits = 0;
+    try {
+        [nbAttente, nbConflits] = await Promise.all([
+            lireStore('mutations').then(liste => liste.length),
+            lireStore('conflits').then(liste => liste.length)
+        ]);
+    } catch (err) {
+        // base locale indisponible : on affiche juste l'état du réseau
+    }
+
+    const morceaux = [];
+    if (estHorsLigne()) morceaux.push('Hors ligne');
+    if (rejeuEnCours) morceaux.push('Synchronisation...');
+    // Canal temps réel (app.js) : inutile de le signaler en plus de "Hors ligne"
+    if (tempsReelCoupe && !estHorsLigne()) morceaux.push('Mises à jour en direct interrompues');
+    if (nbAttente > 0) morceaux.push(`${nbAttente} modification(s) en attente`);
+    if (nbConflits > 0) morceaux.push(`${nbConflits} conflit(s) à régler`);
+
+    statut.textContent = morceaux.join(' · ');
+    statut.style.display = morceaux.length > 0 ? '' : 'none';
+    statut.classList.toggle('hors-ligne', estHorsLigne());
+    statut.classList.toggle('conflit', nbConflits > 0);
+    // Clic = ouvrir les conflits (s'il y en a)
+    statut.disabled = nbConflits === 0;
+}
+
+// ============================================
+// MIROIR DES DOCUMENTS
+// ============================================
+
+/**
+ * Recharger tous les documents visibles (corbeille comprise) dans le miroir
+ * Ceux qui ont des modifications pas encore envoyées gardent leur version locale.
+ */
+async function synchroniserMiroir() {
+    const documents = [];
+    for (let debut = 0; ; debut += TAILLE_LOT_MIROIR) {
+        const { data, error } = await supabaseClient
+            .from('documents')
+            .select('*, acces')
+            .order('id')
+            .range(debut, debut + TAILLE_LOT_MIROIR - 1);
+
+        if (error) {
+            console.error('Erreur synchroniserMiroir :', error.message);
+            throw new Error('Impossible de synchroniser les documents hors ligne');
+        }
+        documents.push(...data);
+        if (data.length < TAILLE_LOT_MIROIR) break;
+    }
+
+    const locaux = await lireStore('documents');
+    const idsServeur = new Set(documents.map(doc => doc.id));
+
+    await ecrireStore('documents', tx => {
+        const store = tx.objectStore('documents');
+        const enAttente = new Set(locaux.filter(doc => doc.en_attente).map(doc => doc.id));
+        documents.forEach(doc => {
+            if (!enAttente.has(doc.id)) store.put(doc);
+        });
+        // Supprimé pour de bon (ou plus partagé) depuis la dernière synchro
+        locaux.forEach(doc => {
+            if (!idsServeur.has(doc.id) && !doc.en_attente) store.delete(doc.id);
+        });
+    });
+    await ecrireMeta('derniere_synchro', new Date().toISOString());
+}
+
+/**
+ * Mettre à jour le miroir avec des documents fraîchement chargés
+ * (pages affichées en ligne) : le miroir reste à jour entre deux synchros
+ * Silencieuse : le miroir est un bonus, pas une raison d'afficher une erreur.
+ * @param {object[]} documents
+ */
+async function enregistrerDansMiroir(documents) {
+    try {
+        const locaux = await Promise.all(documents.map(doc => lireStore('documents', doc.id)));
+        await ecrireStore('documents', tx => {
+            documents.forEach((doc, index) => {
+                if (locaux[index] && locaux[index].en_attente) return;
+                // Les résultats de recherche ont en plus pertinence + extrait
+                const { pertinence, extrait, ...propre } = doc;
+                tx.objectStore('documents').put(propre);
+            });
+        });
+    } catch (err) {
+        console.warn('Erreur enregistrerDansMiroir :', err.message);
+    }
+}
+
+async function retirerDuMiroir(id) {
+    try {
+        await ecrireStore('documents', tx => tx.objectStore('documents').delete(id));
+    } catch (err) {
+        console.warn('Erreur retirerDuMiroir :', err.message);
+    }
+}
+
+/**
+ * Filtrer, trier et paginer le miroir comme le ferait rechercher_documents
+ * Mêmes paramètres que la fonction SQL (voir parametresRecherche dans search.js).
+ *
+ * Recherche simple : chaque mot / phrase doit apparaître (sans accents ni
+ * casse) dans le titre, la description, le contenu ou les tags. Pas de
+ * lemmatisation ni de score : "pertinence" trie par date de création.
+ *
+ * @param {object} parametres - p_terme, p_type_doc, p_tags, p_est_favori...
+ * @param {object} [options]
+ * @param {boolean} [options.corbeille] - Mes documents supprimés au lieu des autres
+ * @param {number} [options.page]
+ * @param {number|null} [options.limite] - null = tous les résultats
+ * @returns {Promise<{documents: array, total: number}>}
+ */
+async function chercherDansMiroir(parametres, { corbeille = false, page = 0, limite = DOCS_PAR_PAGE } = {}) {
+    const correspond = filtreParametres(parametres, corbeille);
+    const resultats = (await lireStore('documents')).filter(correspond);
+    resultats.sort(comparateurTri(parametres.p_tri, corbeille));
+
+    return {
+        documents: limite === null ? resultats : resultats.slice(page * limite, (page + 1) * limite),
+        total: resultats.length
+    };
+}
+
+/**
+ * Test "ce document fait-il partie des résultats ?" pour ces paramètres
+ * (aussi utilisé par le temps réel pour savoir si une card doit apparaître)
+ *
+ * @param {object} parametres - Mêmes paramètres que rechercher_documents
+ * @param {boolean} corbeille
+ * @returns {function(object): boolean}
+ */
+function filtreParametres(parametres, corbeille) {
+    const moi = etatApp.utilisateur.id;
+    const correspondTexte = compilerTexteLocal(parametres.p_terme);
+    // p_titre est échappé pour ILIKE (voir parametresRecherche)
+    const titre = parametres.p_titre ? normaliserTag(parametres.p_titre.replace(/\\(.)/g, '$1')) : null;
+
+    return (doc) => {
+        if (corbeille ? (!doc.date_suppression || doc.user_id !== moi) : doc.date_suppression) return false;
+        if (parametres.p_type_doc && doc.type_doc !== parametres.p_type_doc) return false;
+        if (parametres.p_tags && !parametres.p_tags.every(tag => (doc.tags || []).includes(tag))) return false;
+        if (parametres.p_est_favori !== null && parametres.p_est_favori !== undefined
+            && (doc.est_favori || false) !== parametres.p_est_favori) return false;
+        if (titre && !normaliserTag(doc.titre).includes(titre)) return false;
+        if (parametres.p_avant && new Date(doc.date_creation) >= new Date(parametres.p_avant)) return false;
+        if (parametres.p_apres && new Date(doc.date_creation) < new Date(parametres.p_apres)) return false;
+        if (parametres.p_partages && doc.user_id === moi) return false;
+        if (parametres.p_dossiers && !parametres.p_dossiers.includes(doc.dossier_id)) return false;
+        return correspondTexte(doc);
+    };
+}
+
+/**
+ * Même tri que getDocuments / rechercher_documents
+ * ("pertinence" n'a pas de score en local : date de création)
+ * @param {string} tri
+ * @param {boolean} corbeille
+ * @returns {function(object, object): number}
+ */
+function comparateurTri(tri, corbeille) {
+    const colonne = corbeille ? 'date_suppression'
+        : (!tri || tri === 'pertinence' ? 'date_creation' : tri);
+    return (a, b) => colonne === 'titre'
+        ? a.titre.localeCompare(b.titre, 'fr')
+        : new Date(b[colonne]) - new Date(a[colonne]);
+}
+
+/**
+ * Transformer le texte de la recherche (syntaxe websearch : mots,
+ * "phrases", OR, -exclus) en fonction de test sur un document
+ * @param {string|null} terme
+ * @returns {function(object): boolean}
+ */
+function compilerTexteLocal(terme) {
+    if (!terme) return () => true;
+
+    // Groupes reliés par ET ; dans un groupe, des termes reliés par OR
+    const groupes = [];
+    let apresOu = false;
+    decouperRequete(terme).forEach(token => {
+        // analyserRequete écrit 'or' en minuscules (comme websearch_to_tsquery)
+        if (token.genre === 'ou' || (token.genre === 'mot' && !token.exclu && token.valeur.toLowerCase() === 'or')) {
+            apresOu = true;
+            return;
+        }
+        const element = { valeur: normaliserTag(token.valeur), exclu: token.exclu };
+        if (apresOu && groupes.length > 0) {
+            groupes[groupes.length - 1].push(element);
+        } else {
+            groupes.push([element]);
+        }
+        apresOu = false;
+    });
+
+    return (doc) => {
+        const texte = normaliserTag([doc.titre, doc.description, doc.contenu, doc.texte_lien, ...(doc.tags || [])].join(' '));
+        return groupes.every(groupe => groupe.some(({ valeur, exclu }) => texte.includes(valeur) !== exclu));
+    };
+}
+
+/**
+ * Un document du miroir (vue détail, formulaire de modification)
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function getDocumentHorsLigne(id) {
+    const doc = await lireStore('documents', id);
+    if (!doc) throw new Error('Document pas disponible hors ligne');
+    return doc;
+}
+
+/**
+ * Mêmes résultats que compter_tags (mes documents hors corbeille)
+ * @returns {Promise<{tag: string, nb_documents: number}[]>}
+ */
+async function getTagsHorsLigne() {
+    const moi = etatApp.utilisateur.id;
+    const compteurs = {};
+    (await lireStore('documents'))
+        .filter(doc => doc.user_id === moi && !doc.date_suppression)
+        .forEach(doc => (doc.tags || []).forEach(tag => {
+            compteurs[tag] = (compteurs[tag] || 0) + 1;
+        }));
+
+    return Object.keys(compteurs).sort().map(tag => ({ tag, nb_documents: compteurs[tag] }));
+}
+
+/**
+ * Mêmes suggestions que suggerer_recherche, depuis le miroir
+ * @param {string} prefixe
+ * @param {number} limite
+ * @returns {Promise<array>}
+ */
+async function getSuggestionsHorsLigne(prefixe, limite) {
+    const prefixeTag = normaliserTag(prefixe);
+    const prefixeTitre = prefixe.toLowerCase();
+
+    const tags = (await getTagsHorsLigne())
+        .filter(({ tag }) => tag.startsWith(prefixeTag))
+        .sort((a, b) => b.nb_documents - a.nb_documents || a.tag.localeCompare(b.tag))
+        .slice(0, limite)
+        .map(({ tag, nb_documents }) => ({ genre: 'tag', valeur: tag, document_id: null, nb_documents }));
+
+    const titres = (await lireStore('documents'))
+        .filter(doc => !doc.date_suppression)
+        .map(doc => ({ doc, titre: doc.titre.toLowerCase() }))
+        .filter(({ titre }) => titre.startsWith(prefixeTitre) || titre.includes(' ' + prefixeTitre))
+        .sort((a, b) => b.titre.startsWith(prefixeTitre) - a.titre.startsWith(prefixeTitre)
+            || new Date(b.doc.date_modification) - new Date(a.doc.date_modification))
+        .slice(0, limite)
+        .map(({ doc }) => ({ genre: 'titre', valeur: doc.titre, document_id: doc.id, nb_documents: null }));
+
+    return [...tags, ...titres];
+}
+
+/**
+ * Mêmes compteurs que chargerStats (app.js)
+ * @returns {Promise<{total: number, favoris: number, corbeille: number}>}
+ */
+async function getStatsHorsLigne() {
+    const moi = etatApp.utilisateur.id;
+    const documents = await lireStore('documents');
+    const actifs = documents.filter(doc => !doc.date_suppression);
+    return {
+        total: actifs.length,
+        favoris: actifs.filter(doc => doc.est_favori).length,
+        corbeille: documents.filter(doc => doc.date_suppression && doc.user_id === moi).length
+    };
+}
+
+// ============================================
+// FILE D'ATTENTE DES MODIFICATIONS
+// ============================================
+
+/**
+ * Enregistrer une création / modification faite hors ligne :
+ * appliquée tout de suite au miroir, envoyée au retour du réseau
+ *
+ * @param {string} type - 'ajout' ou 'modification' (favori et corbeille sont des modifications)
+ * @param {string|null} docId - null pour un ajout (l'id est créé ici)
+ * @param {object} changements - Colonnes à insérer / mettre à jour (déjà nettoyées)
+ * @returns {Promise<object>} Le document tel qu'il est maintenant dans le miroir
+ */
+async function mettreEnAttente(type, docId, changements) {
+    const maintenant = new Date().toISOString();
+    let doc;
+
+    if (type === 'ajout') {
+        // L'id est choisi ici pour pouvoir modifier le document avant qu'il soit envoyé
+        docId = crypto.randomUUID();
+        changements = { ...changements, id: docId };
+        doc = {
+            ...changements,
+            date_creation: maintenant,
+            date_suppression: null,
+            acces: { permission: 'proprietaire', nb_partages: 0 },
+            date_serveur: null   // pas de version serveur : rien à comparer au rejeu
+        };
+    } else {
+        doc = await getDocumentHorsLigne(docId);
+        if (!peutModifier(doc)) throw new Error('Tu ne peux pas modifier ce document');
+        // date_modification du serveur avant la première modif hors ligne :
+        // c'est elle qui sert à détecter un conflit au rejeu
+        if (!doc.en_attente) doc.date_serveur = doc.date_modification;
+    }
+
+    Object.assign(doc, changements, { date_modification: maintenant, en_attente: true });
+
+    await ecrireStore(['documents', 'mutations'], tx => {
+        tx.objectStore('documents').put(doc);
+        tx.objectStore('mutations').add({
+            type,
+            document_id: docId,
+            changements,
+            date_base: type === 'ajout' ? null : doc.date_serveur,
+            date: maintenant
+        });
+    });
+
+    mettreAJourStatutConnexion();
+    return doc;
+}
+
+/**
+ * Envoyer la file d'attente, dans l'ordre
+ * S'arrête au premier problème réseau (la suite attend le prochain retour en ligne).
+ */
+async function rejouerMutations() {
+    if (rejeuEnCours || estHorsLigne()) return;
+    rejeuEnCours = true;
+
+    let echecs = 0;
+    let conflits = [];
+
+    try {
+        const mutations = await lireStore('mutations');
+        if (mutations.length === 0) return;
+        mettreAJourStatutConnexion();
+
+        // document_id → date_modification serveur après notre dernier envoi réussi
+        // (chaque update la change, la mutation suivante doit comparer à celle-là)
+        const bases = {};
+        // Conflits de cette session de rejeu : les mutations suivantes du même doc y vont aussi
+        const enConflit = {};
+
+        for (const mutation of mutations) {
+            const id = mutation.document_id;
+            const existant = enConflit[id] || await lireStore('conflits', id);
+
+            if (existant) {
+                Object.assign(existant.changements, mutation.changements);
+                enConflit[id] = existant;
+                await ecrireStore(['conflits', 'mutations'], tx => {
+                    tx.objectStore('conflits').put(existant);
+                    tx.objectStore('mutations').delete(mutation.id);
+                });
+                continue;
+            }
+
+            const base = id in bases ? bases[id] : mutation.date_base;
+            const resultat = await envoyerMutation(mutation, base);
+
+            if (resultat.statut === 'reseau') break;
+
+            if (resultat.statut === 'conflit') {
+                const conflit = {
+                    document_id: id,
+                    changements: { ...mutation.changements },
+                    serveur: resultat.serveur,  // null = supprimé ou plus partagé
+                    date: new Date().toISOString()
+                };
+                enConflit[id] = conflit;
+                await ecrireStore(['conflits', 'mutations'], tx => {
+                    tx.objectStore('conflits').put(conflit);
+                    tx.objectStore('mutations').delete(mutation.id);
+                });
+                continue;
+            }
+
+            if (resultat.statut === 'ok') {
+                bases[id] = resultat.date_modification;
+            } else {
+                echecs++;
+            }
+            await ecrireStore('mutations', tx => tx.objectStore('mutations').delete(mutation.id));
+            // Plus rien en attente pour ce document : la version serveur fait foi
+            if (!(await lireStore('mutations')).some(m => m.document_id === id)) {
+                await marquerSynchronise(id);
+            }
+        }
+
+        conflits = await lireStore('conflits');
+
+    } catch (err) {
+        console.error('Erreur rejouerMutations :', err.message);
+    } finally {
+        rejeuEnCours = false;
+        mettreAJourStatutConnexion();
+    }
+
+    if (echecs > 0) {
+        alert(`${echecs} modification(s) faite(s) hors ligne n'ont pas pu être enregistrées (droits insuffisants ou données refusées).`);
+    }
+    if (conflits.length > 0) {
+        ouvrirConflits();
+    }
+}
+
+/**
+ * Envoyer une mutation au serveur
+ * Modification : update conditionnel sur date_modification, comme ça
+ * la vérification et l'écriture se font en une seule requête.
+ *
+ * @param {object} mutation
+ * @param {string|null} base - date_modification attendue côté serveur (null = pas de vérif)
+ * @returns {Promise<object>} { statut: 'ok'|'conflit'|'erreur'|'reseau', date_modification, serveur }
+ */
+async function envoyerMutation(mutation, base) {
+    const id = mutation.document_id;
+
+    if (mutation.type === 'ajout') {
+        const { data, error } = await supabaseClient
+            .from('documents')
+            .insert(mutation.changements)
+            .select('date_modification')
+            .single();
+
+        if (!error) return { statut: 'ok', date_modification: data.date_modification };
+        if (estErreurReseau(error)) return { statut: 'reseau' };
+        // 23505 = l'id existe déjà : le rejeu précédent a été coupé juste après l'insert
+        if (error.code === '23505') {
+            const serveur = await lireVersionServeur(id);
+            return { statut: 'ok', date_modification: serveur ? serveur.date_modification : null };
+        }
+        console.error('Erreur rejeu ajout :', error.message);
+        return { statut: 'erreur' };
+    }
+
+    let query = supabaseClient.from('documents').update(mutation.changements).eq('id', id);
+    if (base) query = query.eq('date_modification', base);
+    const { data, error } = await query.select('date_modification');
+
+    if (error) {
+        if (estErreurReseau(error)) return { statut: 'reseau' };
+        console.error('Erreur rejeu modification :', error.message);
+        return { statut: 'erreur' };
+    }
+    if (data.length > 0) return { statut: 'ok', date_modification: data[0].date_modification };
+
+    // Aucune ligne modifiée : soit le document a changé (conflit),
+    // soit le RLS nous l'interdit (date inchangée = pas un conflit)
+    const serveur = await lireVersionServeur(id);
+    if (serveur && serveur.date_modification === base) {
+        console.error('Erreur rejeu modification : refusée pour', id);
+        return { statut: 'erreur' };
+    }
+    return { statut: 'conflit', serveur };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>} null si supprimé ou plus accessible
+ */
+async function lireVersionServeur(id) {
+    const { data, error } = await supabaseClient
+        .from('documents')
+        .select('*, acces')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Erreur lireVersionServeur :', error.message);
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Remplacer la version locale par celle du serveur (plus rien en attente)
+ * @param {string} id
+ */
+async function marquerSynchronise(id) {
+    const serveur = await lireVersionServeur(id);
+    if (serveur) {
+        await ecrireStore('documents', tx => tx.objectStore('documents').put(serveur));
+    } else {
+        await retirerDuMiroir(id);
+    }
+}
+
+// ============================================
+// RÉSOLUTION DES CONFLITS
+// ============================================
+
+// Libellés des champs qu'on peut modifier hors ligne (en plus de LIBELLES_CHAMPS)
+const LIBELLES_CHAMPS_CONFLIT = {
+    ...LIBELLES_CHAMPS,
+    est_favori: 'Favori',
+    dossier_id: 'Dossier',
+    date_suppression: 'Corbeille',
+    taille_kb: 'Taille'
+};
+
+async function ouvrirConflits() {
+    document.getElementById('modal-conflits').style.display = 'flex';
+    await afficherConflits();
+}
+
+function fermerConflits() {
+    document.getElementById('modal-conflits').style.display = 'none';
+}
+
+/**
+ * Un bloc par document en conflit : ma version et celle du serveur, champ par champ
+ */
+async function afficherConflits() {
+    const liste = document.getElementById('liste-conflits');
+    const conflits = await lireStore('conflits');
+
+    if (conflits.length === 0) {
+        fermerConflits();
+        return;
+    }
+
+    liste.innerHTML = conflits.map(conflit => {
+        const serveur = conflit.serveur;
+        const local = { ...(serveur || {}), ...conflit.changements };
+        const titre = local.titre || 'Document sans titre';
+
+        if (!serveur) {
+            return `
+                <li class="conflit-item" data-id="${conflit.document_id}">
+                    <strong>${echapper(titre)}</strong>
+                    <p class="upload-note">
+                        Supprimé (ou plus partagé avec toi) pendant que tu étais hors ligne :
+                        tes modifications ne peuvent pas être enregistrées.
+                    </p>
+                    <div class="conflit-actions">
+                        <button class="btn btn-ghost btn-small"
+                            onclick="resoudreConflit(this.closest('li').dataset.id, false)">OK</button>
+                    </div>
+                </li>
+            `;
+        }
+
+        const dateServeur = new Date(serveur.date_modification).toLocaleString('fr-FR', {
+            day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        const lignes = Object.keys(conflit.changements)
+            .filter(champ => LIBELLES_CHAMPS_CONFLIT[champ])
+            .map(champ => `
+                <tr>
+                    <th>${LIBELLES_CHAMPS_CONFLIT[champ]}</th>
+                    <td>${echapper(formaterValeurConflit(champ, conflit.changements[champ]))}</td>
+                    <td>${echapper(formaterValeurConflit(champ, serveur[champ]))}</td>
+                </tr>
+            `).join('');
+
+        return `
+            <li class="conflit-item" data-id="${conflit.document_id}">
+                <strong>${echapper(titre)}</strong>
+                <table class="conflit-table">
+                    <tr><th></th><th>Ta version (hors ligne)</th><th>Serveur (modifié le ${dateServeur})</th></tr>
+                    ${lignes}
+                </table>
+                <div class="conflit-actions">
+                    <button class="btn btn-ghost btn-small"
+                        onclick="resoudreConflit(this.closest('li').dataset.id, false)">Garder la version du serveur</button>
+                    <button class="btn btn-primary btn-small"
+                        onclick="resoudreConflit(this.closest('li').dataset.id, true)">Garder ma version</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * @param {string} champ
+ * @param {any} valeur
+ * @returns {string}
+ */
+function formaterValeurConflit(champ, valeur) {
+    if (champ === 'date_suppression') return valeur ? 'À la corbeille' : 'Non';
+    if (champ === 'est_favori') return valeur ? 'Oui' : 'Non';
+    if (champ === 'dossier_id') return valeur ? cheminDossier(valeur).map(d => d.nom).join(' / ') || '?' : 'Aucun';
+    if (Array.isArray(valeur)) return valeur.join(', ') || '(vide)';
+    if (valeur === null || valeur === undefined || valeur === '') return '(vide)';
+    // Le contenu peut être très long (texte d'un PDF)
+    const texte = String(valeur);
+    return texte.length > 200 ? texte.slice(0, 200) + '…' : texte;
+}
+
+/**
+ * Trancher un conflit
+ * @param {string} docId
+ * @param {boolean} garderLocal - true = écraser le serveur avec ma version
+ */
+async function resoudreConflit(docId, garderLocal) {
+    const conflit = await lireStore('conflits', docId);
+    if (!conflit) return;
+
+    try {
+        if (garderLocal) {
+            const { error } = await supabaseClient
+                .from('documents')
+                .update(conflit.changements)
+                .eq('id', docId);
+
+            if (error) {
+                console.error('Erreur resoudreConflit :', error.message);
+                throw new Error('Impossible d\'enregistrer ta version');
+            }
+        }
+
+        await ecrireStore('conflits', tx => tx.objectStore('conflits').delete(docId));
+        await marquerSynchronise(docId);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+
+    await afficherConflits();
+    mettreAJourStatutConnexion();
+    await rechargerVues();
+}
+
+// ============================================
+// SERVICE WORKER
+// ============================================
+
+// Coquille de l'app en cache (voir sw.js). Pas en file:// (pas supporté).
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.warn('Service worker non installé :', err.message);
+        });
+    });
+}
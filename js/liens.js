@@ -0,0 +1,134 @@
+// ============================================
+// liens.js - Aperçu des documents de type lien
+// ESIEA 2024 - Mohammed Abia
+//
+// Le navigateur ne peut pas lire une page d'un autre
+// site (CORS) : c'est l'edge function apercu-lien qui
+// s'en charge (supabase/functions/apercu-lien).
+//  - en tapant l'URL : titre et description proposés
+//  - à l'enregistrement : texte de la page (recherche),
+//    favicon et état du lien, enregistrés sur le document
+//  - une fois par jour au plus : revérifier les vieux
+//    liens pour repérer les liens morts
+// ============================================
+
+const CLE_DERNIERE_VERIFICATION = 'doc-manager-verification-liens';
+const INTERVALLE_VERIFICATION_MS = 24 * 3600 * 1000;
+
+let jetonApercu = 0;  // pour ignorer un aperçu arrivé après une URL plus récente
+
+/**
+ * Appeler l'edge function (le JWT de la session est ajouté par supabase-js)
+ * @param {object} corps - { url } | { document_id } | { verifier: true }
+ * @returns {Promise<object>}
+ */
+async function appelerApercuLien(corps) {
+    const { data, error } = await supabaseClient.functions.invoke('apercu-lien', { body: corps });
+
+    if (error) {
+        console.error('Erreur apercu-lien :', error.message);
+        throw new Error('Impossible d\'analyser le lien');
+    }
+    if (data && data.erreur) throw new Error(data.erreur);
+
+    return data;
+}
+
+/**
+ * Aperçu d'une URL, sans rien enregistrer
+ * @param {string} url
+ * @returns {Promise<object>} { url_finale, statut, titre, description, favicon, texte, erreur }
+ */
+async function getApercuLien(url) {
+    return await appelerApercuLien({ url });
+}
+
+/**
+ * Analyser le lien d'un document et enregistrer le résultat
+ * En arrière-plan : le temps réel met la card à jour quand c'est fini.
+ * @param {string} docId
+ */
+async function analyserLien(docId) {
+    try {
+        await appelerApercuLien({ document_id: docId });
+        if (docDetail && docDetail.id === docId) await rafraichirDetail();
+    } catch (err) {
+        // Pas grave : le lien est enregistré, la vérification périodique repassera
+        console.error('Erreur analyse du lien :', err.message);
+    }
+}
+
+/**
+ * Bouton "Revérifier" de la vue détail
+ * @param {string} docId
+ */
+async function reverifierLien(docId) {
+    const bouton = document.getElementById('btn-reverifier-lien');
+    if (bouton) {
+        bouton.disabled = true;
+        bouton.textContent = 'Vérification...';
+    }
+    await analyserLien(docId);
+    // Si le panneau n'a pas été redessiné (erreur), on rend le bouton
+    if (bouton && bouton.isConnected) {
+        bouton.disabled = false;
+        bouton.textContent = 'Revérifier';
+    }
+}
+
+/**
+ * Revérifier les liens pas vus depuis longtemps (au plus une fois par jour)
+ * L'edge function n'en traite qu'une vingtaine par appel : les autres
+ * passeront les jours suivants (ou avec le cron, voir schema.sql).
+ */
+async function verifierLiensAnciens() {
+    const derniere = parseInt(localStorage.getItem(CLE_DERNIERE_VERIFICATION)) || 0;
+    if (estHorsLigne() || Date.now() - derniere < INTERVALLE_VERIFICATION_MS) return;
+
+    // Noté avant l'appel : deux onglets ouverts en même temps ne vérifient pas deux fois
+    localStorage.setItem(CLE_DERNIERE_VERIFICATION, String(Date.now()));
+    try {
+        await appelerApercuLien({ verifier: true });
+    } catch (err) {
+        console.error('Erreur vérification des liens :', err.message);
+    }
+}
+
+/**
+ * URL saisie dans le formulaire : proposer titre et description
+ * On ne remplit que les champs vides (jamais ce que l'user a tapé).
+ */
+async function preremplirDepuisLien() {
+    const type = document.getElementById('doc-type').value;
+    const url = urlSure(document.getElementById('doc-contenu').value);
+    if (type !== 'lien' || !url || estHorsLigne()) return;
+
+    const jeton = ++jetonApercu;
+    const statut = document.getElementById('extraction-statut');
+    statut.textContent = 'Lecture de la page...';
+    statut.style.display = 'block';
+
+    try {
+        const apercu = await getApercuLien(url.href);
+        if (jeton !== jetonApercu) return;
+
+        const champTitre = document.getElementById('doc-titre');
+        const champDescription = document.getElementById('doc-description');
+        if (!champTitre.value.trim() && apercu.titre) champTitre.value = apercu.titre;
+        if (!champDescription.value.trim() && apercu.description) champDescription.value = apercu.description;
+
+        statut.textContent = apercu.statut >= 400
+            ? `La page répond ${apercu.statut} : lien peut-être mort`
+            : 'Titre et description récupérés depuis la page';
+    } catch (err) {
+        if (jeton !== jetonApercu) return;
+        statut.textContent = err.message;
+    }
+}
+
+/**
+ * Oublier l'aperçu en cours (modal fermé ou rouvert)
+ */
+function reinitialiserApercuLien() {
+    jetonApercu++;
+}
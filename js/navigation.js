@@ -0,0 +1,145 @@
+// ============================================
+// navigation.js - État de la vue dans l'URL
+// ESIEA 2024 - Mohammed Abia
+//
+// Recherche, filtres, tri, page et document ouvert
+// sont recopiés dans l'URL :
+//   index.html?q=jointure&type=pdf&tag=bdd&page=2&doc=<id>
+// Recharger, mettre la vue en favori ou coller le
+// lien à quelqu'un redonne la même vue, et le bouton
+// Retour annule le dernier changement de filtre.
+//
+// chargerDocuments appelle enregistrerEtatDansUrl()
+// à chaque affichage : une entrée d'historique est
+// créée seulement si l'état a vraiment changé.
+// ?doc= reste géré par detail.js.
+// ============================================
+
+// Tris acceptés dans l'URL (mêmes options que #select-tri)
+const TRIS_URL = ['pertinence', 'date_creation', 'date_modification', 'titre'];
+
+let premiereVue = true;   // le premier affichage remplace l'entrée d'historique au lieu d'en ajouter une
+
+/**
+ * Paramètres d'URL qui décrivent l'état courant (sans doc)
+ * Les valeurs par défaut ne sont pas écrites, pour garder des URLs courtes.
+ * @returns {URLSearchParams}
+ */
+function parametresDepuisEtat() {
+    const { filtres, rechercheCourante } = etatApp;
+    const params = new URLSearchParams();
+
+    if (rechercheCourante) params.set('q', rechercheCourante);
+    if (filtres.type_doc) params.set('type', filtres.type_doc);
+    filtres.tags.forEach(tag => params.append('tag', tag));
+    if (filtres.favoris) params.set('favoris', '1');
+    if (filtres.partages) params.set('partages', '1');
+    if (filtres.corbeille) params.set('corbeille', '1');
+    if (filtres.dossier_id) params.set('dossier', filtres.dossier_id);
+    if (!filtres.sous_dossiers) params.set('sous_dossiers', '0');
+    if (filtres.tri !== 'pertinence') params.set('tri', filtres.tri);
+    // Page 1 pour l'user, 0 dans etatApp
+    if (filtres.page > 0) params.set('page', filtres.page + 1);
+
+    return params;
+}
+
+/**
+ * Recopier l'état dans l'URL (nouvelle entrée d'historique si ça a changé)
+ * @param {boolean} [remplacer] - Corriger l'entrée actuelle au lieu d'en ajouter une
+ */
+function enregistrerEtatDansUrl(remplacer = false) {
+    const actuelle = new URL(window.location.href);
+    const params = parametresDepuisEtat();
+    const docOuvert = actuelle.searchParams.get('doc');
+    if (docOuvert) params.set('doc', docOuvert);
+
+    const nouvelle = new URL(actuelle);
+    nouvelle.search = params.toString();
+
+    if (nouvelle.href !== actuelle.href) {
+        // Taper une recherche ne doit pas créer une entrée par mot : on remplace
+        const rechercheAffinee = actuelle.searchParams.get('q') && params.get('q')
+            && sansRecherche(actuelle.searchParams) === sansRecherche(params);
+
+        if (premiereVue || remplacer || rechercheAffinee) {
+            history.replaceState(history.state, '', nouvelle);
+        } else {
+            history.pushState({ vue: true }, '', nouvelle);
+        }
+    }
+    premiereVue = false;
+}
+
+/**
+ * Les paramètres sans la recherche ni la page (la recherche remet la page à 1)
+ * @param {URLSearchParams} params
+ * @returns {string}
+ */
+function sansRecherche(params) {
+    const copie = new URLSearchParams(params);
+    copie.delete('q');
+    copie.delete('page');
+    return copie.toString();
+}
+
+/**
+ * Remettre l'état de la vue d'après l'URL (chargement, Retour / Suivant)
+ * Les valeurs invalides (URL modifiée à la main) sont ignorées.
+ * @returns {boolean} true si l'état a changé
+ */
+function lireEtatDepuisUrl() {
+    const params = new URL(window.location.href).searchParams;
+    const avant = parametresDepuisEtat().toString();
+
+    const type = params.get('type');
+    const tri = params.get('tri');
+    const page = parseInt(params.get('page'), 10);
+
+    etatApp.rechercheCourante = (params.get('q') || '').trim();
+    Object.assign(etatApp.filtres, {
+        type_doc: TYPES_DOC.includes(type) ? type : null,
+        tags: normaliserTags(params.getAll('tag')),
+        favoris: params.get('favoris') === '1',
+        partages: params.get('partages') === '1',
+        corbeille: params.get('corbeille') === '1',
+        // Un id inconnu est remis à null par chargerDossiers
+        dossier_id: params.get('dossier') || null,
+        sous_dossiers: params.get('sous_dossiers') !== '0',
+        tri: TRIS_URL.includes(tri) ? tri : 'pertinence',
+        page: page > 1 ? page - 1 : 0
+    });
+
+    afficherEtatDansInterface();
+    return parametresDepuisEtat().toString() !== avant;
+}
+
+/**
+ * Mettre les boutons, le tri, la barre de recherche... d'accord avec etatApp
+ */
+function afficherEtatDansInterface() {
+    const { filtres } = etatApp;
+
+    document.getElementById('input-recherche').value = etatApp.rechercheCourante;
+    document.querySelectorAll('.filter-btn[data-type]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === (filtres.type_doc || ''));
+    });
+    document.getElementById('btn-favoris').classList.toggle('active', filtres.favoris);
+    document.getElementById('btn-partages').classList.toggle('active', filtres.partages);
+    document.getElementById('btn-corbeille').classList.toggle('active', filtres.corbeille);
+    document.getElementById('select-tri').value = filtres.tri;
+    document.getElementById('filtre-sous-dossiers').checked = filtres.sous_dossiers;
+    document.querySelectorAll('#tags-container .tag-badge').forEach(badge => {
+        badge.classList.toggle('active', filtres.tags.includes(badge.dataset.tag));
+    });
+    afficherArbreDossiers();
+    afficherFilAriane();
+}
+
+// Retour / Suivant : filtres d'abord, puis le panneau détail (?doc=)
+window.addEventListener('popstate', () => {
+    // Une recherche tapée juste avant ne doit pas écraser l'état restauré
+    clearTimeout(debounceTimer);
+    if (lireEtatDepuisUrl()) chargerDocuments();
+    synchroniserDetailAvecUrl();
+});
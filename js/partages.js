@@ -0,0 +1,107 @@
+// ============================================
+// partages.js - Partage de documents
+// ESIEA 2024 - Mohammed Abia
+//
+// Un document se partage par email avec un autre
+// compte, en lecture seule ou en édition. Les droits
+// sont vérifiés par le RLS (voir schema.sql), le JS
+// ne fait que cacher les boutons inutiles.
+// ============================================
+
+// Libellés affichés pour chaque permission
+const LIBELLES_PERMISSION = {
+    proprietaire: 'Propriétaire',
+    edition: 'Édition',
+    lecture: 'Lecture seule'
+};
+
+/**
+ * Partager un document avec un autre compte
+ * Si le partage existe déjà, la permission est mise à jour.
+ *
+ * @param {string} documentId - UUID du document
+ * @param {string} email - Email du compte destinataire
+ * @param {string} permission - 'lecture' ou 'edition'
+ * @returns {Promise<object>} Le partage créé
+ */
+async function partagerDocument(documentId, email, permission) {
+    const { data, error } = await supabaseClient.rpc('partager_document', {
+        p_document_id: documentId,
+        p_email: email.trim(),
+        p_permission: permission
+    });
+
+    if (error) {
+        console.error('Erreur partagerDocument :', error.message);
+        // Les RAISE EXCEPTION de partager_document() arrivent dans error.message
+        if (error.message.includes('utilisateur_introuvable')) {
+            throw new Error('Aucun compte n\'existe avec cet email');
+        }
+        if (error.message.includes('partage_avec_soi_meme')) {
+            throw new Error('Tu ne peux pas partager un document avec toi-même');
+        }
+        if (error.message.includes('document_introuvable')) {
+            throw new Error('Seul le propriétaire peut partager ce document');
+        }
+        throw new Error('Impossible de partager le document');
+    }
+
+    return data;
+}
+
+/**
+ * Récupérer les partages d'un document (côté propriétaire)
+ *
+ * @param {string} documentId
+ * @returns {Promise<array>}
+ */
+async function getPartages(documentId) {
+    const { data, error } = await supabaseClient
+        .from('partages')
+        .select('id, destinataire_email, permission, date_creation')
+        .eq('document_id', documentId)
+        .order('date_creation', { ascending: true });
+
+    if (error) {
+        console.error('Erreur getPartages :', error.message);
+        throw new Error('Impossible de charger les partages');
+    }
+
+    return data || [];
+}
+
+/**
+ * Retirer un partage (le destinataire perd l'accès tout de suite)
+ *
+ * @param {string} partageId - UUID du partage
+ */
+async function revoquerPartage(partageId) {
+    const { error } = await supabaseClient
+        .from('partages')
+        .delete()
+        .eq('id', partageId);
+
+    if (error) {
+        console.error('Erreur revoquerPartage :', error.message);
+        throw new Error('Impossible de retirer le partage');
+    }
+}
+
+/**
+ * Permission de l'user courant sur un document
+ * (doc.acces vient de la colonne calculée acces() côté SQL)
+ *
+ * @param {object} doc
+ * @returns {string} 'proprietaire', 'edition' ou 'lecture'
+ */
+function getPermission(doc) {
+    return doc.acces ? doc.acces.permission : 'proprietaire';
+}
+
+function peutModifier(doc) {
+    return ['proprietaire', 'edition'].includes(getPermission(doc));
+}
+
+function estProprietaire(doc) {
+    return getPermission(doc) === 'proprietaire';
+}
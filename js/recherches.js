@@ -0,0 +1,386 @@
+// ============================================
+// recherches.js - Recherches enregistrées
+// ESIEA 2024 - Mohammed Abia
+//
+// On relance souvent les mêmes combinaisons
+// (type:pdf + tag:examen + favoris, "jointure"...).
+// On peut donc enregistrer la recherche courante
+// (saisie + filtres) sous un nom : elle apparaît
+// dans la sidebar avec son nombre de résultats.
+// C'est la requête qui est gardée, pas les
+// résultats : un document ajouté plus tard qui
+// correspond apparaît tout seul dedans.
+// ============================================
+
+let recherchesSauvegardees = null; // { id, nom, requete, filtres, position }, dans l'ordre (null = pas encore chargées)
+let compteursRecherches = {};      // id → nombre de résultats (null = erreur)
+let comptageTimer = null;
+
+// Type de données du glisser-déposer (réordonner la liste)
+const GLISSER_RECHERCHE = 'application/x-recherche';
+
+// Attente avant de recompter après un changement (une action groupée = un seul comptage)
+const DELAI_COMPTAGE = 1000;
+
+/**
+ * Traduire les erreurs SQL des recherches enregistrées (index unique)
+ * @param {object} error - Erreur Supabase
+ * @param {string} messageParDefaut
+ * @returns {Error}
+ */
+function erreurRechercheSauvegardee(error, messageParDefaut) {
+    if (error.code === '23505') return new Error('Une recherche enregistrée porte déjà ce nom');
+    return new Error(messageParDefaut);
+}
+
+/**
+ * @returns {Promise<array>} Mes recherches enregistrées, dans l'ordre de la sidebar
+ */
+async function getRecherchesSauvegardees() {
+    // Hors ligne : la liste telle qu'elle était à la dernière visite
+    if (estHorsLigne()) {
+        return (await lireMeta('recherches')) || [];
+    }
+
+    const { data, error } = await supabaseClient
+        .from('recherches_sauvegardees')
+        .select('id, nom, requete, filtres, position')
+        .order('position')
+        .order('date_creation');
+
+    if (error) {
+        console.error('Erreur getRecherchesSauvegardees :', error.message);
+        throw new Error('Impossible de charger les recherches enregistrées');
+    }
+
+    ecrireMeta('recherches', data || []).catch(err => {
+        console.warn('Erreur sauvegarde recherches hors ligne :', err.message);
+    });
+    return data || [];
+}
+
+/**
+ * Enregistrer une recherche (ajoutée à la fin de la liste)
+ * @param {string} nom
+ * @param {string} requete - Saisie de la barre de recherche
+ * @param {object} filtres - Voir filtresAEnregistrer()
+ * @returns {Promise<object>}
+ */
+async function creerRechercheSauvegardee(nom, requete, filtres) {
+    const session = await getSession();
+    const position = (recherchesSauvegardees || []).reduce((max, r) => Math.max(max, r.position + 1), 0);
+
+    const { data, error } = await supabaseClient
+        .from('recherches_sauvegardees')
+        .insert({ user_id: session.user.id, nom: nom.trim(), requete, filtres, position })
+        .select('id, nom, requete, filtres, position')
+        .single();
+
+    if (error) {
+        console.error('Erreur creerRechercheSauvegardee :', error.message);
+        throw erreurRechercheSauvegardee(error, 'Impossible d\'enregistrer la recherche');
+    }
+
+    return data;
+}
+
+/**
+ * @param {string} id
+ * @param {string} nom
+ */
+async function renommerRechercheSauvegardee(id, nom) {
+    const { error } = await supabaseClient
+        .from('recherches_sauvegardees')
+        .update({ nom: nom.trim() })
+        .eq('id', id);
+
+    if (error) {
+        console.error('Erreur renommerRechercheSauvegardee :', error.message);
+        throw erreurRechercheSauvegardee(error, 'Impossible de renommer la recherche');
+    }
+}
+
+/**
+ * @param {string} id
+ */
+async function supprimerRechercheSauvegardee(id) {
+    const { error } = await supabaseClient
+        .from('recherches_sauvegardees')
+        .delete()
+        .eq('id', id);
+
+    if (error) {
+        console.error('Erreur supprimerRechercheSauvegardee :', error.message);
+        throw new Error('Impossible de supprimer la recherche');
+    }
+}
+
+/**
+ * Enregistrer le nouvel ordre de la liste (une seule requête)
+ * @param {string[]} ids - Toutes mes recherches, dans l'ordre voulu
+ */
+async function reordonnerRecherchesSauvegardees(ids) {
+    const { error } = await supabaseClient.rpc('reordonner_recherches', { p_ids: ids });
+
+    if (error) {
+        console.error('Erreur reordonnerRecherchesSauvegardees :', error.message);
+        throw new Error('Impossible de réordonner les recherches');
+    }
+}
+
+// ============================================
+// FILTRES ENREGISTRÉS
+// ============================================
+
+/**
+ * Filtres courants à enregistrer (sans la page ni la corbeille)
+ * @returns {object}
+ */
+function filtresAEnregistrer() {
+    const { type_doc, tags, favoris, partages, dossier_id, sous_dossiers, tri } = etatApp.filtres;
+    return { type_doc, tags: [...tags], favoris, partages, dossier_id, sous_dossiers, tri };
+}
+
+/**
+ * Filtres complets d'une recherche enregistrée
+ * Les valeurs manquantes ou devenues invalides (dossier supprimé...) sont remises par défaut.
+ * @param {object} recherche
+ * @returns {object} Même forme que etatApp.filtres
+ */
+function filtresDeRecherche(recherche) {
+    const f = recherche.filtres || {};
+    return {
+        type_doc: TYPES_DOC.includes(f.type_doc) ? f.type_doc : null,
+        tags: normaliserTags(f.tags || []),
+        favoris: !!f.favoris,
+        partages: !!f.partages,
+        corbeille: false,
+        dossier_id: f.dossier_id && dossiers.some(d => d.id === f.dossier_id) ? f.dossier_id : null,
+        sous_dossiers: f.sous_dossiers !== false,
+        tri: TRIS_URL.includes(f.tri) ? f.tri : 'pertinence',
+        page: 0
+    };
+}
+
+/**
+ * Clé qui décrit une recherche (pour savoir laquelle est affichée)
+ * @param {string} requete
+ * @param {object} filtres
+ * @returns {string}
+ */
+function cleRecherche(requete, filtres) {
+    return JSON.stringify([
+        requete.trim(),
+        filtres.type_doc,
+        [...filtres.tags].sort(),
+        filtres.favoris,
+        filtres.partages,
+        filtres.dossier_id,
+        // sans dossier, l'option des sous-dossiers ne change rien
+        filtres.dossier_id ? filtres.sous_dossiers : true,
+        filtres.tri
+    ]);
+}
+
+/**
+ * @returns {string|null} Id de la recherche enregistrée qui correspond à la vue affichée
+ */
+function rechercheSauvegardeeActive() {
+    if (etatApp.filtres.corbeille) return null;
+    const cle = cleRecherche(etatApp.rechercheCourante, etatApp.filtres);
+    const active = recherchesSauvegardees.find(r => cleRecherche(r.requete, filtresDeRecherche(r)) === cle);
+    return active ? active.id : null;
+}
+
+// ============================================
+// SIDEBAR
+// ============================================
+
+async function chargerRecherchesSauvegardees() {
+    const container = document.getElementById('liste-recherches');
+    try {
+        recherchesSauvegardees = await getRecherchesSauvegardees();
+    } catch (err) {
+        container.innerHTML = '<span class="tags-loading">Erreur</span>';
+        return;
+    }
+
+    afficherRecherchesSauvegardees();
+    await compterRecherchesSauvegardees();
+}
+
+function afficherRecherchesSauvegardees() {
+    const container = document.getElementById('liste-recherches');
+    if (!recherchesSauvegardees) return;   // chargerDocuments passe avant le premier chargement
+
+    if (recherchesSauvegardees.length === 0) {
+        container.innerHTML = '<span class="tags-loading">Aucune recherche enregistrée</span>';
+        return;
+    }
+
+    const active = rechercheSauvegardeeActive();
+    container.innerHTML = recherchesSauvegardees.map(recherche => {
+        const nb = compteursRecherches[recherche.id];
+        const compteur = nb === undefined ? '…' : (nb === null ? '?' : nb);
+
+        return `
+            <div class="dossier-noeud recherche-sauvegardee ${recherche.id === active ? 'active' : ''}"
+                draggable="true"
+                ondragstart="commencerGlisserRecherche(event, '${recherche.id}')"
+                ondragover="survolerRecherche(event)" ondragleave="quitterDossier(event)"
+                ondrop="deposerSurRecherche(event, '${recherche.id}')"
+                onclick="appliquerRechercheSauvegardee('${recherche.id}')"
+                title="${echapper(recherche.requete || 'Sans texte')}">
+                <span class="dossier-nom">🔖 ${echapper(recherche.nom)}</span>
+                <span class="recherche-compteur">${compteur}</span>
+                <span class="dossier-actions">
+                    <button title="Renommer" onclick="event.stopPropagation(); demanderRenommageRecherche('${recherche.id}')">✏️</button>
+                    <button title="Supprimer" onclick="event.stopPropagation(); demanderSuppressionRecherche('${recherche.id}')">🗑️</button>
+                </span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Nombre de résultats de chaque recherche (une requête légère par recherche)
+ */
+async function compterRecherchesSauvegardees() {
+    // La liste peut être rechargée pendant le comptage : on garde celle du départ
+    const liste = recherchesSauvegardees;
+    if (!liste) return;
+    const comptes = await Promise.all(liste.map(recherche =>
+        compterRecherche(recherche.requete, filtresDeRecherche(recherche)).catch(err => {
+            console.warn('Erreur comptage recherche :', err.message);
+            return null;
+        })));
+
+    compteursRecherches = {};
+    liste.forEach((recherche, i) => {
+        compteursRecherches[recherche.id] = comptes[i];
+    });
+    afficherRecherchesSauvegardees();
+}
+
+/**
+ * Recompter un peu plus tard (appelé à chaque changement reçu en temps réel)
+ */
+function programmerComptageRecherches() {
+    clearTimeout(comptageTimer);
+    comptageTimer = setTimeout(compterRecherchesSauvegardees, DELAI_COMPTAGE);
+}
+
+/**
+ * Afficher les résultats d'une recherche enregistrée (remplace recherche et filtres)
+ * @param {string} id
+ */
+function appliquerRechercheSauvegardee(id) {
+    const recherche = (recherchesSauvegardees || []).find(r => r.id === id);
+    if (!recherche) return;
+
+    // Une recherche tapée juste avant ne doit pas écraser celle-ci
+    clearTimeout(debounceTimer);
+    etatApp.rechercheCourante = recherche.requete;
+    Object.assign(etatApp.filtres, filtresDeRecherche(recherche));
+
+    if (etatApp.filtres.dossier_id) {
+        cheminDossier(etatApp.filtres.dossier_id).slice(0, -1).forEach(d => dossiersOuverts.add(d.id));
+    }
+    afficherEtatDansInterface();
+    chargerDocuments();
+}
+
+// ============================================
+// ENREGISTRER / RENOMMER / SUPPRIMER
+// ============================================
+
+async function demanderSauvegardeRecherche() {
+    if (etatApp.filtres.corbeille) {
+        alert('La corbeille ne peut pas être enregistrée comme recherche.');
+        return;
+    }
+    if (estHorsLigne()) {
+        alert('Enregistrer une recherche nécessite une connexion.');
+        return;
+    }
+
+    const nom = prompt('Nom de la recherche :', etatApp.rechercheCourante);
+    if (!nom || !nom.trim()) return;
+
+    try {
+        await creerRechercheSauvegardee(nom, etatApp.rechercheCourante, filtresAEnregistrer());
+        await chargerRecherchesSauvegardees();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+async function demanderRenommageRecherche(id) {
+    const recherche = recherchesSauvegardees.find(r => r.id === id);
+    const nom = prompt('Nouveau nom :', recherche ? recherche.nom : '');
+    if (!nom || !nom.trim() || (recherche && nom.trim() === recherche.nom)) return;
+
+    try {
+        await renommerRechercheSauvegardee(id, nom);
+        await chargerRecherchesSauvegardees();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+async function demanderSuppressionRecherche(id) {
+    const recherche = recherchesSauvegardees.find(r => r.id === id);
+    if (!confirm(`Supprimer la recherche enregistrée "${recherche ? recherche.nom : ''}" ?\nLes documents ne sont pas touchés.`)) return;
+
+    try {
+        await supprimerRechercheSauvegardee(id);
+        await chargerRecherchesSauvegardees();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+// ============================================
+// GLISSER-DÉPOSER (réordonner)
+// ============================================
+
+function commencerGlisserRecherche(event, id) {
+    event.dataTransfer.setData(GLISSER_RECHERCHE, id);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+function survolerRecherche(event) {
+    if (!event.dataTransfer.types.includes(GLISSER_RECHERCHE)) return;
+    event.preventDefault();  // autorise le drop
+    event.currentTarget.classList.add('survol');
+}
+
+/**
+ * Déposer une recherche sur une autre : elle prend sa place
+ * @param {DragEvent} event
+ * @param {string} cibleId
+ */
+async function deposerSurRecherche(event, cibleId) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('survol');
+
+    const glisseeId = event.dataTransfer.getData(GLISSER_RECHERCHE);
+    if (!glisseeId || glisseeId === cibleId) return;
+
+    // Vers le bas elle passe après la cible, vers le haut avant
+    const liste = [...recherchesSauvegardees];
+    const rangCible = liste.findIndex(r => r.id === cibleId);
+    const [glissee] = liste.splice(liste.findIndex(r => r.id === glisseeId), 1);
+    liste.splice(rangCible, 0, glissee);
+
+    // Affiché tout de suite, les compteurs ne changent pas
+    recherchesSauvegardees = liste.map((r, i) => ({ ...r, position: i + 1 }));
+    afficherRecherchesSauvegardees();
+
+    try {
+        await reordonnerRecherchesSauvegardees(liste.map(r => r.id));
+    } catch (err) {
+        alert(err.message);
+        await chargerRecherchesSauvegardees();
+    }
+}
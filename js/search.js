@@ -17,6 +17,210 @@ const DELAI_RECHERCHE = 350;
 // Variable pour stocker le timeout (debounce)
 let debounceTimer = null;
 
+// Opérateurs de champ reconnus dans la barre de recherche (nom:valeur)
+// Un "mot:" qui n'est pas dans la liste reste du texte (ex : une URL https://...)
+const OPERATEURS_RECHERCHE = ['tag', 'type', 'fav', 'titre', 'avant', 'après', 'apres'];
+
+// ============================================
+// SYNTAXE DE RECHERCHE
+//
+//   cours bdd            → les deux mots (ordre libre)
+//   "clé étrangère"      → phrase exacte
+//   jointure OR index    → l'un ou l'autre (OU marche aussi)
+//   -brouillon           → exclure un mot (ou -"une phrase")
+//   tag:bdd              → avec ce tag (répétable)
+//   type:pdf             → pdf, note, lien ou image
+//   fav:oui / fav:non    → favoris ou non
+//   titre:partiel        → titre contenant ce texte (titre:"mot de passe")
+//   avant:2024-06-01     → créé avant cette date
+//   après:2024-01-01     → créé à partir de cette date (apres: aussi)
+//
+// Le texte part dans websearch_to_tsquery côté SQL,
+// les opérateurs deviennent des filtres classiques.
+// ============================================
+
+/**
+ * Créer une erreur de syntaxe de recherche
+ * Le name permet à app.js de l'afficher sous la barre de recherche
+ * au lieu du message d'erreur générique.
+ * @param {string} message
+ * @returns {Error}
+ */
+function erreurRequete(message) {
+    const err = new Error(message);
+    err.name = 'ErreurRequete';
+    return err;
+}
+
+/**
+ * Découper la saisie en tokens : mots, phrases, OR et opérateurs
+ * @param {string} texte
+ * @returns {object[]} tokens { genre: 'mot'|'phrase'|'ou'|'operateur', valeur, exclu, nom }
+ */
+function decouperRequete(texte) {
+    const tokens = [];
+    let i = 0;
+
+    // Lire une valeur entre guillemets à partir de la position i (sur le ")
+    const lireGuillemets = () => {
+        const fin = texte.indexOf('"', i + 1);
+        if (fin === -1) throw erreurRequete('Guillemet non fermé');
+        const valeur = texte.slice(i + 1, fin).trim();
+        if (!valeur) throw erreurRequete('Rien entre les guillemets');
+        i = fin + 1;
+        return valeur;
+    };
+
+    while (i < texte.length) {
+        if (/\s/.test(texte[i])) {
+            i++;
+            continue;
+        }
+
+        // Exclusion : -mot ou -"phrase"
+        let exclu = false;
+        if (texte[i] === '-') {
+            exclu = true;
+            i++;
+            if (i >= texte.length || /\s/.test(texte[i])) {
+                throw erreurRequete('Le "-" doit être collé au mot à exclure (ex : -brouillon)');
+            }
+        }
+
+        if (texte[i] === '"') {
+            tokens.push({ genre: 'phrase', valeur: lireGuillemets(), exclu });
+            continue;
+        }
+
+        // Un mot va jusqu'au prochain espace ou guillemet
+        let j = i;
+        while (j < texte.length && !/\s/.test(texte[j]) && texte[j] !== '"') j++;
+        const mot = texte.slice(i, j);
+        i = j;
+
+        const operateur = mot.match(/^([^:]+):(.*)$/);
+        if (operateur && OPERATEURS_RECHERCHE.includes(operateur[1].toLowerCase())) {
+            const nom = operateur[1].toLowerCase();
+            let valeur = operateur[2];
+            // titre:"mot de passe"
+            if (!valeur && texte[i] === '"') valeur = lireGuillemets();
+            if (!valeur) throw erreurRequete(`Valeur manquante après "${nom}:"`);
+            if (exclu) throw erreurRequete(`On ne peut pas exclure un opérateur ("-${nom}:")`);
+            tokens.push({ genre: 'operateur', nom, valeur });
+            continue;
+        }
+
+        if (!exclu && (mot === 'OR' || mot === 'OU')) {
+            tokens.push({ genre: 'ou' });
+            continue;
+        }
+
+        tokens.push({ genre: 'mot', valeur: mot, exclu });
+    }
+
+    return tokens;
+}
+
+/**
+ * Lire une date AAAA-MM-JJ (avant: / après:)
+ * @param {string} valeur
+ * @param {string} nom - Nom de l'opérateur (pour le message)
+ * @returns {string}
+ */
+function lireDateRequete(valeur, nom) {
+    const date = new Date(valeur + 'T00:00:00Z');
+    // Le aller-retour rejette aussi les dates qui n'existent pas (2024-02-31)
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(valeur) || isNaN(date) || date.toISOString().slice(0, 10) !== valeur) {
+        throw erreurRequete(`Date invalide pour "${nom}:" (format attendu : AAAA-MM-JJ)`);
+    }
+    return valeur;
+}
+
+/**
+ * Appliquer un opérateur nom:valeur sur les filtres
+ * @param {object} token
+ * @param {object} filtres - Modifié sur place
+ */
+function appliquerOperateur({ nom, valeur }, filtres) {
+    switch (nom) {
+        case 'tag':
+            // Les tags sont stockés normalisés (voir normaliserTag) : tag:BDD trouve "bdd"
+            filtres.tags.push(normaliserTag(valeur));
+            break;
+        case 'type':
+            if (!TYPES_DOC.includes(valeur.toLowerCase())) {
+                throw erreurRequete(`Type inconnu "${valeur}" (pdf, note, lien ou image)`);
+            }
+            if (filtres.type_doc && filtres.type_doc !== valeur.toLowerCase()) {
+                throw erreurRequete('Un document n\'a qu\'un seul type : un seul "type:" à la fois');
+            }
+            filtres.type_doc = valeur.toLowerCase();
+            break;
+        case 'fav':
+            if (['oui', 'true', '1'].includes(valeur.toLowerCase())) {
+                filtres.est_favori = true;
+            } else if (['non', 'false', '0'].includes(valeur.toLowerCase())) {
+                filtres.est_favori = false;
+            } else {
+                throw erreurRequete(`"fav:" attend oui ou non (reçu "${valeur}")`);
+            }
+            break;
+        case 'titre':
+            filtres.titre = valeur;
+            break;
+        case 'avant':
+            filtres.avant = lireDateRequete(valeur, nom);
+            break;
+        default:  // 'après' ou 'apres'
+            filtres.apres = lireDateRequete(valeur, nom);
+    }
+}
+
+/**
+ * Analyser la saisie de la barre de recherche
+ *
+ * @param {string} saisie - Texte tapé par l'user
+ * @returns {{texte: string, filtres: object}} texte pour websearch_to_tsquery + filtres structurés
+ * @throws {Error} name = 'ErreurRequete' si la requête est mal formée
+ */
+function analyserRequete(saisie) {
+    const tokens = decouperRequete(saisie);
+    const filtres = {
+        tags: [],
+        type_doc: null,
+        est_favori: null,
+        titre: null,
+        avant: null,
+        apres: null
+    };
+    const morceaux = [];
+    const estTexte = (token) => token && (token.genre === 'mot' || token.genre === 'phrase');
+
+    tokens.forEach((token, index) => {
+        if (token.genre === 'operateur') {
+            appliquerOperateur(token, filtres);
+            return;
+        }
+
+        if (token.genre === 'ou') {
+            if (!estTexte(tokens[index - 1]) || !estTexte(tokens[index + 1])) {
+                throw erreurRequete('OR doit être placé entre deux mots ou phrases (ex : jointure OR index)');
+            }
+            morceaux.push('or');
+            return;
+        }
+
+        const valeur = token.genre === 'phrase' ? `"${token.valeur}"` : token.valeur;
+        morceaux.push((token.exclu ? '-' : '') + valeur);
+    });
+
+    if (filtres.avant && filtres.apres && filtres.apres >= filtres.avant) {
+        throw erreurRequete('"après:" doit être une date antérieure à "avant:"');
+    }
+
+    return { texte: morceaux.join(' '), filtres };
+}
+
 /**
  * Rechercher des documents par terme (full-text)
  * 
@@ -28,8 +232,13 @@ let debounceTimer = null;
  * et indexé avec GIN dans la BDD (voir schema.sql).
  * Sans ça, chaque recherche ferait un sequential scan → lent.
  * 
+ * Passe par la fonction SQL rechercher_documents() : .textSearch()
+ * ne permet pas de trier par ts_rank. Chaque document revient
+ * avec son score dans `pertinence` et un `extrait` où les
+ * termes trouvés sont marqués (voir formaterExtrait dans app.js).
+ * 
  * @param {string} terme - Terme de recherche
- * @param {object} filtres - Filtres supplémentaires (type, page...)
+ * @param {object} filtres - Mêmes filtres que getDocuments (type, tags, favoris, tri, page)
  * @returns {Promise<{documents: array, total: number}>}
  */
 async function rechercherDocuments(terme, filtres = {}) {
@@ -39,35 +248,27 @@ async function rechercherDocuments(terme, filtres = {}) {
     }
 
     const termePropre = terme.trim();
-    const { page = 0, type_doc = null } = filtres;
-    const offset = page * DOCS_PAR_PAGE;
+    const { page = 0 } = filtres;
 
-    // Supabase supporte la recherche full-text avec .textSearch()
-    // qui génère la clause: search_vector @@ to_tsquery('french', ...)
-    let query = supabaseClient
-        .from('documents')
-        .select('*', { count: 'exact' })
-        // textSearch cherche dans la colonne search_vector
-        // 'plain' = chaque mot est cherché séparément (plus simple pour l'user)
-        .textSearch('search_vector', termePropre, {
-            type: 'plain',
-            config: 'french'
-        })
-        .range(offset, offset + DOCS_PAR_PAGE - 1);
+    // null = filtres incompatibles, aucun résultat possible
+    const parametres = parametresRecherche(termePropre, filtres);
+    if (!parametres) {
+        return { documents: [], total: 0 };
+    }
 
-    // Appliquer le filtre de type si présent
-    if (type_doc) {
-        query = query.eq('type_doc', type_doc);
+    // Hors ligne : recherche simple dans le miroir local (voir hors-ligne.js)
+    if (estHorsLigne()) {
+        return await chercherDansMiroir(parametres, { page });
     }
 
-    const { data, error, count } = await query;
+    const { data, error } = await supabaseClient.rpc('rechercher_documents', {
+        ...parametres,
+        p_limite: DOCS_PAR_PAGE,
+        p_offset: page * DOCS_PAR_PAGE
+    });
 
     if (error) {
         console.error('Erreur rechercherDocuments :', error.message);
-        // Cas spécial : si erreur de syntaxe dans la recherche
-        if (error.message.includes('syntax error')) {
-            return { documents: [], total: 0 };
-        }
         throw new Error('Erreur pendant la recherche');
     }
 
@@ -75,12 +276,229 @@ async function rechercherDocuments(terme, filtres = {}) {
     // je n'attends pas le résultat, c'est pas critique
     sauvegarderRecherche(termePropre);
 
+    // Chaque ligne = { document, pertinence, total_count, extrait }
+    const lignes = data || [];
+    enregistrerDansMiroir(lignes.map(ligne => ligne.document));
     return {
-        documents: data || [],
-        total: count || 0
+        documents: lignes.map(ligne => ({
+            ...ligne.document,
+            pertinence: ligne.pertinence,
+            extrait: ligne.extrait    // termes trouvés entre \u0002 et \u0003
+        })),
+        total: lignes.length > 0 ? lignes[0].total_count : 0
     };
 }
 
+/**
+ * Traduire la saisie + les filtres de la sidebar en paramètres
+ * pour la fonction SQL rechercher_documents (sans la pagination)
+ *
+ * @param {string} termePropre - Saisie déjà trimée
+ * @param {object} filtres - Mêmes filtres que getDocuments
+ * @returns {object|null} null si les filtres se contredisent (aucun résultat)
+ * @throws {Error} ErreurRequete si la syntaxe est mauvaise
+ */
+function parametresRecherche(termePropre, filtres) {
+    const {
+        type_doc = null,
+        tags = null,
+        favoris = false,
+        partages = false,
+        tri = 'pertinence'
+    } = filtres;
+
+    // Lève une ErreurRequete si la syntaxe est mauvaise (affichée sous la barre)
+    const requete = analyserRequete(termePropre);
+
+    // Combiner les opérateurs de la requête avec les filtres de la sidebar
+    // (les deux s'appliquent, comme un ET)
+    const tagsCombines = [...new Set([...(tags || []), ...requete.filtres.tags])];
+    const typesIncompatibles = type_doc && requete.filtres.type_doc && type_doc !== requete.filtres.type_doc;
+    const favorisIncompatibles = favoris && requete.filtres.est_favori === false;
+    if (typesIncompatibles || favorisIncompatibles) {
+        return null;
+    }
+
+    return {
+        p_terme: requete.texte || null,
+        p_type_doc: type_doc || requete.filtres.type_doc,
+        p_tags: tagsCombines.length > 0 ? tagsCombines : null,
+        p_est_favori: favoris ? true : requete.filtres.est_favori,
+        // % et _ sont des jokers pour ILIKE, on les échappe
+        p_titre: requete.filtres.titre ? requete.filtres.titre.replace(/[\\%_]/g, '\\$&') : null,
+        p_avant: requete.filtres.avant,
+        p_apres: requete.filtres.apres,
+        p_partages: partages,
+        p_dossiers: idsDossiersFiltres(filtres),
+        p_tri: tri
+    };
+}
+
+/**
+ * Récupérer les ids de tous les résultats d'une recherche (toutes les pages)
+ * Pour "tout sélectionner" : p_limite NULL = pas de limite ni d'extrait
+ *
+ * @param {string} terme
+ * @param {object} filtres
+ * @returns {Promise<string[]>}
+ */
+async function getIdsRecherche(terme, filtres = {}) {
+    if (!terme || terme.trim().length === 0) {
+        return await getIdsDocuments(filtres);
+    }
+
+    const parametres = parametresRecherche(terme.trim(), filtres);
+    if (!parametres) return [];
+
+    if (estHorsLigne()) {
+        const { documents } = await chercherDansMiroir(parametres, { limite: null });
+        return documents.map(doc => doc.id);
+    }
+
+    // On ne ramène que l'id extrait du JSONB, pas les documents entiers
+    const { data, error } = await supabaseClient
+        .rpc('rechercher_documents', { ...parametres, p_limite: null, p_offset: 0 })
+        .select('id:document->>id');
+
+    if (error) {
+        console.error('Erreur getIdsRecherche :', error.message);
+        throw new Error('Impossible de sélectionner les résultats');
+    }
+
+    return (data || []).map(ligne => ligne.id);
+}
+
+/**
+ * Nombre de résultats d'une recherche, sans charger les documents
+ * (compteurs des recherches enregistrées, voir recherches.js)
+ * Une recherche vide passe aussi par rechercher_documents : p_terme NULL = pas de filtre texte.
+ *
+ * @param {string} terme
+ * @param {object} filtres
+ * @returns {Promise<number>}
+ * @throws {Error} ErreurRequete si la syntaxe est mauvaise
+ */
+async function compterRecherche(terme, filtres = {}) {
+    const parametres = parametresRecherche((terme || '').trim(), filtres);
+    if (!parametres) return 0;
+
+    if (estHorsLigne()) {
+        return (await chercherDansMiroir(parametres, { limite: null })).total;
+    }
+
+    // Une seule ligne suffit : total_count est calculé sur tous les résultats
+    const { data, error } = await supabaseClient
+        .rpc('rechercher_documents', { ...parametres, p_limite: 1, p_offset: 0 })
+        .select('total_count');
+
+    if (error) {
+        console.error('Erreur compterRecherche :', error.message);
+        throw new Error('Impossible de compter les résultats');
+    }
+
+    return data && data.length > 0 ? data[0].total_count : 0;
+}
+
+// ============================================
+// RECHERCHE APPROCHÉE ("Vouliez-vous dire ...")
+//
+// Le full-text ne trouve que les mots exacts (à la
+// racine près) : "jointrue" ne donne rien. Quand une
+// recherche ne trouve rien, on propose des requêtes
+// corrigées avec le vocabulaire de mes documents, et
+// les documents dont le titre ou un tag ressemble au
+// texte tapé (trigrammes pg_trgm, voir schema.sql).
+// ============================================
+
+// Nombre max de requêtes corrigées proposées
+const NB_CORRECTIONS = 3;
+
+/**
+ * Mots simples de la saisie (pas les phrases, exclusions ni opérateurs)
+ * @param {string} saisie
+ * @returns {string[]}
+ */
+function motsACorriger(saisie) {
+    return decouperRequete(saisie)
+        .filter(token => token.genre === 'mot' && !token.exclu)
+        .map(token => token.valeur);
+}
+
+/**
+ * Remplacer un mot entier dans la saisie (pas à l'intérieur d'un autre mot)
+ * @param {string} saisie
+ * @param {string} mot
+ * @param {string} correction
+ * @returns {string}
+ */
+function remplacerMot(saisie, mot, correction) {
+    const motEchappe = mot.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return saisie.replace(new RegExp(`(^|\\s)${motEchappe}(?=\\s|$)`, 'g'), `$1${correction}`);
+}
+
+/**
+ * Requêtes corrigées pour une saisie qui ne donne aucun résultat
+ * La 1re corrige chaque mot avec le plus proche, les suivantes
+ * essaient les autres candidats un mot à la fois.
+ *
+ * @param {string} saisie
+ * @returns {Promise<string[]>} Sans la saisie elle-même
+ */
+async function getRequetesCorrigees(saisie) {
+    const mots = [...new Set(motsACorriger(saisie))];
+    if (mots.length === 0) return [];
+
+    const { data, error } = await supabaseClient.rpc('corriger_recherche', { p_mots: mots });
+
+    if (error) {
+        console.error('Erreur getRequetesCorrigees :', error.message);
+        throw new Error('Impossible de chercher des corrections');
+    }
+
+    // mot tapé → corrections, la plus proche d'abord
+    const candidats = {};
+    (data || []).forEach(ligne => {
+        (candidats[ligne.mot_saisi] = candidats[ligne.mot_saisi] || []).push(ligne.correction);
+    });
+
+    // Un mot sans candidat (ou déjà juste) est gardé tel quel
+    const meilleurs = {};
+    mots.forEach(mot => {
+        meilleurs[mot] = (candidats[mot] || [])[0] || mot;
+    });
+    const appliquer = (choix) => Object.keys(choix).reduce(
+        (texte, mot) => choix[mot].toLowerCase() === mot.toLowerCase() ? texte : remplacerMot(texte, mot, choix[mot]),
+        saisie
+    );
+
+    const requetes = new Set([appliquer(meilleurs)]);
+    mots.forEach(mot => (candidats[mot] || []).slice(1).forEach(autre => {
+        requetes.add(appliquer({ ...meilleurs, [mot]: autre }));
+    }));
+    requetes.delete(saisie);
+
+    return [...requetes].slice(0, NB_CORRECTIONS);
+}
+
+/**
+ * Documents dont le titre ou un tag ressemble aux mots tapés
+ * @param {string} saisie
+ * @returns {Promise<array>} Documents, le plus proche d'abord (pertinence = similarité)
+ */
+async function getDocumentsProches(saisie) {
+    const texte = motsACorriger(saisie).join(' ');
+    if (!texte) return [];
+
+    const { data, error } = await supabaseClient.rpc('documents_proches', { p_terme: texte });
+
+    if (error) {
+        console.error('Erreur getDocumentsProches :', error.message);
+        throw new Error('Impossible de chercher des documents proches');
+    }
+
+    return (data || []).map(ligne => ({ ...ligne.document, pertinence: ligne.pertinence }));
+}
+
 /**
  * Sauvegarder un terme dans l'historique des recherches
  * Silencieux : les erreurs ne remontent pas à l'interface
@@ -110,11 +528,13 @@ async function sauvegarderRecherche(terme) {
  * @returns {Promise<string[]>}
  */
 async function getRecherchesRecentes(limite = 5) {
+    // Une même recherche revient souvent plusieurs fois de suite :
+    // on lit plus de lignes que nécessaire pour avoir assez de termes différents
     const { data, error } = await supabaseClient
         .from('historique_recherches')
         .select('terme_recherche')
         .order('date_recherche', { ascending: false })
-        .limit(limite);
+        .limit(limite * 5);
 
     if (error) {
         console.warn('Erreur getRecherchesRecentes :', error.message);
@@ -131,7 +551,49 @@ async function getRecherchesRecentes(limite = 5) {
         }
     }
 
-    return termes;
+    return termes.slice(0, limite);
+}
+
+/**
+ * Retirer un terme de l'historique (toutes ses occurrences)
+ * @param {string} terme
+ */
+async function supprimerRechercheRecente(terme) {
+    const { error } = await supabaseClient
+        .from('historique_recherches')
+        .delete()
+        .eq('terme_recherche', terme);
+
+    if (error) {
+        console.error('Erreur supprimerRechercheRecente :', error.message);
+        throw new Error('Impossible de retirer la recherche de l\'historique');
+    }
+}
+
+/**
+ * Complétions pour le mot en cours de frappe : tags et titres
+ * Seulement des noms et des compteurs, pas les documents (voir suggerer_recherche)
+ *
+ * @param {string} prefixe - Début du mot tapé
+ * @param {number} limite - Nombre max par genre
+ * @returns {Promise<{genre: string, valeur: string, document_id: string|null, nb_documents: number|null}[]>}
+ */
+async function getSuggestions(prefixe, limite = 5) {
+    if (estHorsLigne()) return await getSuggestionsHorsLigne(prefixe, limite);
+
+    const { data, error } = await supabaseClient.rpc('suggerer_recherche', {
+        // % et _ sont des jokers pour LIKE, on les échappe
+        p_prefixe: prefixe.replace(/[\\%_]/g, '\\$&'),
+        p_prefixe_tag: normaliserTag(prefixe).replace(/[\\%_]/g, '\\$&'),
+        p_limite: limite
+    });
+
+    if (error) {
+        console.error('Erreur getSuggestions :', error.message);
+        throw new Error('Impossible de charger les suggestions');
+    }
+
+    return data || [];
 }
 
 /**
@@ -147,24 +609,14 @@ function handleSearchInput(terme) {
     // Annuler la recherche précédente si elle n'a pas encore lancé
     clearTimeout(debounceTimer);
 
-    // Mettre à jour l'affichage immédiatement (UX responsive)
-    if (!terme.trim()) {
-        // Si vidé, recharger tous les documents
-        debounceTimer = setTimeout(() => {
-            chargerDocuments();  // défini dans app.js
-        }, 200);
-        return;
-    }
-
-    // Sinon, attendre avant de chercher
-    debounceTimer = setTimeout(async () => {
-        try {
-            afficherChargement();  // défini dans app.js
-            const resultats = await rechercherDocuments(terme, etatApp.filtres);
-            afficherDocuments(resultats.documents, resultats.total, terme);
-        } catch (err) {
-            console.error('Erreur de recherche :', err);
-            afficherErreur('Erreur pendant la recherche');
-        }
-    }, DELAI_RECHERCHE);
+    // Si vidé, on recharge vite ; sinon on attend que l'user arrête de taper
+    const delai = terme.trim() ? DELAI_RECHERCHE : 200;
+
+    debounceTimer = setTimeout(() => {
+        // Le terme va dans l'état global : comme ça les filtres de la
+        // sidebar (tags, favoris, tri...) relancent la même recherche
+        etatApp.rechercheCourante = terme.trim();
+        etatApp.filtres.page = 0;
+        chargerDocuments();  // défini dans app.js
+    }, delai);
 }
@@ -0,0 +1,257 @@
+// ============================================
+// selection.js - Sélection multiple et actions groupées
+// ESIEA 2024 - Mohammed Abia
+//
+// En mode sélection, cliquer sur une card la coche
+// au lieu d'ouvrir le détail (Maj+clic = toute la
+// plage). La sélection survit au changement de page
+// mais pas au changement de filtre ou de recherche.
+// Chaque action groupée = UN appel serveur
+// (modifierDocumentsEnMasse), pas un par document.
+// ============================================
+
+let modeSelection = false;
+const selection = new Set();  // ids des documents cochés
+let dernierCoche = null;      // point de départ du Maj+clic
+let contexteSelection = null; // filtres + recherche au moment de la sélection
+let actionMasse = null;       // action en attente de confirmation
+
+// Textes du modal de confirmation, selon l'action
+const ACTIONS_MASSE = {
+    ajouter_tags: {
+        titre: (nb) => `Ajouter des tags à ${nb} document(s)`,
+        texte: 'Les documents partagés avec toi en lecture seule seront ignorés.',
+        champ: 'tags'
+    },
+    retirer_tags: {
+        titre: (nb) => `Retirer des tags de ${nb} document(s)`,
+        texte: 'Les documents partagés avec toi en lecture seule seront ignorés.',
+        champ: 'tags'
+    },
+    changer_type: {
+        titre: (nb) => `Changer le type de ${nb} document(s)`,
+        texte: 'Les documents partagés avec toi en lecture seule seront ignorés.',
+        champ: 'type'
+    },
+    favori: {
+        titre: (nb) => `Ajouter ${nb} document(s) aux favoris`,
+        texte: 'Seuls tes propres documents sont concernés.'
+    },
+    retirer_favori: {
+        titre: (nb) => `Retirer ${nb} document(s) des favoris`,
+        texte: 'Seuls tes propres documents sont concernés.'
+    },
+    supprimer: {
+        titre: (nb) => `Mettre ${nb} document(s) à la corbeille ?`,
+        texte: `Seuls tes propres documents sont concernés. Tu pourras les restaurer pendant ${RETENTION_CORBEILLE_JOURS} jours.`,
+        danger: true
+    }
+};
+
+/**
+ * Entrer / sortir du mode sélection
+ */
+function basculerModeSelection() {
+    if (modeSelection) {
+        quitterSelection();
+        return;
+    }
+    modeSelection = true;
+    document.getElementById('btn-selection').classList.add('active');
+    document.getElementById('barre-selection').style.display = 'flex';
+    document.getElementById('documents-grid').classList.add('mode-selection');
+    mettreAJourBarreSelection();
+}
+
+function quitterSelection() {
+    modeSelection = false;
+    selection.clear();
+    dernierCoche = null;
+    document.getElementById('btn-selection').classList.remove('active');
+    document.getElementById('barre-selection').style.display = 'none';
+    document.getElementById('documents-grid').classList.remove('mode-selection');
+    document.querySelectorAll('.doc-card.selectionne').forEach(card => card.classList.remove('selectionne'));
+}
+
+/**
+ * Clic sur une card : détail en mode normal, coche en mode sélection
+ * @param {MouseEvent} event
+ * @param {string} docId
+ */
+function clicCard(event, docId) {
+    if (!modeSelection) {
+        ouvrirDetail(docId);
+        return;
+    }
+
+    const coche = !selection.has(docId);
+
+    // Maj+clic : même état pour toutes les cards entre le dernier clic et celle-ci
+    const ids = idsAffiches();
+    const debut = ids.indexOf(dernierCoche);
+    const fin = ids.indexOf(docId);
+    if (event.shiftKey && debut !== -1) {
+        ids.slice(Math.min(debut, fin), Math.max(debut, fin) + 1)
+            .forEach(id => cocher(id, coche));
+    } else {
+        cocher(docId, coche);
+    }
+
+    dernierCoche = docId;
+    mettreAJourBarreSelection();
+}
+
+/**
+ * @param {string} docId
+ * @param {boolean} coche
+ */
+function cocher(docId, coche) {
+    if (coche) {
+        selection.add(docId);
+    } else {
+        selection.delete(docId);
+    }
+    const card = document.querySelector(`.doc-card[data-id="${docId}"]`);
+    if (card) card.classList.toggle('selectionne', coche);
+}
+
+// Ids des cards de la page, dans l'ordre d'affichage
+function idsAffiches() {
+    return [...document.querySelectorAll('.doc-card[data-id]')].map(card => card.dataset.id);
+}
+
+function selectionnerPage() {
+    idsAffiches().forEach(id => cocher(id, true));
+    mettreAJourBarreSelection();
+}
+
+/**
+ * Cocher tous les documents du filtre / de la recherche courante,
+ * y compris ceux des autres pages
+ */
+async function selectionnerTout() {
+    const btn = document.getElementById('btn-tout-selectionner');
+    btn.disabled = true;
+
+    try {
+        const ids = await getIdsRecherche(etatApp.rechercheCourante, etatApp.filtres);
+        ids.forEach(id => cocher(id, true));
+
+        // PostgREST plafonne le nombre de lignes renvoyées (1000 par défaut)
+        if (ids.length < etatApp.totalDocuments) {
+            alert(`Seuls les ${ids.length} premiers documents ont pu être sélectionnés.`);
+        }
+    } catch (err) {
+        alert(err.message);
+    } finally {
+        btn.disabled = false;
+        mettreAJourBarreSelection();
+    }
+}
+
+function viderSelection() {
+    [...selection].forEach(id => cocher(id, false));
+    dernierCoche = null;
+    mettreAJourBarreSelection();
+}
+
+function mettreAJourBarreSelection() {
+    const nb = selection.size;
+    document.getElementById('selection-info').textContent = `${nb} sélectionné(s)`;
+    document.getElementById('btn-tout-selectionner').textContent =
+        `Tout sélectionner (${etatApp.totalDocuments})`;
+    document.querySelectorAll('.barre-selection-actions button').forEach(btn => {
+        btn.disabled = nb === 0;
+    });
+}
+
+/**
+ * Appelée par afficherDocuments après chaque rendu de la grille :
+ * remet les coches et vide la sélection si le filtre a changé
+ */
+function synchroniserSelection() {
+    const btn = document.getElementById('btn-selection');
+    // Pas de sélection dans la corbeille (elle a ses propres actions)
+    btn.style.display = etatApp.filtres.corbeille ? 'none' : '';
+    if (etatApp.filtres.corbeille && modeSelection) quitterSelection();
+
+    // La page ne compte pas : la sélection tient sur toutes les pages
+    const contexte = JSON.stringify({ ...etatApp.filtres, page: null, recherche: etatApp.rechercheCourante });
+    if (contexte !== contexteSelection) {
+        contexteSelection = contexte;
+        selection.clear();
+        dernierCoche = null;
+    }
+
+    if (!modeSelection) return;
+    idsAffiches().forEach(id => {
+        document.querySelector(`.doc-card[data-id="${id}"]`).classList.toggle('selectionne', selection.has(id));
+    });
+    mettreAJourBarreSelection();
+}
+
+// ============================================
+// ACTIONS GROUPÉES
+// ============================================
+
+/**
+ * Ouvrir la confirmation d'une action groupée (avec le nombre de documents)
+ * @param {string} action - Clé de ACTIONS_MASSE
+ */
+function demanderActionMasse(action) {
+    if (selection.size === 0) return;
+    actionMasse = action;
+    const config = ACTIONS_MASSE[action];
+
+    document.getElementById('masse-titre').textContent = config.titre(selection.size);
+    document.getElementById('masse-texte').textContent = config.texte;
+    document.getElementById('masse-groupe-tags').style.display = config.champ === 'tags' ? 'block' : 'none';
+    document.getElementById('masse-groupe-type').style.display = config.champ === 'type' ? 'block' : 'none';
+    document.getElementById('masse-tags').value = '';
+    document.getElementById('masse-error').style.display = 'none';
+
+    const btn = document.getElementById('btn-confirmer-masse');
+    btn.className = `btn ${config.danger ? 'btn-danger' : 'btn-primary'}`;
+    btn.textContent = 'Confirmer';
+    btn.disabled = false;
+
+    document.getElementById('modal-masse').style.display = 'flex';
+    if (config.champ === 'tags') document.getElementById('masse-tags').focus();
+}
+
+async function confirmerActionMasse() {
+    const btn = document.getElementById('btn-confirmer-masse');
+    const errorDiv = document.getElementById('masse-error');
+    const ids = [...selection];
+
+    // 'retirer_favori' n'existe pas côté SQL : c'est 'favori' avec est_favori = false
+    const action = actionMasse === 'retirer_favori' ? 'favori' : actionMasse;
+    const options = {
+        tags: document.getElementById('masse-tags').value.split(','),
+        type_doc: document.getElementById('masse-type').value,
+        est_favori: actionMasse === 'favori'
+    };
+
+    btn.disabled = true;
+    btn.textContent = 'En cours...';
+    errorDiv.style.display = 'none';
+
+    try {
+        await modifierDocumentsEnMasse(ids, action, options);
+
+        // Les documents supprimés ne sont plus dans la liste
+        if (action === 'supprimer') viderSelection();
+        fermerModalMasse();
+        await Promise.all([chargerDocuments(), chargerTags(), chargerStats()]);
+    } catch (err) {
+        errorDiv.textContent = err.message;
+        errorDiv.style.display = 'block';
+        btn.disabled = false;
+        btn.textContent = 'Confirmer';
+    }
+}
+
+function fermerModalMasse() {
+    actionMasse = null;
+    document.getElementById('modal-masse').style.display = 'none';
+}
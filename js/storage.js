@@ -0,0 +1,272 @@
+// ============================================
+// storage.js - Fichiers sur Supabase Storage
+// ESIEA 2024 - Mohammed Abia
+//
+// Les PDF et images sont stockés dans un bucket
+// privé 'documents'. Chaque user a son dossier
+// (user_id/...) et les policies du schéma SQL
+// empêchent de lire le dossier des autres.
+// ============================================
+
+const BUCKET_DOCUMENTS = 'documents';
+
+// Même limite que file_size_limit du bucket (voir schema.sql)
+const TAILLE_MAX_FICHIER_MO = 50;
+
+// Durée de validité des URLs signées (en secondes)
+// Court exprès : l'URL ne sert qu'à ouvrir/télécharger tout de suite
+const DUREE_URL_SIGNEE = 60;
+
+/**
+ * Construire le chemin de l'objet dans le bucket
+ * Format : <user_id>/<uuid>-<nom-nettoyé>
+ * Le uuid évite d'écraser un fichier qui a le même nom.
+ *
+ * @param {string} userId
+ * @param {string} nomFichier
+ * @returns {string}
+ */
+function construireCheminFichier(userId, nomFichier) {
+    // Enlever les accents et les caractères qui posent problème dans une URL
+    const nomPropre = nomFichier
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9._-]/g, '_')
+        .slice(-100);  // garder la fin pour conserver l'extension
+
+    return `${userId}/${crypto.randomUUID()}-${nomPropre}`;
+}
+
+/**
+ * Retrouver le nom lisible du fichier à partir de son chemin
+ * (on enlève le dossier user et le préfixe uuid)
+ *
+ * @param {string} chemin
+ * @returns {string}
+ */
+function nomDepuisChemin(chemin) {
+    if (!chemin) return '';
+    const nom = chemin.split('/').pop();
+    return nom.replace(/^[0-9a-f-]{36}-/, '');
+}
+
+/**
+ * Empreinte SHA-256 du contenu d'un fichier (en hexadécimal)
+ * Deux fichiers identiques ont la même, quel que soit leur nom :
+ * c'est ce qui repère un PDF envoyé deux fois (voir doublons.js).
+ *
+ * @param {Blob} fichier
+ * @returns {Promise<string>}
+ */
+async function empreinteFichier(fichier) {
+    const hash = await crypto.subtle.digest('SHA-256', await fichier.arrayBuffer());
+    return [...new Uint8Array(hash)].map(octet => octet.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Uploader un fichier dans le bucket de l'utilisateur
+ *
+ * Je passe par XMLHttpRequest sur l'API REST de Storage plutôt
+ * que par supabaseClient.storage.upload() : le SDK ne donne
+ * pas la progression et ne permet pas d'annuler.
+ *
+ * @param {File} fichier - Fichier choisi ou déposé
+ * @param {function} [onProgression] - Appelée avec un pourcentage (0-100)
+ * @returns {{promesse: Promise<{fichier_path: string, mime_type: string, taille_kb: number, empreinte_fichier: string}>, annuler: function}}
+ */
+function uploaderFichier(fichier, onProgression) {
+    const xhr = new XMLHttpRequest();
+    let annule = false;
+
+    const promesse = (async () => {
+        if (fichier.size > TAILLE_MAX_FICHIER_MO * 1024 * 1024) {
+            throw new Error(`Fichier trop lourd (max ${TAILLE_MAX_FICHIER_MO} Mo)`);
+        }
+
+        const session = await getSession();
+        if (!session) throw new Error('Tu dois être connecté pour envoyer un fichier');
+
+        const chemin = construireCheminFichier(session.user.id, fichier.name);
+        const empreinte = await empreinteFichier(fichier);
+        const url = `${SUPABASE_URL}/storage/v1/object/${BUCKET_DOCUMENTS}/${encodeURI(chemin)}`;
+
+        await new Promise((resolve, reject) => {
+            // annuler() a pu être appelé pendant getSession()
+            if (annule) {
+                reject(new Error('Upload annulé'));
+                return;
+            }
+
+            xhr.open('POST', url);
+            xhr.setRequestHeader('Authorization', `Bearer ${session.access_token}`);
+            xhr.setRequestHeader('apikey', SUPABASE_ANON_KEY);
+            xhr.setRequestHeader('Content-Type', fichier.type || 'application/octet-stream');
+            xhr.setRequestHeader('x-upsert', 'false');
+
+            xhr.upload.onprogress = (event) => {
+                if (event.lengthComputable && onProgression) {
+                    onProgression(Math.round((event.loaded / event.total) * 100));
+                }
+            };
+
+            xhr.onload = () => {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve();
+                } else {
+                    console.error('Erreur uploaderFichier :', xhr.status, xhr.responseText);
+                    reject(new Error('Impossible d\'envoyer le fichier'));
+                }
+            };
+            xhr.onerror = () => reject(new Error('Connexion perdue pendant l\'envoi'));
+            xhr.onabort = () => reject(new Error('Upload annulé'));
+
+            xhr.send(fichier);
+        });
+
+        return {
+            fichier_path: chemin,
+            mime_type: fichier.type || 'application/octet-stream',
+            taille_kb: Math.max(1, Math.ceil(fichier.size / 1024)),
+            empreinte_fichier: empreinte
+        };
+    })();
+
+    return {
+        promesse,
+        annuler: () => {
+            annule = true;
+            xhr.abort();
+        }
+    };
+}
+
+/**
+ * Supprimer un fichier du bucket
+ * Silencieux : un fichier orphelin n'est pas grave, un document
+ * bloqué parce que le fichier n'a pas pu être supprimé, si.
+ *
+ * @param {string} chemin - fichier_path du document
+ */
+async function supprimerFichier(chemin) {
+    if (!chemin) return;
+
+    const { error } = await supabaseClient.storage
+        .from(BUCKET_DOCUMENTS)
+        .remove([chemin]);
+
+    if (error) {
+        console.warn('Erreur supprimerFichier :', error.message);
+    }
+}
+
+/**
+ * Supprimer plusieurs fichiers en une requête (purge de la corbeille...)
+ *
+ * @param {string[]} chemins - Les valeurs vides sont ignorées
+ */
+async function supprimerFichiers(chemins) {
+    const aSupprimer = chemins.filter(chemin => chemin);
+    if (aSupprimer.length === 0) return;
+
+    const { error } = await supabaseClient.storage
+        .from(BUCKET_DOCUMENTS)
+        .remove(aSupprimer);
+
+    if (error) {
+        console.warn('Erreur supprimerFichiers :', error.message);
+    }
+}
+
+// list() du Storage renvoie au plus 1000 objets à la fois
+const TAILLE_LOT_LISTE = 1000;
+
+/**
+ * Tous les fichiers du dossier de l'user, y compris ceux qu'aucun
+ * document ne référence plus (fichier orphelin, voir supprimerFichier)
+ *
+ * @param {string} userId
+ * @returns {Promise<string[]>} Chemins complets (<user_id>/<uuid>-<nom>)
+ */
+async function listerFichiersUtilisateur(userId) {
+    const chemins = [];
+
+    for (let offset = 0; ; offset += TAILLE_LOT_LISTE) {
+        const { data, error } = await supabaseClient.storage
+            .from(BUCKET_DOCUMENTS)
+            .list(userId, { limit: TAILLE_LOT_LISTE, offset, sortBy: { column: 'name', order: 'asc' } });
+
+        if (error) {
+            console.error('Erreur listerFichiersUtilisateur :', error.message);
+            throw new Error('Impossible de lister les fichiers du compte');
+        }
+        // Pas de sous-dossier dans notre format de chemin : id null = dossier, on ignore
+        chemins.push(...data.filter(objet => objet.id).map(objet => `${userId}/${objet.name}`));
+        if (data.length < TAILLE_LOT_LISTE) break;
+    }
+    return chemins;
+}
+
+/**
+ * Supprimer tous les fichiers de l'user (suppression du compte)
+ * Contrairement à supprimerFichiers, une erreur est remontée :
+ * le compte ne doit pas partir en laissant ses fichiers derrière lui.
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} Nombre de fichiers supprimés
+ */
+async function supprimerTousLesFichiers(userId) {
+    const chemins = await listerFichiersUtilisateur(userId);
+
+    for (let i = 0; i < chemins.length; i += TAILLE_LOT_LISTE) {
+        const { error } = await supabaseClient.storage
+            .from(BUCKET_DOCUMENTS)
+            .remove(chemins.slice(i, i + TAILLE_LOT_LISTE));
+
+        if (error) {
+            console.error('Erreur supprimerTousLesFichiers :', error.message);
+            throw new Error('Impossible de supprimer les fichiers du compte');
+        }
+    }
+    return chemins.length;
+}
+
+/**
+ * Générer une URL signée (le bucket est privé)
+ *
+ * @param {string} chemin
+ * @param {boolean} [telecharger] - true = forcer le téléchargement
+ * @returns {Promise<string>}
+ */
+async function getUrlFichier(chemin, telecharger = false) {
+    const { data, error } = await supabaseClient.storage
+        .from(BUCKET_DOCUMENTS)
+        .createSignedUrl(chemin, DUREE_URL_SIGNEE, {
+            download: telecharger ? nomDepuisChemin(chemin) : false
+        });
+
+    if (error) {
+        console.error('Erreur getUrlFichier :', error.message);
+        throw new Error('Fichier introuvable');
+    }
+
+    return data.signedUrl;
+}
+
+/**
+ * Télécharger le contenu d'un fichier (pour le traiter côté JS)
+ *
+ * @param {string} chemin
+ * @returns {Promise<Blob>}
+ */
+async function telechargerFichier(chemin) {
+    const { data, error } = await supabaseClient.storage
+        .from(BUCKET_DOCUMENTS)
+        .download(chemin);
+
+    if (error) {
+        console.error('Erreur telechargerFichier :', error.message);
+        throw new Error('Fichier introuvable');
+    }
+
+    return data;
+}
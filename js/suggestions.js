@@ -0,0 +1,229 @@
+// ============================================
+// suggestions.js - Suggestions sous la barre de recherche
+// ESIEA 2024 - Mohammed Abia
+//
+// Au focus (barre vide) : mes recherches récentes,
+// lues dans historique_recherches.
+// Pendant la frappe : les récentes qui commencent
+// pareil, puis les tags et titres dont un mot
+// commence par le mot en cours (suggerer_recherche,
+// même debounce que la recherche).
+// Flèches pour se déplacer, Entrée pour choisir,
+// Échap pour fermer.
+// ============================================
+
+let suggestionsAffichees = [];   // { genre: 'recente'|'tag'|'titre', valeur, document_id, nb_documents }
+let indexSuggestion = -1;        // suggestion surlignée au clavier (-1 = aucune)
+let recherchesRecentes = [];     // historique, relu à chaque focus
+let suggestionsTimer = null;
+let jetonSuggestions = 0;        // pour ignorer une réponse arrivée après une plus récente
+
+// Mot en cours trop court : trop de complétions pour être utiles
+const LONGUEUR_MIN_SUGGESTION = 2;
+
+const TITRES_GENRES_SUGGESTION = {
+    recente: 'Recherches récentes',
+    tag: 'Tags',
+    titre: 'Documents'
+};
+
+/**
+ * Mot en cours de frappe (le dernier), s'il peut être complété
+ * Pas de complétion dans un opérateur (tag:...), une exclusion ou des guillemets.
+ * @param {string} saisie
+ * @returns {string|null}
+ */
+function motEnCours(saisie) {
+    if (/\s$/.test(saisie) || (saisie.match(/"/g) || []).length % 2 === 1) return null;
+    const mot = saisie.trim().split(/\s+/).pop() || '';
+    if (mot.length < LONGUEUR_MIN_SUGGESTION || /[:"]/.test(mot) || mot.startsWith('-')) return null;
+    return mot;
+}
+
+/**
+ * Focus sur la barre : afficher ce qu'on a sans attendre
+ */
+async function ouvrirSuggestions() {
+    const input = document.getElementById('input-recherche');
+    chargerSuggestions(input.value);
+
+    // Les recherches faites depuis le dernier focus sont dans l'historique
+    recherchesRecentes = await getRecherchesRecentes(10);
+    if (document.activeElement === input) await chargerSuggestions(input.value);
+}
+
+/**
+ * Frappe dans la barre : mêmes délais que handleSearchInput
+ * @param {string} saisie
+ */
+function programmerSuggestions(saisie) {
+    clearTimeout(suggestionsTimer);
+    // Les récentes sont déjà en mémoire : pas besoin d'attendre
+    if (!motEnCours(saisie)) {
+        chargerSuggestions(saisie);
+        return;
+    }
+    suggestionsTimer = setTimeout(() => chargerSuggestions(saisie), DELAI_RECHERCHE);
+}
+
+/**
+ * @param {string} saisie
+ */
+async function chargerSuggestions(saisie) {
+    const jeton = ++jetonSuggestions;
+    const debut = saisie.trim().toLowerCase();
+
+    const recentes = recherchesRecentes
+        .filter(terme => terme.toLowerCase().startsWith(debut) && terme.toLowerCase() !== debut)
+        .slice(0, debut ? 3 : 5)
+        .map(terme => ({ genre: 'recente', valeur: terme }));
+
+    let completions = [];
+    const mot = motEnCours(saisie);
+    if (mot) {
+        try {
+            completions = await getSuggestions(mot);
+        } catch (err) {
+            // Pas grave : on garde au moins les récentes
+        }
+    }
+
+    if (jeton !== jetonSuggestions) return;
+    suggestionsAffichees = [...recentes, ...completions];
+    indexSuggestion = -1;
+    afficherSuggestions();
+}
+
+function afficherSuggestions() {
+    const container = document.getElementById('suggestions-recherche');
+
+    // Pas de focus = l'user est parti entre-temps
+    if (suggestionsAffichees.length === 0 || document.activeElement.id !== 'input-recherche') {
+        fermerSuggestions();
+        return;
+    }
+
+    let genrePrecedent = null;
+    container.innerHTML = suggestionsAffichees.map((suggestion, index) => {
+        const titreGenre = suggestion.genre !== genrePrecedent
+            ? `<div class="suggestion-genre">${TITRES_GENRES_SUGGESTION[suggestion.genre]}</div>`
+            : '';
+        genrePrecedent = suggestion.genre;
+
+        const icone = { recente: '🕘', tag: '🏷️', titre: '📄' }[suggestion.genre];
+        const detail = suggestion.genre === 'tag'
+            ? `<span class="suggestion-detail">${suggestion.nb_documents}</span>`
+            : '';
+        const retirer = suggestion.genre === 'recente'
+            ? `<button class="suggestion-retirer" title="Retirer de l'historique"
+                onmousedown="event.preventDefault(); event.stopPropagation(); retirerRechercheRecente(${index})">✕</button>`
+            : '';
+
+        // mousedown + preventDefault : la barre garde le focus
+        return `${titreGenre}
+            <div class="suggestion ${index === indexSuggestion ? 'active' : ''}" role="option"
+                onmousedown="event.preventDefault(); choisirSuggestion(${index})">
+                <span class="suggestion-icone">${icone}</span>
+                <span class="suggestion-valeur">${echapper(suggestion.valeur)}</span>
+                ${detail}${retirer}
+            </div>`;
+    }).join('');
+    container.style.display = 'block';
+}
+
+function fermerSuggestions() {
+    clearTimeout(suggestionsTimer);
+    jetonSuggestions++;
+    suggestionsAffichees = [];
+    indexSuggestion = -1;
+    document.getElementById('suggestions-recherche').style.display = 'none';
+}
+
+/**
+ * Flèches, Entrée, Échap dans la barre de recherche
+ * @param {KeyboardEvent} event
+ */
+function naviguerSuggestions(event) {
+    const ouvert = suggestionsAffichees.length > 0;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (!ouvert) return;
+        event.preventDefault();  // sinon le curseur saute au début / à la fin
+        const pas = event.key === 'ArrowDown' ? 1 : -1;
+        const nb = suggestionsAffichees.length;
+        // -1 (rien de surligné) fait partie du cycle : on peut revenir à sa saisie
+        indexSuggestion = ((indexSuggestion + 1 + pas + nb + 1) % (nb + 1)) - 1;
+        afficherSuggestions();
+    } else if (event.key === 'Enter') {
+        if (indexSuggestion >= 0) {
+            event.preventDefault();
+            choisirSuggestion(indexSuggestion);
+        } else {
+            // Lancer la recherche sans attendre la fin du debounce
+            fermerSuggestions();
+            lancerRechercheSaisie(event.target.value);
+        }
+    } else if (event.key === 'Escape' && ouvert) {
+        fermerSuggestions();
+    }
+}
+
+/**
+ * Appliquer la saisie de la barre tout de suite (sans debounce)
+ * @param {string} saisie
+ */
+function lancerRechercheSaisie(saisie) {
+    clearTimeout(debounceTimer);
+    if (etatApp.rechercheCourante === saisie.trim()) return;
+    etatApp.rechercheCourante = saisie.trim();
+    etatApp.filtres.page = 0;
+    chargerDocuments();
+}
+
+/**
+ * @param {number} index - Dans suggestionsAffichees
+ */
+function choisirSuggestion(index) {
+    const suggestion = suggestionsAffichees[index];
+    const input = document.getElementById('input-recherche');
+    if (!suggestion) return;
+
+    if (suggestion.genre === 'titre') {
+        fermerSuggestions();
+        input.blur();
+        ouvrirDetail(suggestion.document_id);
+        return;
+    }
+
+    if (suggestion.genre === 'recente') {
+        input.value = suggestion.valeur;
+    } else {
+        // Tag : le mot en cours devient un opérateur (entre guillemets s'il y a un espace)
+        const valeur = suggestion.valeur.includes(' ') ? `"${suggestion.valeur}"` : suggestion.valeur;
+        input.value = input.value.replace(/\S+$/, `tag:${valeur} `);
+    }
+
+    fermerSuggestions();
+    lancerRechercheSaisie(input.value);
+}
+
+/**
+ * Bouton ✕ d'une recherche récente
+ * @param {number} index - Dans suggestionsAffichees
+ */
+async function retirerRechercheRecente(index) {
+    const suggestion = suggestionsAffichees[index];
+    if (!suggestion) return;
+
+    try {
+        await supprimerRechercheRecente(suggestion.valeur);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+
+    recherchesRecentes = recherchesRecentes.filter(terme => terme !== suggestion.valeur);
+    suggestionsAffichees.splice(index, 1);
+    if (indexSuggestion >= suggestionsAffichees.length) indexSuggestion = suggestionsAffichees.length - 1;
+    afficherSuggestions();
+}
@@ -0,0 +1,181 @@
+// ============================================
+// tags.js - Gestionnaire de tags
+// ESIEA 2024 - Mohammed Abia
+//
+// Modal ouvert depuis la sidebar : liste de mes
+// tags avec leur nombre de documents, renommer,
+// fusionner plusieurs tags, supprimer un tag de
+// tous les documents. Chaque action = une seule
+// fonction SQL (fusionner_tags / supprimer_tags).
+// ============================================
+
+let tagsGestion = [];           // [{ tag, nb_documents }]
+const tagsCoches = new Set();   // tags cochés pour la fusion
+let tagEnRenommage = null;      // tag dont la ligne est en mode édition
+
+async function ouvrirGestionTags() {
+    tagsCoches.clear();
+    tagEnRenommage = null;
+    document.getElementById('filtre-tags').value = '';
+    document.getElementById('modal-tags').style.display = 'flex';
+    await rechargerGestionTags();
+}
+
+function fermerGestionTags() {
+    document.getElementById('modal-tags').style.display = 'none';
+}
+
+async function rechargerGestionTags() {
+    const liste = document.getElementById('liste-gestion-tags');
+    try {
+        tagsGestion = await getTousLesTags();
+        afficherGestionTags();
+    } catch (err) {
+        liste.innerHTML = `<li class="tags-loading">${echapper(err.message)}</li>`;
+    }
+}
+
+/**
+ * Afficher la liste (filtrée par le champ de recherche du modal)
+ */
+function afficherGestionTags() {
+    const liste = document.getElementById('liste-gestion-tags');
+    const filtre = normaliserTag(document.getElementById('filtre-tags').value);
+    const visibles = tagsGestion.filter(({ tag }) => normaliserTag(tag).includes(filtre));
+
+    if (visibles.length === 0) {
+        liste.innerHTML = `<li class="tags-loading">${tagsGestion.length === 0 ? 'Aucun tag' : 'Aucun tag ne correspond'}</li>`;
+    } else {
+        // Tags passés par data-tag (voir chargerTags dans app.js)
+        liste.innerHTML = visibles.map(({ tag, nb_documents }) => `
+            <li class="gestion-tag" data-tag="${echapper(tag)}">
+                <input type="checkbox" ${tagsCoches.has(tag) ? 'checked' : ''}
+                    onchange="cocherTag(this.closest('li').dataset.tag, this.checked)">
+                ${tag === tagEnRenommage ? `
+                <input type="text" class="gestion-tag-input" value="${echapper(tag)}"
+                    onkeydown="toucheRenommage(event, this.closest('li').dataset.tag, this.value)">
+                <button class="btn btn-primary btn-small"
+                    onclick="renommerTag(this.closest('li').dataset.tag, this.previousElementSibling.value)">OK</button>
+                <button class="btn btn-ghost btn-small" onclick="annulerRenommage()">Annuler</button>
+                ` : `
+                <span class="gestion-tag-nom">${echapper(tag)}</span>
+                <span class="tag-compteur">${nb_documents} doc(s)</span>
+                <button class="card-action-btn" title="Renommer"
+                    onclick="commencerRenommage(this.closest('li').dataset.tag)">✏️</button>
+                <button class="card-action-btn" title="Supprimer de tous les documents"
+                    onclick="demanderSuppressionTag(this.closest('li').dataset.tag)">🗑️</button>
+                `}
+            </li>
+        `).join('');
+    }
+
+    const input = liste.querySelector('.gestion-tag-input');
+    if (input) input.focus();
+    mettreAJourFusion();
+}
+
+function cocherTag(tag, coche) {
+    if (coche) {
+        tagsCoches.add(tag);
+    } else {
+        tagsCoches.delete(tag);
+    }
+    mettreAJourFusion();
+}
+
+/**
+ * Afficher le champ "nom final" dès que 2 tags sont cochés
+ * Par défaut : le tag le plus utilisé, c'est souvent le bon
+ */
+function mettreAJourFusion() {
+    const info = document.getElementById('fusion-info');
+    const cible = document.getElementById('fusion-cible');
+    const btn = document.getElementById('btn-fusionner');
+    const nb = tagsCoches.size;
+
+    info.textContent = nb < 2
+        ? 'Coche plusieurs tags pour les fusionner'
+        : `Fusionner ${nb} tags en :`;
+    cible.style.display = nb < 2 ? 'none' : '';
+    btn.style.display = nb < 2 ? 'none' : '';
+
+    if (nb >= 2 && !cible.value) {
+        const plusUtilise = tagsGestion
+            .filter(({ tag }) => tagsCoches.has(tag))
+            .sort((a, b) => b.nb_documents - a.nb_documents)[0];
+        cible.value = plusUtilise ? plusUtilise.tag : '';
+    }
+    if (nb < 2) cible.value = '';
+}
+
+function commencerRenommage(tag) {
+    tagEnRenommage = tag;
+    afficherGestionTags();
+}
+
+function annulerRenommage() {
+    tagEnRenommage = null;
+    afficherGestionTags();
+}
+
+function toucheRenommage(event, tag, valeur) {
+    if (event.key === 'Enter') renommerTag(tag, valeur);
+    if (event.key === 'Escape') annulerRenommage();
+}
+
+/**
+ * Renommer = fusionner un seul tag dans le nouveau nom
+ * (si le nouveau nom existe déjà, les deux sont réunis)
+ */
+async function renommerTag(ancien, nouveau) {
+    if (normaliserTag(nouveau) === ancien) {
+        annulerRenommage();
+        return;
+    }
+    await appliquerActionTags(() => fusionnerTags([ancien], nouveau), [ancien], normaliserTag(nouveau));
+}
+
+async function fusionnerTagsCoches() {
+    const sources = [...tagsCoches];
+    const cible = document.getElementById('fusion-cible').value;
+    await appliquerActionTags(() => fusionnerTags(sources, cible), sources, normaliserTag(cible));
+}
+
+async function demanderSuppressionTag(tag) {
+    const ligne = tagsGestion.find(t => t.tag === tag);
+    const nb = ligne ? ligne.nb_documents : 0;
+    if (!confirm(`Retirer le tag "${tag}" de ${nb} document(s) ?\nLes documents eux-mêmes ne sont pas supprimés.`)) return;
+    await appliquerActionTags(() => supprimerTags([tag]), [tag], null);
+}
+
+/**
+ * Lancer une action sur les tags puis tout rafraîchir
+ * Le filtre de la sidebar suit le renommage (ou perd le tag supprimé).
+ *
+ * @param {function} action - Appel à fusionnerTags / supprimerTags
+ * @param {string[]} anciens - Tags qui disparaissent
+ * @param {string|null} nouveau - Tag qui les remplace (null = suppression)
+ */
+async function appliquerActionTags(action, anciens, nouveau) {
+    const errorDiv = document.getElementById('gestion-tags-error');
+    errorDiv.style.display = 'none';
+
+    try {
+        await action();
+    } catch (err) {
+        errorDiv.textContent = err.message;
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    const filtresTags = etatApp.filtres.tags.filter(tag => !anciens.includes(tag));
+    if (nouveau && filtresTags.length !== etatApp.filtres.tags.length && !filtresTags.includes(nouveau)) {
+        filtresTags.push(nouveau);
+    }
+    etatApp.filtres.tags = filtresTags;
+
+    tagsCoches.clear();
+    tagEnRenommage = null;
+    document.getElementById('fusion-cible').value = '';
+    await Promise.all([rechargerGestionTags(), chargerTags(), chargerDocuments(), rafraichirDetail()]);
+}
@@ -0,0 +1,839 @@
+// ============================================
+// transfert.js - Export et import de la bibliothèque
+// ESIEA 2024 - Mohammed Abia
+//
+// Export : JSON (tout, fidèle), CSV (pour Excel)
+// ou ZIP (le JSON + les fichiers du Storage).
+// Import : JSON / ZIP de cet export, ou un fichier
+// de favoris HTML exporté par un navigateur.
+// ============================================
+
+// JSZip n'est chargé que pour les ZIP (~100 Ko)
+const JSZIP_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
+
+// Identifie nos fichiers d'export (et leur version, si le format change un jour)
+const FORMAT_EXPORT = 'doc-manager';
+const VERSION_EXPORT = 1;
+
+// Colonnes exportées : tout sauf user_id (propre au compte),
+// date_suppression (pas d'export de la corbeille), search_vector (calculé)
+// et empreinte_fichier (recalculée quand le fichier est réimporté)
+const CHAMPS_EXPORT = [
+    'id', 'titre', 'description', 'type_doc', 'contenu', 'tags', 'taille_kb',
+    'est_favori', 'date_creation', 'date_modification', 'fichier_path', 'mime_type'
+];
+
+// Colonnes du CSV (les fichiers n'y sont pas, juste leur nom)
+const COLONNES_CSV = [
+    'titre', 'type_doc', 'description', 'contenu', 'tags',
+    'est_favori', 'taille_kb', 'date_creation', 'date_modification', 'fichier'
+];
+
+// Lectures et inserts par paquets : PostgREST plafonne à 1000 lignes
+// et une URL avec trop d'ids dans .in() finit par être refusée
+const TAILLE_LOT_LECTURE = 500;
+const TAILLE_LOT_IDS = 200;
+const TAILLE_LOT_INSERT = 50;
+
+// Nombre max d'erreurs détaillées dans le rapport d'import
+const MAX_ERREURS_AFFICHEES = 20;
+
+let transfertEnCours = false;
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Récupérer les documents complets à exporter
+ *
+ * @param {string[]|null} ids - null = toute ma bibliothèque (hors corbeille)
+ * @returns {Promise<array>}
+ */
+async function getDocumentsExport(ids) {
+    const documents = [];
+
+    if (ids === null) {
+        const session = await getSession();
+        for (let offset = 0; ; offset += TAILLE_LOT_LECTURE) {
+            const { data, error } = await supabaseClient
+                .from('documents')
+                .select(CHAMPS_EXPORT.join(', '))
+                .eq('user_id', session.user.id)
+                .is('date_suppression', null)
+                .order('date_creation', { ascending: true })
+                .order('id')
+                .range(offset, offset + TAILLE_LOT_LECTURE - 1);
+
+            if (error) {
+                console.error('Erreur getDocumentsExport :', error.message);
+                throw new Error('Impossible de lire les documents à exporter');
+            }
+            documents.push(...data);
+            if (data.length < TAILLE_LOT_LECTURE) break;
+        }
+        return documents;
+    }
+
+    for (let i = 0; i < ids.length; i += TAILLE_LOT_IDS) {
+        const { data, error } = await supabaseClient
+            .from('documents')
+            .select(CHAMPS_EXPORT.join(', '))
+            .in('id', ids.slice(i, i + TAILLE_LOT_IDS))
+            .order('date_creation', { ascending: true });
+
+        if (error) {
+            console.error('Erreur getDocumentsExport :', error.message);
+            throw new Error('Impossible de lire les documents à exporter');
+        }
+        documents.push(...data);
+    }
+    return documents;
+}
+
+/**
+ * Chemin du fichier d'un document à l'intérieur du ZIP
+ * (l'id devant évite les collisions entre deux "cours.pdf")
+ * @param {object} doc
+ * @returns {string}
+ */
+function cheminDansZip(doc) {
+    return `fichiers/${doc.id}-${nomDepuisChemin(doc.fichier_path)}`;
+}
+
+/**
+ * Objet JSON de l'export (aussi utilisé comme documents.json dans le ZIP)
+ * @param {array} documents
+ * @returns {object}
+ */
+function construireExportJSON(documents) {
+    return {
+        format: FORMAT_EXPORT,
+        version: VERSION_EXPORT,
+        date_export: new Date().toISOString(),
+        documents
+    };
+}
+
+/**
+ * Une valeur dans une cellule CSV
+ * Les valeurs qui commencent par = + - @ sont préfixées d'une apostrophe :
+ * sinon Excel les prend pour des formules (injection CSV).
+ * @param {*} valeur
+ * @returns {string}
+ */
+function celluleCSV(valeur) {
+    if (valeur === null || valeur === undefined) return '';
+    let texte = Array.isArray(valeur) ? valeur.join(', ') : String(valeur);
+    if (/^[=+\-@]/.test(texte)) texte = `'${texte}`;
+    return /[";\n\r]/.test(texte) ? `"${texte.replace(/"/g, '""')}"` : texte;
+}
+
+/**
+ * Export CSV
+ * Séparateur ';' et BOM UTF-8 : c'est ce qu'attend Excel en français
+ * pour ouvrir le fichier directement avec les accents.
+ * @param {array} documents
+ * @returns {string}
+ */
+function construireExportCSV(documents) {
+    const lignes = documents.map(doc => COLONNES_CSV.map(colonne => celluleCSV(
+        colonne === 'fichier' ? nomDepuisChemin(doc.fichier_path) : doc[colonne]
+    )).join(';'));
+
+    return '\uFEFF' + [COLONNES_CSV.join(';'), ...lignes].join('\r\n');
+}
+
+/**
+ * Exporter des documents
+ *
+ * @param {string} format - 'json', 'csv' ou 'zip'
+ * @param {string[]|null} ids - null = toute la bibliothèque
+ * @param {function} [onProgression] - Appelée avec (message, pourcentage)
+ * @returns {Promise<{nbDocuments: number, fichiersManquants: string[]}>}
+ */
+async function exporterDocuments(format, ids, onProgression = () => {}) {
+    onProgression('Lecture des documents...', 0);
+    const documents = await getDocumentsExport(ids);
+    const fichiersManquants = [];
+    const suffixe = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+        telechargerBlob(new Blob([construireExportCSV(documents)], { type: 'text/csv;charset=utf-8' }),
+            `documents-${suffixe}.csv`);
+    } else if (format === 'json') {
+        telechargerBlob(new Blob([JSON.stringify(construireExportJSON(documents), null, 2)], { type: 'application/json' }),
+            `documents-${suffixe}.json`);
+    } else {
+        await chargerScript(JSZIP_URL);
+        const zip = new window.JSZip();
+        const avecFichier = documents.filter(doc => doc.fichier_path);
+
+        for (let i = 0; i < avecFichier.length; i++) {
+            const doc = avecFichier[i];
+            onProgression(`Fichiers : ${i + 1} / ${avecFichier.length}`, Math.round((i / avecFichier.length) * 80));
+            try {
+                zip.file(cheminDansZip(doc), await telechargerFichier(doc.fichier_path));
+                doc.fichier = cheminDansZip(doc);
+            } catch (err) {
+                // Un fichier perdu ne doit pas bloquer tout l'export
+                fichiersManquants.push(doc.titre);
+            }
+        }
+
+        zip.file('documents.json', JSON.stringify(construireExportJSON(documents), null, 2));
+        const blob = await zip.generateAsync({ type: 'blob' }, (meta) => {
+            onProgression('Compression...', 80 + Math.round(meta.percent * 0.2));
+        });
+        telechargerBlob(blob, `documents-${suffixe}.zip`);
+    }
+
+    onProgression('Terminé', 100);
+    return { nbDocuments: documents.length, fichiersManquants };
+}
+
+/**
+ * Proposer un Blob en téléchargement
+ * @param {Blob} blob
+ * @param {string} nom
+ */
+function telechargerBlob(blob, nom) {
+    const url = URL.createObjectURL(blob);
+    const lien = document.createElement('a');
+    lien.href = url;
+    lien.download = nom;
+    document.body.appendChild(lien);
+    lien.click();
+    lien.remove();
+    // Laisser le temps au navigateur de démarrer le téléchargement
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// ============================================
+// DONNÉES DU COMPTE (modal "Mon compte")
+// Tout ce qui est stocké sur l'user, pas seulement
+// la bibliothèque : corbeille, dossiers, recherches,
+// révisions, partages et tous ses fichiers.
+// documents.json reste lisible par l'import.
+// ============================================
+
+// En plus de CHAMPS_EXPORT : le rangement, la corbeille et l'aperçu des liens
+const CHAMPS_EXPORT_COMPTE = [
+    ...CHAMPS_EXPORT, 'dossier_id', 'date_suppression', 'texte_lien', 'etat_lien'
+];
+
+/**
+ * Lire toutes les lignes d'une requête, par paquets de TAILLE_LOT_LECTURE
+ * (la requête doit avoir un ordre stable, sinon des lignes sautent)
+ *
+ * @param {function} construire - () => requête Supabase, sans .range()
+ * @param {string} quoi - Pour le message d'erreur ("les dossiers"...)
+ * @returns {Promise<array>}
+ */
+async function lireToutesLesLignes(construire, quoi) {
+    const lignes = [];
+    for (let offset = 0; ; offset += TAILLE_LOT_LECTURE) {
+        const { data, error } = await construire().range(offset, offset + TAILLE_LOT_LECTURE - 1);
+
+        if (error) {
+            console.error(`Erreur lecture ${quoi} :`, error.message);
+            throw new Error(`Impossible de lire ${quoi}`);
+        }
+        lignes.push(...data);
+        if (data.length < TAILLE_LOT_LECTURE) break;
+    }
+    return lignes;
+}
+
+/**
+ * Révisions de mes documents (même faites par quelqu'un avec qui je
+ * partage) et mes modifications sur les documents des autres
+ *
+ * @param {string} userId
+ * @param {string[]} idsDocuments - Mes documents
+ * @returns {Promise<array>}
+ */
+async function getRevisionsCompte(userId, idsDocuments) {
+    const revisions = new Map();
+    const ajouter = (lignes) => lignes.forEach(revision => revisions.set(revision.id, revision));
+
+    for (let i = 0; i < idsDocuments.length; i += TAILLE_LOT_IDS) {
+        const lot = idsDocuments.slice(i, i + TAILLE_LOT_IDS);
+        ajouter(await lireToutesLesLignes(() => supabaseClient
+            .from('revisions_documents')
+            .select('*')
+            .in('document_id', lot)
+            .order('id'), 'les révisions'));
+    }
+    ajouter(await lireToutesLesLignes(() => supabaseClient
+        .from('revisions_documents')
+        .select('*')
+        .eq('auteur_id', userId)
+        .order('id'), 'les révisions'));
+
+    return [...revisions.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Tout ce que la base contient sur l'user connecté
+ * @returns {Promise<object>} { profil, documents, dossiers, ... }
+ */
+async function getDonneesCompte() {
+    const { data: { user }, error } = await supabaseClient.auth.getUser();
+    if (error || !user) throw new Error('Session expirée, reconnecte-toi');
+
+    const documents = await lireToutesLesLignes(() => supabaseClient
+        .from('documents')
+        .select(CHAMPS_EXPORT_COMPTE.join(', '))
+        .eq('user_id', user.id)
+        .order('date_creation', { ascending: true })
+        .order('id'), 'les documents');
+
+    const dossiers = await lireToutesLesLignes(() => supabaseClient
+        .from('dossiers')
+        .select('id, parent_id, nom, date_creation')
+        .eq('user_id', user.id)
+        .order('date_creation', { ascending: true })
+        .order('id'), 'les dossiers');
+
+    const historique = await lireToutesLesLignes(() => supabaseClient
+        .from('historique_recherches')
+        .select('terme_recherche, date_recherche')
+        .eq('user_id', user.id)
+        .order('date_recherche', { ascending: true })
+        .order('id'), 'l\'historique des recherches');
+
+    const recherches = await lireToutesLesLignes(() => supabaseClient
+        .from('recherches_sauvegardees')
+        .select('id, nom, requete, filtres, position, date_creation')
+        .eq('user_id', user.id)
+        .order('position')
+        .order('id'), 'les recherches enregistrées');
+
+    const partages = await lireToutesLesLignes(() => supabaseClient
+        .from('partages')
+        .select('id, document_id, proprietaire_id, proprietaire_email, destinataire_id, destinataire_email, permission, date_creation')
+        .order('date_creation', { ascending: true })
+        .order('id'), 'les partages');
+
+    // Le RLS ne laisse voir que les codes de l'user ; on n'exporte que leur nombre
+    // (les empreintes ne servent à rien hors de la base)
+    const nbCodesSecours = await getNbCodesSecours().catch(() => null);
+
+    return {
+        profil: {
+            id: user.id,
+            email: user.email,
+            date_creation: user.created_at,
+            email_confirme_le: user.email_confirmed_at || null,
+            derniere_connexion: user.last_sign_in_at || null,
+            // Jamais le secret TOTP : juste de quoi savoir que la 2FA est active
+            double_authentification: (user.factors || []).map(facteur => ({
+                type: facteur.factor_type,
+                nom: facteur.friendly_name || null,
+                statut: facteur.status,
+                date_creation: facteur.created_at
+            })),
+            nb_codes_secours: nbCodesSecours
+        },
+        documents,
+        dossiers,
+        historique_recherches: historique,
+        recherches_sauvegardees: recherches,
+        partages: {
+            donnes: partages.filter(partage => partage.proprietaire_id === user.id),
+            recus: partages.filter(partage => partage.destinataire_id === user.id)
+        },
+        revisions: await getRevisionsCompte(user.id, documents.map(doc => doc.id))
+    };
+}
+
+/**
+ * Télécharger toutes les données du compte dans un ZIP
+ *  - compte.json : profil, dossiers, recherches, partages, révisions
+ *  - documents.json : tous les documents, corbeille comprise
+ *  - fichiers/ : tous les fichiers du Storage, même ceux qu'aucun
+ *    document ne référence plus (fichiers/autres/)
+ *
+ * @param {function} [onProgression] - Appelée avec (message, pourcentage)
+ * @returns {Promise<{nbDocuments: number, nbFichiers: number, fichiersManquants: string[]}>}
+ */
+async function exporterCompte(onProgression = () => {}) {
+    onProgression('Lecture des données du compte...', 0);
+    const donnees = await getDonneesCompte();
+    const cheminsStorage = await listerFichiersUtilisateur(donnees.profil.id);
+
+    await chargerScript(JSZIP_URL);
+    const zip = new window.JSZip();
+    const fichiersManquants = [];
+    const fichiers = [];
+    const docParChemin = new Map(donnees.documents
+        .filter(doc => doc.fichier_path)
+        .map(doc => [doc.fichier_path, doc]));
+
+    for (let i = 0; i < cheminsStorage.length; i++) {
+        const chemin = cheminsStorage[i];
+        const doc = docParChemin.get(chemin);
+        const cheminZip = doc ? cheminDansZip(doc) : `fichiers/autres/${chemin.split('/').pop()}`;
+        onProgression(`Fichiers : ${i + 1} / ${cheminsStorage.length}`, 10 + Math.round((i / cheminsStorage.length) * 70));
+        try {
+            zip.file(cheminZip, await telechargerFichier(chemin));
+            if (doc) doc.fichier = cheminZip;
+            fichiers.push({ chemin: cheminZip, chemin_storage: chemin, document_id: doc ? doc.id : null });
+        } catch (err) {
+            fichiersManquants.push(doc ? doc.titre : nomDepuisChemin(chemin));
+        }
+    }
+
+    const { documents, ...compte } = donnees;
+    zip.file('compte.json', JSON.stringify({
+        format: FORMAT_EXPORT,
+        type: 'compte',
+        version: VERSION_EXPORT,
+        date_export: new Date().toISOString(),
+        ...compte,
+        fichiers
+    }, null, 2));
+    zip.file('documents.json', JSON.stringify(construireExportJSON(documents), null, 2));
+
+    const blob = await zip.generateAsync({ type: 'blob' }, (meta) => {
+        onProgression('Compression...', 80 + Math.round(meta.percent * 0.2));
+    });
+    telechargerBlob(blob, `doc-manager-compte-${new Date().toISOString().slice(0, 10)}.zip`);
+
+    onProgression('Terminé', 100);
+    return { nbDocuments: documents.length, nbFichiers: fichiers.length, fichiersManquants };
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Lire un fichier d'import
+ *
+ * @param {File} fichier - .json, .zip ou .html (favoris)
+ * @returns {Promise<{documents: array, zip: object|null}>} zip = archive JSZip pour lire les fichiers
+ */
+async function lireFichierImport(fichier) {
+    const nom = fichier.name.toLowerCase();
+
+    if (nom.endsWith('.zip')) {
+        await chargerScript(JSZIP_URL);
+        let zip;
+        try {
+            zip = await window.JSZip.loadAsync(fichier);
+        } catch (err) {
+            throw new Error('Archive ZIP illisible');
+        }
+        const index = zip.file('documents.json');
+        if (!index) throw new Error('Ce ZIP ne contient pas de documents.json');
+        return { documents: lireExportJSON(await index.async('string')), zip };
+    }
+
+    const texte = await fichier.text();
+
+    if (nom.endsWith('.html') || nom.endsWith('.htm')) {
+        return { documents: lireFavorisHTML(texte), zip: null };
+    }
+    if (nom.endsWith('.json')) {
+        return { documents: lireExportJSON(texte), zip: null };
+    }
+
+    throw new Error('Format non reconnu (JSON, ZIP ou favoris HTML)');
+}
+
+/**
+ * @param {string} texte - Contenu de documents.json
+ * @returns {array} Documents bruts (pas encore validés)
+ */
+function lireExportJSON(texte) {
+    let donnees;
+    try {
+        donnees = JSON.parse(texte);
+    } catch (err) {
+        throw new Error('Fichier JSON invalide');
+    }
+
+    // Notre format { format, version, documents } ou directement un tableau
+    const documents = Array.isArray(donnees) ? donnees : donnees && donnees.documents;
+    if (!Array.isArray(documents)) {
+        throw new Error('Aucune liste de documents dans ce fichier');
+    }
+    if (donnees.version > VERSION_EXPORT) {
+        throw new Error('Export fait avec une version plus récente de l\'application');
+    }
+    return documents;
+}
+
+/**
+ * Lire un fichier de favoris (format "Netscape" exporté par tous les navigateurs)
+ * Chaque lien devient un document 'lien', les dossiers deviennent des tags.
+ *
+ * @param {string} html
+ * @returns {array}
+ */
+function lireFavorisHTML(html) {
+    const page = new DOMParser().parseFromString(html, 'text/html');
+
+    return [...page.querySelectorAll('a[href]')]
+        .filter(lien => /^https?:/i.test(lien.getAttribute('href')))
+        .map(lien => {
+            // Remonter les <DL> : le <H3> juste avant chacun est le nom du dossier
+            const dossiers = [];
+            for (let dl = lien.closest('dl'); dl; dl = dl.parentElement.closest('dl')) {
+                const titreDossier = dl.parentElement.querySelector(':scope > h3') || dl.previousElementSibling;
+                // La barre de favoris n'est pas un vrai classement
+                if (titreDossier && titreDossier.tagName === 'H3'
+                    && !titreDossier.hasAttribute('personal_toolbar_folder')) {
+                    dossiers.unshift(titreDossier.textContent.trim());
+                }
+            }
+            // Firefox met aussi ses propres tags dans un attribut TAGS
+            const tagsFirefox = (lien.getAttribute('tags') || '').split(',');
+            const dateAjout = parseInt(lien.getAttribute('add_date'), 10);
+
+            return {
+                titre: lien.textContent.trim() || lien.getAttribute('href'),
+                type_doc: 'lien',
+                contenu: lien.getAttribute('href'),
+                tags: [...dossiers, ...tagsFirefox],
+                date_creation: dateAjout ? new Date(dateAjout * 1000).toISOString() : null
+            };
+        });
+}
+
+/**
+ * Vérifier et nettoyer un document importé
+ * Le type est comparé à TYPES_DOC (même liste que le CHECK SQL) :
+ * mieux vaut un message clair qu'un insert refusé par PostgreSQL.
+ *
+ * @param {object} brut
+ * @returns {{doc: object|null, erreur: string|null}}
+ */
+function validerDocumentImport(brut) {
+    if (!brut || typeof brut !== 'object') {
+        return { doc: null, erreur: 'Entrée invalide' };
+    }
+
+    const titre = typeof brut.titre === 'string' ? brut.titre.trim() : '';
+    if (!titre) {
+        return { doc: null, erreur: 'Titre manquant' };
+    }
+    if (!TYPES_DOC.includes(brut.type_doc)) {
+        return { doc: null, erreur: `Type "${brut.type_doc}" invalide (attendu : ${TYPES_DOC.join(', ')})` };
+    }
+
+    const texteOuNull = (valeur) => (typeof valeur === 'string' && valeur.length > 0 ? valeur : null);
+    const date = brut.date_creation ? new Date(brut.date_creation) : null;
+    const tags = Array.isArray(brut.tags)
+        ? normaliserTags(brut.tags.filter(t => typeof t === 'string'))
+        : [];
+
+    return {
+        doc: {
+            id: typeof brut.id === 'string' ? brut.id : null,
+            titre: titre.slice(0, 255),
+            type_doc: brut.type_doc,
+            description: texteOuNull(brut.description),
+            contenu: texteOuNull(brut.contenu),
+            tags,
+            taille_kb: Number.isInteger(brut.taille_kb) ? brut.taille_kb : null,
+            est_favori: brut.est_favori === true,
+            mime_type: texteOuNull(brut.mime_type),
+            date_creation: date && !isNaN(date) ? date.toISOString() : null,
+            fichier: texteOuNull(brut.fichier)   // chemin dans le ZIP
+        },
+        erreur: null
+    };
+}
+
+/**
+ * Clé de doublon : l'URL pour un lien, sinon type + titre sans la casse
+ * @param {object} doc
+ * @returns {string}
+ */
+function cleDoublon(doc) {
+    if (doc.type_doc === 'lien' && doc.contenu) {
+        return `lien:${doc.contenu.trim()}`;
+    }
+    return `${doc.type_doc}:${doc.titre.trim().toLowerCase()}`;
+}
+
+/**
+ * Index de mes documents existants pour repérer les doublons
+ * Deux requêtes : le contenu n'est utile que pour les liens (l'URL),
+ * inutile de ramener le texte de tous les PDF.
+ *
+ * @param {string} userId
+ * @returns {Promise<{parId: Map, parCle: Map}>} valeurs = { id, fichier_path }
+ */
+async function getIndexDoublons(userId) {
+    const lireTout = async (colonnes, filtre) => {
+        const lignes = [];
+        for (let offset = 0; ; offset += TAILLE_LOT_LECTURE) {
+            const { data, error } = await filtre(supabaseClient
+                .from('documents')
+                .select(colonnes)
+                .eq('user_id', userId)
+                .is('date_suppression', null)
+                .order('id')
+                .range(offset, offset + TAILLE_LOT_LECTURE - 1));
+
+            if (error) {
+                console.error('Erreur getIndexDoublons :', error.message);
+                throw new Error('Impossible de vérifier les doublons');
+            }
+            lignes.push(...data);
+            if (data.length < TAILLE_LOT_LECTURE) return lignes;
+        }
+    };
+
+    const [documents, liens] = await Promise.all([
+        lireTout('id, titre, type_doc, fichier_path', query => query.neq('type_doc', 'lien')),
+        lireTout('id, titre, type_doc, contenu, fichier_path', query => query.eq('type_doc', 'lien'))
+    ]);
+
+    const index = { parId: new Map(), parCle: new Map() };
+    [...documents, ...liens].forEach(doc => {
+        const existant = { id: doc.id, fichier_path: doc.fichier_path };
+        index.parId.set(doc.id, existant);
+        index.parCle.set(cleDoublon(doc), existant);
+    });
+    return index;
+}
+
+/**
+ * Envoyer dans Storage le fichier d'un document du ZIP
+ * @param {object} zip - Archive JSZip
+ * @param {object} doc - Document validé (doc.fichier = chemin dans le ZIP)
+ * @returns {Promise<object|null>} { fichier_path, mime_type, taille_kb } ou null si pas de fichier
+ */
+async function envoyerFichierZip(zip, doc) {
+    if (!zip || !doc.fichier) return null;
+    const entree = zip.file(doc.fichier);
+    if (!entree) throw new Error('Fichier absent du ZIP');
+
+    const blob = await entree.async('blob');
+    // Enlever le préfixe fichiers/<id>- ajouté à l'export
+    const nom = doc.fichier.split('/').pop().replace(/^[0-9a-f-]{36}-/, '');
+    const fichier = new File([blob], nom, { type: doc.mime_type || '' });
+    return await uploaderFichier(fichier).promesse;
+}
+
+/**
+ * Importer des documents
+ *
+ * @param {File} fichier - .json, .zip ou .html
+ * @param {string} strategie - Doublons : 'ignorer', 'remplacer' ou 'garder' (les deux)
+ * @param {function} [onProgression] - Appelée avec (traites, total)
+ * @returns {Promise<{importes: number, remplaces: number, ignores: number, erreurs: array}>}
+ */
+async function importerDocuments(fichier, strategie, onProgression = () => {}) {
+    const session = await getSession();
+    if (!session) throw new Error('Tu dois être connecté pour importer');
+
+    const { documents: bruts, zip } = await lireFichierImport(fichier);
+    const index = await getIndexDoublons(session.user.id);
+    const rapport = { importes: 0, remplaces: 0, ignores: 0, erreurs: [] };
+
+    // Inserts groupés par paquets de TAILLE_LOT_INSERT
+    let lot = [];
+    const envoyerLot = async () => {
+        if (lot.length === 0) return;
+        const enCours = lot;
+        lot = [];
+
+        const { data, error } = await supabaseClient
+            .from('documents')
+            .insert(enCours.map(item => item.ligne))
+            .select('id');
+
+        if (error) {
+            console.error('Erreur importerDocuments :', error.message);
+            // Les fichiers déjà envoyés pour ce paquet n'ont plus de document
+            await supprimerFichiers(enCours.map(item => item.ligne.fichier_path));
+            enCours.forEach(item => rapport.erreurs.push({ titre: item.ligne.titre, raison: 'Insertion refusée' }));
+            return;
+        }
+
+        // Les lignes reviennent dans l'ordre de l'insert
+        data.forEach((ligne, i) => {
+            index.parCle.set(enCours[i].cle, { id: ligne.id, fichier_path: enCours[i].ligne.fichier_path });
+        });
+        rapport.importes += data.length;
+    };
+
+    for (let i = 0; i < bruts.length; i++) {
+        onProgression(i, bruts.length);
+
+        const { doc, erreur } = validerDocumentImport(bruts[i]);
+        if (erreur) {
+            // titre peut être n'importe quoi dans un fichier importé (nombre, objet...)
+            const titre = bruts[i] && typeof bruts[i].titre === 'string' && bruts[i].titre.trim();
+            rapport.erreurs.push({ titre: titre || `Entrée n°${i + 1}`, raison: erreur });
+            continue;
+        }
+
+        const cle = cleDoublon(doc);
+        // Un doublon peut être dans le paquet pas encore envoyé
+        if (strategie !== 'garder' && lot.some(item => item.cle === cle)) await envoyerLot();
+        const existant = strategie === 'garder' ? null : (index.parId.get(doc.id) || index.parCle.get(cle));
+
+        if (existant && strategie === 'ignorer') {
+            rapport.ignores++;
+            continue;
+        }
+
+        try {
+            const envoi = await envoyerFichierZip(zip, doc);
+            const champs = {
+                titre: doc.titre,
+                type_doc: doc.type_doc,
+                description: doc.description,
+                contenu: doc.contenu,
+                tags: doc.tags.length > 0 ? doc.tags : null,
+                taille_kb: doc.taille_kb,
+                est_favori: doc.est_favori,
+                mime_type: doc.mime_type,
+                ...(envoi || {})
+            };
+
+            if (existant) {
+                // Écraser le document existant (un nouveau fichier remplace l'ancien)
+                await modifierDocument(existant.id, champs);
+                if (envoi && existant.fichier_path) await supprimerFichier(existant.fichier_path);
+                rapport.remplaces++;
+            } else {
+                const ligne = { ...champs, user_id: session.user.id };
+                if (doc.date_creation) ligne.date_creation = doc.date_creation;
+                lot.push({ ligne, cle });
+                if (lot.length >= TAILLE_LOT_INSERT) await envoyerLot();
+            }
+        } catch (err) {
+            rapport.erreurs.push({ titre: doc.titre, raison: err.message });
+        }
+    }
+
+    await envoyerLot();
+    onProgression(bruts.length, bruts.length);
+    return rapport;
+}
+
+// ============================================
+// MODAL IMPORT / EXPORT
+// ============================================
+
+function ouvrirModalTransfert() {
+    // "Filtre actuel" n'a de sens que si on n'est pas sur la vue par défaut
+    const filtreActif = etatApp.rechercheCourante || etatApp.filtres.type_doc
+        || etatApp.filtres.tags.length > 0 || etatApp.filtres.favoris || etatApp.filtres.partages
+        || etatApp.filtres.dossier_id;
+    const optionFiltre = document.getElementById('export-portee-filtre');
+    optionFiltre.disabled = !filtreActif || etatApp.filtres.corbeille;
+    document.getElementById('export-portee-filtre-label').textContent =
+        `Filtre / recherche actuel (${etatApp.totalDocuments} document(s))`;
+    if (optionFiltre.disabled) document.getElementById('export-portee-tout').checked = true;
+
+    document.getElementById('input-import').value = '';
+    document.getElementById('transfert-rapport').style.display = 'none';
+    document.getElementById('transfert-progression').style.display = 'none';
+    document.getElementById('modal-transfert').style.display = 'flex';
+}
+
+function fermerModalTransfert() {
+    if (transfertEnCours) return;  // on ne ferme pas au milieu d'un import
+    document.getElementById('modal-transfert').style.display = 'none';
+}
+
+function afficherProgressionTransfert(message, pourcentage) {
+    document.getElementById('transfert-progression').style.display = 'flex';
+    document.getElementById('transfert-barre').style.width = `${pourcentage}%`;
+    document.getElementById('transfert-message').textContent = message;
+}
+
+/**
+ * Activer / désactiver les boutons pendant un transfert
+ * @param {boolean} actif
+ */
+function verrouillerTransfert(actif) {
+    transfertEnCours = actif;
+    document.querySelectorAll('#modal-transfert button').forEach(btn => {
+        btn.disabled = actif;
+    });
+}
+
+/**
+ * @param {string} format - 'json', 'csv' ou 'zip'
+ */
+async function lancerExport(format) {
+    const rapportEl = document.getElementById('transfert-rapport');
+    rapportEl.style.display = 'none';
+    verrouillerTransfert(true);
+
+    try {
+        const ids = document.getElementById('export-portee-filtre').checked
+            ? await getIdsRecherche(etatApp.rechercheCourante, etatApp.filtres)
+            : null;
+        const resultat = await exporterDocuments(format, ids, afficherProgressionTransfert);
+
+        rapportEl.className = 'success-msg';
+        rapportEl.textContent = `${resultat.nbDocuments} document(s) exporté(s).`
+            + (resultat.fichiersManquants.length > 0
+                ? ` Fichiers introuvables : ${resultat.fichiersManquants.join(', ')}`
+                : '');
+    } catch (err) {
+        rapportEl.className = 'error-msg';
+        rapportEl.textContent = err.message;
+    } finally {
+        rapportEl.style.display = 'block';
+        verrouillerTransfert(false);
+    }
+}
+
+async function lancerImport() {
+    const fichier = document.getElementById('input-import').files[0];
+    const rapportEl = document.getElementById('transfert-rapport');
+
+    if (!fichier) {
+        rapportEl.className = 'error-msg';
+        rapportEl.textContent = 'Choisis un fichier à importer';
+        rapportEl.style.display = 'block';
+        return;
+    }
+
+    rapportEl.style.display = 'none';
+    verrouillerTransfert(true);
+    afficherProgressionTransfert('Lecture du fichier...', 0);
+
+    try {
+        const rapport = await importerDocuments(
+            fichier,
+            document.getElementById('import-doublons').value,
+            (traites, total) => afficherProgressionTransfert(
+                `${traites} / ${total} document(s)`,
+                total > 0 ? Math.round((traites / total) * 100) : 100
+            )
+        );
+
+        rapportEl.className = rapport.erreurs.length > 0 ? 'error-msg' : 'success-msg';
+        rapportEl.innerHTML = `
+            ${rapport.importes} importé(s), ${rapport.remplaces} remplacé(s),
+            ${rapport.ignores} doublon(s) ignoré(s), ${rapport.erreurs.length} erreur(s).
+            ${rapport.erreurs.length > 0 ? `
+            <ul class="transfert-erreurs">
+                ${rapport.erreurs.slice(0, MAX_ERREURS_AFFICHEES)
+                    .map(e => `<li>${echapper(String(e.titre))} : ${echapper(String(e.raison))}</li>`).join('')}
+                ${rapport.erreurs.length > MAX_ERREURS_AFFICHEES ? '<li>…</li>' : ''}
+            </ul>` : ''}
+        `;
+
+        await Promise.all([chargerDocuments(), chargerTags(), chargerStats()]);
+    } catch (err) {
+        rapportEl.className = 'error-msg';
+        rapportEl.textContent = err.message;
+    } finally {
+        rapportEl.style.display = 'block';
+        verrouillerTransfert(false);
+    }
+}
@@ -0,0 +1,67 @@
+-- ============================================
+-- Mise à jour d'une base existante (2/2) - Doc Manager
+-- Projet ESIEA 2024 - Mohammed Abia
+--
+-- À exécuter APRÈS schema.sql (voir mise_a_jour_avant.sql) :
+-- reprend les données enregistrées avec une version
+-- précédente. Sur une base neuve il n'y a rien à reprendre.
+-- Relancer ce fichier ne change plus rien.
+-- ============================================
+
+-- Clé étrangère de documents.dossier_id (colonne ajoutée par
+-- mise_a_jour_avant.sql, avant que la table dossiers existe)
+-- Même nom que celui que PostgreSQL donne dans CREATE TABLE.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'documents_dossier_id_fkey') THEN
+        ALTER TABLE documents
+            ADD CONSTRAINT documents_dossier_id_fkey
+            FOREIGN KEY (dossier_id) REFERENCES dossiers(id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+-- Vocabulaire des documents créés avant le trigger maj_vocabulaire
+-- Avant la reprise des tags : celle-ci passe par le trigger, qui ne
+-- ferait qu'ajouter les mots des documents modifiés à une table vide.
+-- (ON CONFLICT : relancer le fichier ne compte pas deux fois)
+INSERT INTO vocabulaire (user_id, mot, nb_documents)
+SELECT d.user_id, m, COUNT(*)
+FROM documents d, mots_document(d) AS m
+GROUP BY d.user_id, m
+ON CONFLICT (user_id, mot) DO NOTHING;
+
+-- Même normalisation que normaliserTags dans documents.js : sans accents
+-- (NFD puis on retire les diacritiques), minuscules, espaces regroupés,
+-- sans vides ni doublons, ordre conservé. NULL s'il ne reste rien.
+CREATE OR REPLACE FUNCTION normaliser_tags(p_tags TEXT[])
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT NULLIF(ARRAY(
+        SELECT propre.t
+        FROM (
+            SELECT btrim(regexp_replace(
+                       lower(regexp_replace(normalize(x, NFD), '[\u0300-\u036f]', '', 'g')),
+                       '\s+', ' ', 'g')) AS t,
+                   n
+            FROM unnest(p_tags) WITH ORDINALITY AS u(x, n)
+        ) propre
+        WHERE propre.t <> ''
+        GROUP BY propre.t
+        ORDER BY MIN(propre.n)
+    ), '{}');
+$$;
+
+-- Tags enregistrés avant normaliserTag ("SQL", "Réseau ", "réseau" en
+-- trois tags différents) : on les ramène une fois à la forme actuelle.
+-- Ce n'est pas une modification de l'user : ni révision, ni nouvelle
+-- date_modification. Le vocabulaire, lui, suit (trigger laissé actif).
+-- (WHERE : relancer le fichier ne touche plus rien)
+ALTER TABLE documents DISABLE TRIGGER trigger_update_date_modification;
+ALTER TABLE documents DISABLE TRIGGER trigger_enregistrer_revision;
+UPDATE documents
+SET tags = normaliser_tags(tags)
+WHERE tags IS DISTINCT FROM normaliser_tags(tags);
+ALTER TABLE documents ENABLE TRIGGER trigger_update_date_modification;
+ALTER TABLE documents ENABLE TRIGGER trigger_enregistrer_revision;
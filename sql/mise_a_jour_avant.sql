@@ -0,0 +1,88 @@
+-- ============================================
+-- Mise à jour d'une base existante (1/2) - Doc Manager
+-- Projet ESIEA 2024 - Mohammed Abia
+--
+-- schema.sql crée une base VIDE. Sur une base créée
+-- avec une version précédente, il s'arrête au premier
+-- CREATE TRIGGER / CREATE POLICY qui existe déjà, et
+-- CREATE TABLE IF NOT EXISTS n'ajoute pas les nouvelles
+-- colonnes. Dans le SQL Editor, exécuter dans l'ordre :
+--   1. sql/mise_a_jour_avant.sql   (ce fichier)
+--   2. sql/schema.sql
+--   3. sql/mise_a_jour_apres.sql   (reprise des données)
+-- Les trois peuvent être relancés sans risque.
+-- ============================================
+
+-- Colonnes ajoutées à documents depuis la première version
+-- dossier_id sans sa clé étrangère : la table dossiers n'existe pas
+-- encore, mise_a_jour_apres.sql l'ajoute.
+ALTER TABLE documents
+    ADD COLUMN IF NOT EXISTS fichier_path TEXT,
+    ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS empreinte_fichier TEXT,
+    ADD COLUMN IF NOT EXISTS dossier_id UUID,
+    ADD COLUMN IF NOT EXISTS date_suppression TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS texte_lien TEXT,
+    ADD COLUMN IF NOT EXISTS etat_lien JSONB;
+
+-- Chemin du fichier forcément dans le dossier du propriétaire (voir
+-- documents.fichier_path dans schema.sql). Si l'ajout échoue, un document
+-- pointe vers le fichier d'un autre compte : à regarder avant de continuer.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'documents_fichier_du_proprietaire') THEN
+        ALTER TABLE documents
+            ADD CONSTRAINT documents_fichier_du_proprietaire
+            CHECK (fichier_path IS NULL OR (split_part(fichier_path, '/', 1) = user_id::TEXT
+                                    AND fichier_path !~ '(^|/)\.\.?(/|$)'));
+    END IF;
+END $$;
+
+-- search_vector indexe aussi texte_lien maintenant. Une colonne générée
+-- ne se modifie pas : on la recrée si elle ne le prend pas encore
+-- (idx_documents_search_vector part avec, schema.sql le recrée).
+-- Même expression que dans schema.sql.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'documents'
+          AND column_name = 'search_vector'
+          AND generation_expression LIKE '%texte_lien%'
+    ) THEN
+        ALTER TABLE documents DROP COLUMN IF EXISTS search_vector;
+        ALTER TABLE documents ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+            setweight(to_tsvector('french', COALESCE(titre, '')), 'A') ||
+            setweight(to_tsvector('french', COALESCE(description, '')), 'B') ||
+            setweight(to_tsvector('french', COALESCE(contenu, '')), 'C') ||
+            setweight(to_tsvector('french', COALESCE(texte_lien, '')), 'D')
+        ) STORED;
+    END IF;
+END $$;
+
+-- Triggers et policies : schema.sql les recrée tous (pas de IF NOT EXISTS
+-- pour eux). La première version avait "documents_user_isolation",
+-- remplacée depuis par une policy par opération : elle part aussi.
+DO $$
+DECLARE
+    r RECORD;
+BEGIN
+    FOR r IN
+        SELECT t.tgname, c.relname
+        FROM pg_trigger t
+        JOIN pg_class c ON c.oid = t.tgrelid
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = 'public' AND NOT t.tgisinternal
+    LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS %I ON public.%I', r.tgname, r.relname);
+    END LOOP;
+
+    FOR r IN
+        SELECT schemaname, tablename, policyname
+        FROM pg_policies
+        WHERE schemaname = 'public'
+           OR (schemaname = 'storage' AND policyname LIKE 'storage_documents%')
+    LOOP
+        EXECUTE format('DROP POLICY IF EXISTS %I ON %I.%I', r.policyname, r.schemaname, r.tablename);
+    END LOOP;
+END $$;
@@ -6,8 +6,29 @@
 -- leur système d'auth (auth.users est déjà créé)
 -- ============================================
 
+-- Trigrammes : recherche approchée quand le full-text ne trouve rien
+-- ("jointrue" → "jointure"). Disponible de base sur Supabase.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- pgcrypto : crypt() pour revérifier le mot de passe (verifier_mot_de_passe).
+-- Déjà installée dans le schéma extensions sur Supabase.
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- Dossiers de l'utilisateur (année → semestre → matière...)
+-- parent_id NULL = dossier à la racine. Supprimer un dossier supprime
+-- ses sous-dossiers (CASCADE) et sort ses documents de tout dossier
+-- (ON DELETE SET NULL sur documents.dossier_id) : aucun document perdu.
+-- Défini avant documents à cause de la clé étrangère.
+CREATE TABLE IF NOT EXISTS dossiers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES dossiers(id) ON DELETE CASCADE,
+    nom VARCHAR(100) NOT NULL CHECK (TRIM(nom) <> ''),
+    date_creation TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Table principale des documents
--- TODO: peut-être ajouter un champ pour les partages entre utilisateurs plus tard
+-- (les partages entre utilisateurs sont dans la table `partages` plus bas)
 CREATE TABLE IF NOT EXISTS documents (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
@@ -21,12 +42,37 @@ CREATE TABLE IF NOT EXISTS documents (
     date_modification TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     taille_kb INTEGER,      -- NULL si c'est une note ou un lien
     est_favori BOOLEAN DEFAULT FALSE,
+    -- fichier stocké dans le bucket 'documents' (Supabase Storage)
+    -- format du chemin : <user_id>/<uuid>-<nom>, NULL pour les notes et liens
+    -- Toujours dans le dossier du propriétaire : sinon on pourrait créer un
+    -- document qui pointe vers le fichier d'un autre compte, le lire par
+    -- un partage (storage_documents_partages) ou le faire effacer par la
+    -- purge de la corbeille (qui tourne avec la clé service_role).
+    -- Pas de segment . ou .. non plus : "<moi>/../<autre>/x" sortirait du dossier.
+    fichier_path TEXT
+        CONSTRAINT documents_fichier_du_proprietaire
+        CHECK (fichier_path IS NULL OR (split_part(fichier_path, '/', 1) = user_id::TEXT
+                                      AND fichier_path !~ '(^|/)\.\.?(/|$)')),
+    mime_type VARCHAR(100),
+    -- SHA-256 du contenu du fichier, calculé par le JS à l'upload (empreinteFichier) :
+    -- le même PDF envoyé deux fois sous deux titres est repéré (voir chercher_doublons)
+    empreinte_fichier TEXT,
+    -- dossier du propriétaire, NULL = hors dossier
+    dossier_id UUID REFERENCES dossiers(id) ON DELETE SET NULL,
+    -- corbeille : NULL = document normal, sinon date de mise à la corbeille
+    -- (supprimé pour de bon après RETENTION_CORBEILLE_JOURS, voir purger_corbeille)
+    date_suppression TIMESTAMP WITH TIME ZONE,
+    -- liens : ce que l'edge function apercu-lien a trouvé sur la page
+    -- (NULL tant que le lien n'a pas été analysé, et pour les autres types)
+    texte_lien TEXT,        -- texte lisible de la page, cherchable comme le reste
+    etat_lien JSONB,        -- { favicon, statut, mort, echecs, erreur, date_verification }
     -- colonne générée pour la recherche full-text (évite de recalculer à chaque requête)
     -- j'ai découvert ça en cherchant comment avoir des requêtes < 100ms
     search_vector TSVECTOR GENERATED ALWAYS AS (
         setweight(to_tsvector('french', COALESCE(titre, '')), 'A') ||
         setweight(to_tsvector('french', COALESCE(description, '')), 'B') ||
-        setweight(to_tsvector('french', COALESCE(contenu, '')), 'C')
+        setweight(to_tsvector('french', COALESCE(contenu, '')), 'C') ||
+        setweight(to_tsvector('french', COALESCE(texte_lien, '')), 'D')   -- écrit par la page, pas par moi : poids le plus faible
     ) STORED
 );
 
@@ -39,6 +85,94 @@ CREATE TABLE IF NOT EXISTS historique_recherches (
     date_recherche TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Vocabulaire de mes documents : chaque mot (titre, description,
+-- contenu, tags) avec le nombre de documents qui le contiennent.
+-- Sert à corriger les fautes de frappe (corriger_recherche) : chercher
+-- le mot le plus proche dans cette petite table est bien plus rapide
+-- que de relire tout le texte des documents.
+-- Rempli par un trigger (maj_vocabulaire), jamais par le JS.
+CREATE TABLE IF NOT EXISTS vocabulaire (
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    mot TEXT NOT NULL,
+    nb_documents INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, mot)
+);
+
+-- Recherches enregistrées ("collections intelligentes" de la sidebar)
+-- On garde la saisie et les filtres, pas les résultats : une recherche
+-- enregistrée trouve aussi les documents ajoutés après coup.
+-- filtres = { type_doc, tags, favoris, partages, dossier_id, sous_dossiers, tri }
+-- (mêmes clés que etatApp.filtres, sans la page ni la corbeille)
+CREATE TABLE IF NOT EXISTS recherches_sauvegardees (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    nom VARCHAR(100) NOT NULL CHECK (TRIM(nom) <> ''),
+    requete TEXT NOT NULL DEFAULT '',       -- saisie de la barre de recherche (opérateurs compris)
+    filtres JSONB NOT NULL DEFAULT '{}',
+    position INTEGER NOT NULL DEFAULT 0,    -- ordre dans la sidebar
+    date_creation TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Partage d'un document avec un autre compte
+-- permission 'lecture' = voir seulement, 'edition' = voir + modifier
+-- (seul le propriétaire peut supprimer ou re-partager)
+-- Les emails sont recopiés ici car auth.users n'est pas lisible côté client
+CREATE TABLE IF NOT EXISTS partages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    proprietaire_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    proprietaire_email VARCHAR(255) NOT NULL,
+    destinataire_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    destinataire_email VARCHAR(255) NOT NULL,
+    permission VARCHAR(20) NOT NULL CHECK (permission IN ('lecture', 'edition')),
+    date_creation TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (document_id, destinataire_id)   -- un seul partage par document et par personne
+);
+
+-- Codes de secours de la double authentification (TOTP)
+-- Supabase n'en a pas : si on perd son téléphone, un de ces codes
+-- désactive la 2FA (utiliser_code_secours) pour pouvoir se reconnecter.
+-- On ne garde que l'empreinte SHA-256 : le code en clair n'est
+-- montré qu'une fois, quand generer_codes_secours le crée.
+CREATE TABLE IF NOT EXISTS codes_secours (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    empreinte TEXT NOT NULL,
+    date_creation TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, empreinte)
+);
+
+-- Mot de passe actuel redemandé dans "Mon compte" (verifier_mot_de_passe_actuel) :
+-- compte les mauvais mots de passe, sans limite la fonction servirait à
+-- deviner le mot de passe par l'API, en passant à côté des limites de
+-- Supabase Auth. Note aussi jusqu'à quand la suppression du compte est
+-- autorisée (preparer_suppression_compte, puis supprimer_mon_compte).
+-- Pas de policy : seules les fonctions y touchent.
+CREATE TABLE IF NOT EXISTS verifications_mot_de_passe (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    essais_rates INTEGER NOT NULL DEFAULT 0,
+    date_dernier_essai TIMESTAMP WITH TIME ZONE,
+    suppression_autorisee_jusqu_a TIMESTAMP WITH TIME ZONE
+);
+
+-- Historique des versions : une ligne = l'état du document après
+-- une création ou une modification (rempli par un trigger, pas par le JS)
+-- Je stocke la version complète plutôt qu'un diff : plus simple à
+-- restaurer, et le diff se calcule à l'affichage entre 2 versions.
+CREATE TABLE IF NOT EXISTS revisions_documents (
+    id BIGSERIAL PRIMARY KEY,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    auteur_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    auteur_email VARCHAR(255),          -- utile quand le doc est partagé en édition
+    titre VARCHAR(255) NOT NULL,
+    description TEXT,
+    type_doc VARCHAR(50),
+    contenu TEXT,
+    tags TEXT[],
+    champs_modifies TEXT[] NOT NULL DEFAULT '{}',  -- vide = version initiale
+    date_revision TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 
 -- ============================================
 -- INDEX - c'est ce qui fait la différence
@@ -69,6 +203,48 @@ CREATE INDEX IF NOT EXISTS idx_documents_favori
     ON documents(user_id, est_favori) 
     WHERE est_favori = TRUE;  -- index partiel, plus léger
 
+-- Corbeille : index partiel, la grande majorité des docs n'y sont pas
+CREATE INDEX IF NOT EXISTS idx_documents_corbeille 
+    ON documents(user_id, date_suppression) 
+    WHERE date_suppression IS NOT NULL;
+
+-- Partages : la policy RLS de documents cherche (document_id, destinataire_id)
+-- à chaque ligne lue, l'index UNIQUE le couvre déjà.
+-- Celui-là sert au filtre "Partagés avec moi"
+CREATE INDEX IF NOT EXISTS idx_partages_destinataire 
+    ON partages(destinataire_id);
+
+-- Dossiers : filtre "dans ce dossier" sur les documents
+CREATE INDEX IF NOT EXISTS idx_documents_dossier 
+    ON documents(dossier_id) 
+    WHERE dossier_id IS NOT NULL;
+
+-- Pas deux dossiers du même nom (sans la casse) au même endroit
+-- COALESCE : sinon deux NULL (racine) ne sont jamais considérés égaux
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dossiers_nom_unique 
+    ON dossiers(user_id, COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'), LOWER(nom));
+
+-- Recherche approchée (pg_trgm) : GIN sur les trigrammes.
+-- Permet à % et <% d'utiliser un index au lieu de comparer chaque ligne.
+CREATE INDEX IF NOT EXISTS idx_vocabulaire_mot_trgm 
+    ON vocabulaire USING GIN(mot gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_documents_titre_trgm 
+    ON documents USING GIN(titre gin_trgm_ops);
+
+-- Doublons : même fichier envoyé deux fois (chercher_doublons, paires_doublons)
+CREATE INDEX IF NOT EXISTS idx_documents_empreinte 
+    ON documents(user_id, empreinte_fichier)
+    WHERE empreinte_fichier IS NOT NULL;
+
+-- Pas deux recherches enregistrées du même nom (sans la casse)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recherches_sauvegardees_nom_unique 
+    ON recherches_sauvegardees(user_id, LOWER(nom));
+
+-- Historique : toujours lu pour un document, de la plus récente à la plus ancienne
+CREATE INDEX IF NOT EXISTS idx_revisions_document_date 
+    ON revisions_documents(document_id, date_revision DESC);
+
 
 -- ============================================
 -- FONCTIONS ET TRIGGERS
@@ -79,6 +255,14 @@ CREATE INDEX IF NOT EXISTS idx_documents_favori
 CREATE OR REPLACE FUNCTION update_date_modification()
 RETURNS TRIGGER AS $$
 BEGIN
+    -- Analyser un lien (apercu-lien) n'est pas modifier le document :
+    -- si seuls texte_lien / etat_lien changent, la date ne bouge pas
+    -- (sinon la vérification périodique remonterait tous les liens dans le tri).
+    -- Pareil pour l'empreinte calculée après coup sur un ancien fichier (doublons.js)
+    IF (to_jsonb(NEW) - '{texte_lien,etat_lien,empreinte_fichier,date_modification,search_vector}'::TEXT[])
+       = (to_jsonb(OLD) - '{texte_lien,etat_lien,empreinte_fichier,date_modification,search_vector}'::TEXT[]) THEN
+        RETURN NEW;
+    END IF;
     NEW.date_modification = NOW();
     RETURN NEW;
 END;
@@ -89,18 +273,1238 @@ CREATE TRIGGER trigger_update_date_modification
     FOR EACH ROW
     EXECUTE FUNCTION update_date_modification();
 
+-- Enregistrer une révision à chaque création / modification
+-- Placé juste à côté de update_date_modification, mais en AFTER :
+-- on veut la version finale, une fois tous les BEFORE passés.
+-- SECURITY DEFINER pour écrire dans revisions_documents sans policy INSERT
+-- (personne ne doit pouvoir fabriquer une fausse révision depuis le client)
+-- et pour lire l'email de l'auteur dans auth.users.
+CREATE OR REPLACE FUNCTION enregistrer_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_champs TEXT[] := '{}';
+    v_auteur UUID := COALESCE(auth.uid(), NEW.user_id);
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        IF NEW.titre IS DISTINCT FROM OLD.titre THEN v_champs := v_champs || 'titre'::TEXT; END IF;
+        IF NEW.description IS DISTINCT FROM OLD.description THEN v_champs := v_champs || 'description'::TEXT; END IF;
+        IF NEW.type_doc IS DISTINCT FROM OLD.type_doc THEN v_champs := v_champs || 'type_doc'::TEXT; END IF;
+        IF NEW.contenu IS DISTINCT FROM OLD.contenu THEN v_champs := v_champs || 'contenu'::TEXT; END IF;
+        IF NEW.tags IS DISTINCT FROM OLD.tags THEN v_champs := v_champs || 'tags'::TEXT; END IF;
+
+        -- Favori, fichier... ne sont pas versionnés : pas de révision
+        IF cardinality(v_champs) = 0 THEN
+            RETURN NEW;
+        END IF;
+
+        -- Document créé avant l'historique : on sauve d'abord l'ancienne version,
+        -- sinon elle serait perdue dès la 1re modification
+        IF NOT EXISTS (SELECT 1 FROM revisions_documents WHERE document_id = OLD.id) THEN
+            INSERT INTO revisions_documents
+                (document_id, auteur_id, auteur_email, titre, description, type_doc, contenu, tags, date_revision)
+            SELECT OLD.id, OLD.user_id, u.email, OLD.titre, OLD.description, OLD.type_doc,
+                   OLD.contenu, OLD.tags, OLD.date_modification
+            FROM auth.users u WHERE u.id = OLD.user_id;
+        END IF;
+    END IF;
+
+    INSERT INTO revisions_documents
+        (document_id, auteur_id, auteur_email, titre, description, type_doc, contenu, tags, champs_modifies)
+    VALUES
+        (NEW.id, v_auteur, (SELECT email FROM auth.users WHERE id = v_auteur),
+         NEW.titre, NEW.description, NEW.type_doc, NEW.contenu, NEW.tags, v_champs);
+
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER trigger_enregistrer_revision
+    AFTER INSERT OR UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION enregistrer_revision();
+
+-- Mots d'un document pour le vocabulaire (sans doublon)
+-- Config 'simple' : les mots tels qu'on les tape, sans racinisation
+-- (le français réduirait "jointures" à "jointur", qu'on ne peut pas proposer).
+-- Un document dans la corbeille n'a plus de mots : il n'apparaît plus dans les résultats.
+CREATE OR REPLACE FUNCTION mots_document(d documents)
+RETURNS SETOF TEXT
+LANGUAGE sql STABLE
+AS $$
+    SELECT DISTINCT lexeme
+    FROM unnest(to_tsvector('simple', concat_ws(' ',
+        d.titre, d.description, d.contenu, d.texte_lien, array_to_string(d.tags, ' ')
+    )))
+    WHERE d.date_suppression IS NULL
+      AND length(lexeme) >= 3            -- trop court pour des trigrammes utiles
+      AND lexeme !~ '^[0-9.,_-]+$';      -- nombres, dates...
+$$;
+
+-- Tenir le vocabulaire à jour : on retire les mots de l'ancienne
+-- version et on ajoute ceux de la nouvelle.
+-- SECURITY DEFINER : pas de policy d'écriture sur vocabulaire, et un
+-- document partagé en édition doit mettre à jour le vocabulaire de
+-- son propriétaire.
+CREATE OR REPLACE FUNCTION maj_vocabulaire()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user_id UUID;
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        v_user_id := OLD.user_id;
+        UPDATE vocabulaire
+        SET nb_documents = nb_documents - 1
+        WHERE user_id = OLD.user_id
+          AND mot IN (SELECT mots_document(OLD));
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        v_user_id := NEW.user_id;
+        INSERT INTO vocabulaire (user_id, mot, nb_documents)
+        SELECT NEW.user_id, m, 1 FROM mots_document(NEW) AS m
+        ON CONFLICT (user_id, mot)
+        DO UPDATE SET nb_documents = vocabulaire.nb_documents + 1;
+    END IF;
+
+    DELETE FROM vocabulaire WHERE user_id = v_user_id AND nb_documents <= 0;
+    RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trigger_maj_vocabulaire
+    AFTER INSERT OR DELETE OR UPDATE OF titre, description, contenu, texte_lien, tags, date_suppression ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION maj_vocabulaire();
+
+-- Vider la corbeille des documents qui y sont depuis plus de p_retention_jours
+-- Appelée par le JS au chargement de l'app (purgerCorbeille dans documents.js).
+-- Pour les comptes qui n'ouvrent plus l'app : voir PURGE DE LA CORBEILLE.
+-- Renvoie les chemins des fichiers : le SQL ne peut pas supprimer les
+-- objets de Storage lui-même (il faut passer par l'API Storage), c'est
+-- donc le JS qui les supprime juste après.
+-- Pas de SECURITY DEFINER : le RLS limite le DELETE aux docs de l'user.
+CREATE OR REPLACE FUNCTION purger_corbeille(p_retention_jours INTEGER DEFAULT 30)
+RETURNS SETOF TEXT
+LANGUAGE sql
+AS $$
+    DELETE FROM documents
+    WHERE user_id = auth.uid()
+      AND date_suppression < NOW() - make_interval(days => p_retention_jours)
+    RETURNING fichier_path;
+$$;
+
+-- Empêcher de "voler" un document : une personne avec la permission
+-- 'edition' peut faire un UPDATE, mais ni changer le propriétaire
+-- ni toucher au fichier stocké (qui est dans le dossier du propriétaire)
+CREATE OR REPLACE FUNCTION proteger_proprietaire()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.user_id IS DISTINCT FROM OLD.user_id THEN
+        RAISE EXCEPTION 'Le propriétaire d''un document ne peut pas changer';
+    END IF;
+    IF auth.uid() IS DISTINCT FROM OLD.user_id
+       AND NEW.fichier_path IS DISTINCT FROM OLD.fichier_path THEN
+        RAISE EXCEPTION 'Seul le propriétaire peut remplacer le fichier';
+    END IF;
+    -- Mettre à la corbeille = supprimer, c'est réservé au propriétaire
+    IF auth.uid() IS DISTINCT FROM OLD.user_id
+       AND NEW.date_suppression IS DISTINCT FROM OLD.date_suppression THEN
+        RAISE EXCEPTION 'Seul le propriétaire peut supprimer ou restaurer ce document';
+    END IF;
+    -- Les dossiers sont ceux du propriétaire : lui seul range le document
+    IF auth.uid() IS DISTINCT FROM OLD.user_id
+       AND NEW.dossier_id IS DISTINCT FROM OLD.dossier_id THEN
+        RAISE EXCEPTION 'Seul le propriétaire peut déplacer ce document';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_proteger_proprietaire
+    BEFORE UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION proteger_proprietaire();
+
+-- Un document ne peut être rangé que dans un dossier de son propriétaire
+-- (sinon on pourrait glisser un doc dans le dossier de quelqu'un d'autre)
+-- Vérifié seulement quand dossier_id change : c'est alors forcément
+-- le propriétaire qui agit (voir proteger_proprietaire)
+CREATE OR REPLACE FUNCTION verifier_dossier_document()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.dossier_id IS NOT NULL
+       AND (TG_OP = 'INSERT' OR NEW.dossier_id IS DISTINCT FROM OLD.dossier_id)
+       AND NOT EXISTS (
+           SELECT 1 FROM dossiers WHERE id = NEW.dossier_id AND user_id = NEW.user_id
+       ) THEN
+        RAISE EXCEPTION 'dossier_introuvable';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_verifier_dossier_document
+    BEFORE INSERT OR UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION verifier_dossier_document();
+
+-- Arborescence des dossiers : le parent doit être à moi, et on ne peut
+-- pas ranger un dossier dans lui-même ou dans un de ses sous-dossiers
+-- (sinon boucle infinie dans l'arbre côté JS)
+CREATE OR REPLACE FUNCTION verifier_parent_dossier()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.parent_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM dossiers WHERE id = NEW.parent_id AND user_id = NEW.user_id) THEN
+        RAISE EXCEPTION 'dossier_introuvable';
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND EXISTS (
+        -- on remonte depuis le nouveau parent : si on croise NEW.id, c'est une boucle
+        WITH RECURSIVE ancetres AS (
+            SELECT id, parent_id FROM dossiers WHERE id = NEW.parent_id
+            UNION
+            SELECT d.id, d.parent_id FROM dossiers d JOIN ancetres a ON d.id = a.parent_id
+        )
+        SELECT 1 FROM ancetres WHERE id = NEW.id
+    ) THEN
+        RAISE EXCEPTION 'dossier_cycle';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_verifier_parent_dossier
+    BEFORE INSERT OR UPDATE OF parent_id ON dossiers
+    FOR EACH ROW
+    EXECUTE FUNCTION verifier_parent_dossier();
+
+-- Accès de l'user courant à un document (pour les badges et boutons des cards)
+-- { permission: 'proprietaire', nb_partages } ou { permission: 'lecture'|'edition', proprietaire_email }
+-- Une fonction qui prend la ligne en paramètre = "colonne calculée" pour
+-- PostgREST : on peut faire .select('*, acces') comme si c'était une colonne
+CREATE OR REPLACE FUNCTION acces(d documents)
+RETURNS JSONB
+LANGUAGE sql STABLE
+AS $$
+    SELECT CASE
+        WHEN d.user_id = auth.uid() THEN jsonb_build_object(
+            'permission', 'proprietaire',
+            'nb_partages', (SELECT COUNT(*) FROM partages p WHERE p.document_id = d.id)
+        )
+        ELSE (
+            SELECT jsonb_build_object(
+                'permission', p.permission,
+                'proprietaire_email', p.proprietaire_email
+            )
+            FROM partages p
+            WHERE p.document_id = d.id AND p.destinataire_id = auth.uid()
+        )
+    END;
+$$;
+
+-- Double authentification : l'user a-t-il fini de se connecter ?
+-- Vrai si la session a passé l'étape du code TOTP (aal2 dans le JWT),
+-- ou si le compte n'a pas de 2FA (aucun facteur vérifié).
+-- SECURITY DEFINER : auth.mfa_factors n'est pas lisible par l'user.
+-- Utilisée par les policies *_mfa (voir RLS) et les fonctions SECURITY DEFINER.
+CREATE OR REPLACE FUNCTION mfa_respectee()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2'
+        OR NOT EXISTS (
+            SELECT 1 FROM auth.mfa_factors
+            WHERE user_id = auth.uid() AND status = 'verified'
+        );
+$$;
+
+-- Empreinte d'un code de secours, tel que tapé par l'user
+-- (majuscules, espaces et tirets ignorés : "ab12-cd34-ef56" = "AB12 CD34 EF56")
+CREATE OR REPLACE FUNCTION empreinte_code_secours(p_code TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT encode(sha256(convert_to(LOWER(regexp_replace(p_code, '[^a-zA-Z0-9]', '', 'g')), 'UTF8')), 'hex');
+$$;
+
+-- Nouveaux codes de secours (les anciens ne marchent plus)
+-- Renvoie les codes en clair, une seule fois : on ne stocke que l'empreinte.
+-- 12 caractères hexa tirés de gen_random_uuid (aléatoire cryptographique).
+-- Il faut une 2FA active et la session qui va avec (aal2) : sinon
+-- un mot de passe volé suffirait pour se fabriquer des codes.
+CREATE OR REPLACE FUNCTION generer_codes_secours(p_nombre INTEGER DEFAULT 10)
+RETURNS SETOF TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_hexa TEXT;
+    v_code TEXT;
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'aal', 'aal1') <> 'aal2' THEN
+        RAISE EXCEPTION 'mfa_requise';
+    END IF;
+
+    DELETE FROM codes_secours WHERE user_id = auth.uid();
+
+    FOR i IN 1..LEAST(GREATEST(p_nombre, 1), 20) LOOP
+        v_hexa := replace(gen_random_uuid()::TEXT, '-', '');
+        -- Position 13 = version de l'UUID (toujours '4') : on la saute
+        v_code := substr(v_hexa, 1, 4) || '-' || substr(v_hexa, 5, 4) || '-' || substr(v_hexa, 14, 4);
+        INSERT INTO codes_secours (user_id, empreinte)
+        VALUES (auth.uid(), empreinte_code_secours(v_code));
+        RETURN NEXT v_code;
+    END LOOP;
+END;
+$$;
+
+-- Nombre de codes de secours qui restent (les empreintes ne sont pas lisibles)
+CREATE OR REPLACE FUNCTION nb_codes_secours()
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COUNT(*)::INTEGER FROM codes_secours WHERE user_id = auth.uid();
+$$;
+
+-- Téléphone perdu : un code de secours désactive la 2FA du compte
+-- Appelée avec une session aal1 (mot de passe OK, code TOTP impossible).
+-- On supprime les facteurs TOTP : la session aal1 redevient suffisante,
+-- et l'user est invité à réactiver la 2FA avec son nouveau téléphone.
+-- Les autres codes partent aussi : ils ne servent plus sans 2FA.
+-- SECURITY DEFINER : il faut écrire dans auth.mfa_factors.
+CREATE OR REPLACE FUNCTION utiliser_code_secours(p_code TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'non_connecte';
+    END IF;
+
+    DELETE FROM codes_secours
+    WHERE user_id = auth.uid() AND empreinte = empreinte_code_secours(p_code);
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    DELETE FROM auth.mfa_factors WHERE user_id = auth.uid();
+    DELETE FROM codes_secours WHERE user_id = auth.uid();
+    RETURN TRUE;
+END;
+$$;
+
+-- Le mot de passe tapé est-il celui du compte ? (suppression du compte)
+-- Côté JS, verifierMotDePasseActuel se reconnecte : avec la 2FA la
+-- session retomberait en aal1 et le reste de la suppression serait refusé.
+-- Ici on compare directement au hash bcrypt de auth.users (pgcrypto).
+-- SECURITY DEFINER : auth.users n'est pas lisible par l'user.
+-- Interne : pas appelable par /rpc (REVOKE plus bas), sinon un jeton
+-- volé pourrait essayer des mots de passe sans aucune limite.
+CREATE OR REPLACE FUNCTION verifier_mot_de_passe(p_mot_de_passe TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+    SELECT COALESCE((
+        SELECT encrypted_password <> '' AND crypt(p_mot_de_passe, encrypted_password) = encrypted_password
+        FROM auth.users WHERE id = auth.uid()
+    ), FALSE);
+$$;
+
+REVOKE EXECUTE ON FUNCTION verifier_mot_de_passe(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Mot de passe actuel, redemandé avant une action sensible de "Mon compte"
+-- (changer d'email, de mot de passe, supprimer le compte). Vérifié ici et
+-- pas en se reconnectant : signInWithPassword donne une session aal1,
+-- et avec la 2FA updateUser serait refusé et les policies *_mfa
+-- cacheraient toutes les données jusqu'au prochain code.
+-- Mot de passe faux : FALSE (et pas une exception, qui annulerait le
+-- compteur d'essais). 5 essais ratés → bloqué 15 minutes.
+CREATE OR REPLACE FUNCTION verifier_mot_de_passe_actuel(p_mot_de_passe TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_verification verifications_mot_de_passe%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'non_connecte';
+    END IF;
+    IF NOT mfa_respectee() THEN
+        RAISE EXCEPTION 'mfa_requise';
+    END IF;
+
+    SELECT * INTO v_verification FROM verifications_mot_de_passe WHERE user_id = auth.uid();
+    IF FOUND AND v_verification.essais_rates >= 5
+       AND v_verification.date_dernier_essai > NOW() - INTERVAL '15 minutes' THEN
+        RAISE EXCEPTION 'trop_d_essais';
+    END IF;
+
+    IF NOT verifier_mot_de_passe(p_mot_de_passe) THEN
+        INSERT INTO verifications_mot_de_passe (user_id, essais_rates, date_dernier_essai)
+        VALUES (auth.uid(), 1, NOW())
+        ON CONFLICT (user_id) DO UPDATE SET
+            -- Le compteur repart de zéro après 15 minutes sans essai
+            essais_rates = CASE
+                WHEN verifications_mot_de_passe.date_dernier_essai > NOW() - INTERVAL '15 minutes'
+                THEN verifications_mot_de_passe.essais_rates + 1 ELSE 1 END,
+            date_dernier_essai = NOW(),
+            suppression_autorisee_jusqu_a = NULL;
+        RETURN FALSE;
+    END IF;
+
+    INSERT INTO verifications_mot_de_passe (user_id, essais_rates, date_dernier_essai)
+    VALUES (auth.uid(), 0, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET
+        essais_rates = 0,
+        date_dernier_essai = NOW();
+    RETURN TRUE;
+END;
+$$;
+
+-- Première étape de la suppression du compte : tout ce qui peut refuser
+-- (2FA, mot de passe) est vérifié ICI, avant que le JS efface les fichiers.
+-- Sinon un refus arrivait après coup : fichiers perdus, compte toujours là.
+-- Mot de passe bon : supprimer_mon_compte est autorisée pendant 10 minutes.
+CREATE OR REPLACE FUNCTION preparer_suppression_compte(p_mot_de_passe TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT verifier_mot_de_passe_actuel(p_mot_de_passe) THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE verifications_mot_de_passe
+    SET suppression_autorisee_jusqu_a = NOW() + INTERVAL '10 minutes'
+    WHERE user_id = auth.uid();
+    RETURN TRUE;
+END;
+$$;
+
+-- Supprimer mon compte (modal "Mon compte", voir supprimerCompte dans auth.js)
+-- Deuxième étape, après preparer_suppression_compte : le JS a supprimé
+-- les fichiers du Storage entre les deux (le SQL ne peut pas effacer
+-- un fichier, même problème que purger_corbeille).
+-- Le reste part avec auth.users grâce aux ON DELETE CASCADE : documents
+-- (et leurs révisions et partages), dossiers, historique, vocabulaire,
+-- recherches enregistrées, codes de secours, partages reçus.
+-- Mes modifications sur les documents des autres restent dans leur
+-- historique (c'est leur document), mais sans mon email.
+-- SECURITY DEFINER : il faut supprimer dans auth.users.
+-- Plus de paramètre mot de passe depuis preparer_suppression_compte :
+-- on supprime l'ancienne version (même raison que rechercher_documents).
+DROP FUNCTION IF EXISTS supprimer_mon_compte(TEXT);
+CREATE OR REPLACE FUNCTION supprimer_mon_compte()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'non_connecte';
+    END IF;
+    IF NOT mfa_respectee() THEN
+        RAISE EXCEPTION 'mfa_requise';
+    END IF;
+    -- Un jeton volé ne suffit pas : il faut être passé par
+    -- preparer_suppression_compte, donc connaître le mot de passe
+    IF NOT EXISTS (
+        SELECT 1 FROM verifications_mot_de_passe
+        WHERE user_id = auth.uid() AND suppression_autorisee_jusqu_a > NOW()
+    ) THEN
+        RAISE EXCEPTION 'suppression_non_preparee';
+    END IF;
+
+    UPDATE revisions_documents SET auteur_email = NULL WHERE auteur_id = auth.uid();
+    DELETE FROM auth.users WHERE id = auth.uid();
+END;
+$$;
+
+-- Partager un document par email (ou changer la permission d'un partage existant)
+-- SECURITY DEFINER : il faut lire auth.users pour trouver le compte,
+-- ce que l'user ne peut pas faire avec ses droits normaux.
+-- Du coup on vérifie nous-mêmes qu'il est bien propriétaire du document.
+CREATE OR REPLACE FUNCTION partager_document(
+    p_document_id UUID,
+    p_email TEXT,
+    p_permission TEXT DEFAULT 'lecture'
+)
+RETURNS partages
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_proprietaire auth.users%ROWTYPE;
+    v_destinataire auth.users%ROWTYPE;
+    v_partage partages;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM documents WHERE id = p_document_id AND user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'document_introuvable';
+    END IF;
+
+    -- SECURITY DEFINER passe outre le RLS, donc aussi outre documents_mfa
+    IF NOT mfa_respectee() THEN
+        RAISE EXCEPTION 'mfa_requise';
+    END IF;
+
+    SELECT * INTO v_destinataire FROM auth.users WHERE LOWER(email) = LOWER(TRIM(p_email));
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'utilisateur_introuvable';
+    END IF;
+    IF v_destinataire.id = auth.uid() THEN
+        RAISE EXCEPTION 'partage_avec_soi_meme';
+    END IF;
+
+    SELECT * INTO v_proprietaire FROM auth.users WHERE id = auth.uid();
+
+    INSERT INTO partages (document_id, proprietaire_id, proprietaire_email,
+                          destinataire_id, destinataire_email, permission)
+    VALUES (p_document_id, v_proprietaire.id, v_proprietaire.email,
+            v_destinataire.id, v_destinataire.email, p_permission)
+    ON CONFLICT (document_id, destinataire_id)
+        DO UPDATE SET permission = EXCLUDED.permission
+    RETURNING * INTO v_partage;
+
+    RETURN v_partage;
+END;
+$$;
+
+-- Recherche full-text classée par pertinence (appelée avec supabaseClient.rpc)
+-- C'est la requête n°1 notée en bas du fichier + tous les filtres de getDocuments.
+-- Pas de SECURITY DEFINER : la fonction tourne avec les droits de l'user,
+-- donc le RLS s'applique exactement comme pour un select normal.
+-- Je renvoie le document en JSONB pour ne pas avoir à réécrire la liste
+-- des colonnes ici à chaque fois qu'on en ajoute une à la table.
+--
+-- p_terme passe par websearch_to_tsquery : "phrase exacte", OR et -exclusion
+-- (les opérateurs tag:, type:, avant:... sont déjà découpés côté JS,
+-- voir analyserRequete dans search.js). p_terme NULL = filtres seulement.
+--
+-- `extrait` = ts_headline du champ qui matche le mieux (titre, description
+-- ou contenu). Les termes trouvés sont entourés de chr(2) / chr(3) : des
+-- caractères qui n'apparaissent jamais dans un texte normal, que le JS
+-- remplace par <mark> APRÈS avoir échappé le HTML.
+--
+-- p_dossiers = le dossier filtré + ses sous-dossiers si demandé
+-- (l'arbre est déjà chargé côté JS, c'est lui qui calcule la liste).
+-- La signature a changé avec p_dossiers : on supprime l'ancienne version,
+-- sinon PostgREST a deux fonctions du même nom et refuse de choisir.
+DROP FUNCTION IF EXISTS rechercher_documents(
+    TEXT, VARCHAR, TEXT[], BOOLEAN, TEXT, DATE, DATE, BOOLEAN, TEXT, INTEGER, INTEGER
+);
+CREATE OR REPLACE FUNCTION rechercher_documents(
+    p_terme TEXT,
+    p_type_doc VARCHAR DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_est_favori BOOLEAN DEFAULT NULL, -- NULL = pas de filtre (fav:non → FALSE)
+    p_titre TEXT DEFAULT NULL,         -- titre:... (sous-chaîne, insensible à la casse)
+    p_avant DATE DEFAULT NULL,         -- avant:AAAA-MM-JJ (exclu)
+    p_apres DATE DEFAULT NULL,         -- après:AAAA-MM-JJ (inclus)
+    p_partages BOOLEAN DEFAULT FALSE,  -- seulement les documents partagés avec moi
+    p_dossiers UUID[] DEFAULT NULL,    -- NULL = tous les dossiers
+    p_tri TEXT DEFAULT 'pertinence',   -- 'pertinence', 'date_creation', 'date_modification' ou 'titre'
+    p_limite INTEGER DEFAULT 12,       -- NULL = tous les résultats, sans extrait ("tout sélectionner")
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (document JSONB, pertinence REAL, total_count BIGINT, extrait TEXT)
+LANGUAGE sql STABLE
+AS $$
+    WITH requete AS (
+        SELECT CASE
+            WHEN NULLIF(TRIM(p_terme), '') IS NULL THEN NULL
+            ELSE websearch_to_tsquery('french', p_terme)
+        END AS q
+    ),
+    resultats AS (
+        SELECT d, COALESCE(ts_rank(d.search_vector, requete.q), 0) AS pertinence
+        FROM documents d, requete
+        WHERE (requete.q IS NULL OR d.search_vector @@ requete.q)
+          AND d.date_suppression IS NULL       -- jamais de résultats dans la corbeille
+          AND (p_type_doc IS NULL OR d.type_doc = p_type_doc)
+          AND (p_tags IS NULL OR d.tags @> p_tags)
+          AND (p_est_favori IS NULL OR COALESCE(d.est_favori, FALSE) = p_est_favori)
+          AND (p_titre IS NULL OR d.titre ILIKE '%' || p_titre || '%')
+          AND (p_avant IS NULL OR d.date_creation < p_avant)
+          AND (p_apres IS NULL OR d.date_creation >= p_apres)
+          AND (NOT p_partages OR d.user_id <> auth.uid())
+          AND (p_dossiers IS NULL OR d.dossier_id = ANY(p_dossiers))
+    ),
+    page AS (
+        SELECT
+            r.d,
+            r.pertinence,
+            COUNT(*) OVER() AS total_count,    -- total sans 2e requête, comme getDocuments
+            ROW_NUMBER() OVER (ORDER BY
+                -- les CASE valent NULL quand ce n'est pas le tri choisi → sans effet
+                CASE WHEN p_tri = 'titre' THEN (r.d).titre END ASC,
+                CASE WHEN p_tri = 'date_creation' THEN (r.d).date_creation END DESC,
+                CASE WHEN p_tri = 'date_modification' THEN (r.d).date_modification END DESC,
+                r.pertinence DESC,
+                (r.d).date_modification DESC   -- départage à pertinence égale
+            ) AS rang
+        FROM resultats r
+        ORDER BY rang
+        LIMIT p_limite OFFSET p_offset
+    )
+    -- ts_headline est coûteux : on ne le calcule que pour la page affichée
+    SELECT
+        (to_jsonb(p.d) - 'search_vector')      -- inutile côté JS et lourd
+            || jsonb_build_object('acces', acces(p.d)),
+        p.pertinence,
+        p.total_count,
+        meilleur.extrait
+    FROM page p
+    CROSS JOIN requete
+    LEFT JOIN LATERAL (
+        SELECT ts_headline('french', champ.texte, requete.q, format(
+            'StartSel="%s", StopSel="%s", MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "',
+            chr(2), chr(3)
+        )) AS extrait
+        FROM (
+            SELECT c.ordre, c.texte, to_tsvector('french', c.texte) AS vecteur
+            FROM (VALUES
+                (1, (p.d).description),
+                (2, (p.d).contenu),
+                (3, (p.d).texte_lien),
+                (4, (p.d).titre)             -- le titre est déjà sur la card, en dernier à égalité
+            ) AS c(ordre, texte)
+            WHERE c.texte IS NOT NULL
+        ) champ
+        WHERE p_limite IS NOT NULL             -- pas d'extrait quand on veut juste tous les ids
+          AND champ.vecteur @@ requete.q
+        ORDER BY ts_rank(champ.vecteur, requete.q) DESC, champ.ordre
+        LIMIT 1
+    ) meilleur ON TRUE
+    ORDER BY p.rang;
+$$;
+
+-- Corrections possibles pour des mots tapés ("Vouliez-vous dire ...")
+-- Appelée seulement quand rechercher_documents ne trouve rien.
+-- Pour chaque mot : les mots les plus proches de mon vocabulaire,
+-- par similarité de trigrammes. Un mot qui existe déjà revient avec
+-- une similarité de 1 : le JS le garde tel quel.
+-- % = similarité au-dessus du seuil de pg_trgm (0.3 par défaut), via l'index GIN.
+CREATE OR REPLACE FUNCTION corriger_recherche(p_mots TEXT[], p_limite INTEGER DEFAULT 3)
+RETURNS TABLE (mot_saisi TEXT, correction TEXT, similarite REAL)
+LANGUAGE sql STABLE
+AS $$
+    SELECT m.mot, c.mot, c.similarite
+    FROM unnest(p_mots) AS m(mot)
+    CROSS JOIN LATERAL (
+        SELECT v.mot, similarity(v.mot, LOWER(m.mot)) AS similarite
+        FROM vocabulaire v
+        WHERE v.user_id = auth.uid()
+          AND v.mot % LOWER(m.mot)
+        ORDER BY similarite DESC, v.nb_documents DESC
+        LIMIT p_limite
+    ) c
+    ORDER BY m.mot, c.similarite DESC;
+$$;
+
+-- Mots des tags, découpés comme le vocabulaire (to_tsvector 'simple') :
+-- {"base de donnees", sql} → {base, de, donnees, sql}.
+-- IMMUTABLE pour pouvoir l'indexer : array_to_string ne l'est pas
+-- officiellement, mais sur un TEXT[] le résultat ne dépend de rien d'autre.
+CREATE OR REPLACE FUNCTION mots_tags(p_tags TEXT[])
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT ARRAY(SELECT lexeme FROM unnest(to_tsvector('simple'::regconfig, array_to_string(p_tags, ' '))));
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_documents_mots_tags
+    ON documents USING GIN (mots_tags(tags));
+
+-- Documents proches d'une recherche sans résultat : titre ou tag qui
+-- ressemble au texte tapé (fautes comprises), le plus proche d'abord.
+-- <% = un morceau du titre ressemble au terme (word_similarity), via l'index GIN.
+-- Tags : comparer le terme à chaque tag de chaque document ne peut pas
+-- utiliser d'index. On cherche d'abord les mots proches dans le vocabulaire
+-- (index trigrammes, comme corriger_recherche), puis les documents qui ont
+-- un de ces mots dans leurs tags (index GIN sur mots_tags).
+-- Le vocabulaire est le mien : un document partagé avec moi n'est
+-- retrouvé par ses tags que si j'utilise aussi ces mots (son titre, si).
+-- Même format que rechercher_documents pour réutiliser les cards.
+CREATE OR REPLACE FUNCTION documents_proches(p_terme TEXT, p_limite INTEGER DEFAULT 6)
+RETURNS TABLE (document JSONB, pertinence REAL)
+LANGUAGE sql STABLE
+AS $$
+    WITH mots_proches AS (
+        SELECT DISTINCT v.mot
+        FROM vocabulaire v, regexp_split_to_table(LOWER(TRIM(p_terme)), '\s+') AS m(mot)
+        WHERE v.user_id = auth.uid()
+          AND v.mot % m.mot
+    ),
+    candidats AS (
+        SELECT d.id FROM documents d
+        WHERE p_terme <% d.titre
+        UNION
+        SELECT d.id FROM documents d
+        WHERE mots_tags(d.tags) && ARRAY(SELECT mot FROM mots_proches)
+    )
+    SELECT
+        (to_jsonb(d) - 'search_vector') || jsonb_build_object('acces', acces(d)),
+        GREATEST(
+            word_similarity(p_terme, d.titre),
+            (SELECT MAX(similarity(t.tag, p_terme)) FROM unnest(d.tags) AS t(tag))
+        ) AS pertinence
+    FROM documents d
+    JOIN candidats c ON c.id = d.id
+    WHERE d.date_suppression IS NULL
+    ORDER BY pertinence DESC, d.date_modification DESC
+    LIMIT p_limite;
+$$;
+
+-- Mes tags avec le nombre de documents (sidebar + gestionnaire de tags)
+-- C'est la requête n°3 notée en bas du fichier, avec un COUNT en plus :
+-- le JS n'a plus à télécharger la colonne tags de tous les documents.
+CREATE OR REPLACE FUNCTION compter_tags()
+RETURNS TABLE (tag TEXT, nb_documents BIGINT)
+LANGUAGE sql STABLE
+AS $$
+    SELECT t.tag, COUNT(*) AS nb_documents
+    FROM documents d, unnest(d.tags) AS t(tag)
+    WHERE d.user_id = auth.uid()
+      AND d.date_suppression IS NULL
+    GROUP BY t.tag
+    ORDER BY t.tag;
+$$;
+
+-- Suggestions sous la barre de recherche, pendant la frappe :
+-- mes tags et les titres lisibles dont un mot commence par le préfixe.
+-- Que des colonnes courtes (pas de contenu) : c'est appelé toutes les
+-- 350 ms pendant qu'on tape, il faut que ça reste léger.
+-- Le JS passe le préfixe deux fois : tel quel (échappé pour LIKE) pour
+-- les titres, normalisé (normaliserTag) pour les tags.
+CREATE OR REPLACE FUNCTION suggerer_recherche(
+    p_prefixe TEXT,
+    p_prefixe_tag TEXT,
+    p_limite INTEGER DEFAULT 5
+)
+RETURNS TABLE (genre TEXT, valeur TEXT, document_id UUID, nb_documents BIGINT)
+LANGUAGE sql STABLE
+AS $$
+    (
+        SELECT 'tag', t.tag, NULL::UUID, COUNT(*)
+        FROM documents d, unnest(d.tags) AS t(tag)
+        WHERE d.user_id = auth.uid()
+          AND d.date_suppression IS NULL
+          AND t.tag LIKE p_prefixe_tag || '%'
+        GROUP BY t.tag
+        ORDER BY COUNT(*) DESC, t.tag
+        LIMIT p_limite
+    )
+    UNION ALL
+    (
+        SELECT 'titre', d.titre, d.id, NULL
+        FROM documents d
+        WHERE d.date_suppression IS NULL
+          AND (d.titre ILIKE p_prefixe || '%' OR d.titre ILIKE '% ' || p_prefixe || '%')
+        -- les titres qui commencent par le préfixe d'abord
+        ORDER BY d.titre ILIKE p_prefixe || '%' DESC, d.date_modification DESC
+        LIMIT p_limite
+    );
+$$;
+
+-- Renommer un tag (1 source) ou en fusionner plusieurs en un seul, sur
+-- tous mes documents, corbeille comprise (pour qu'une restauration ne
+-- fasse pas revenir l'ancien nom). Un seul UPDATE = tout ou rien.
+-- Les sources sont remplacées à leur place, sans créer de doublon
+-- quand un document avait déjà le tag cible.
+-- Le JS normalise p_cible avant l'appel (normaliserTag).
+CREATE OR REPLACE FUNCTION fusionner_tags(p_sources TEXT[], p_cible TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_nb INTEGER;
+BEGIN
+    IF NULLIF(TRIM(p_cible), '') IS NULL THEN
+        RAISE EXCEPTION 'tag_vide';
+    END IF;
+
+    UPDATE documents
+    SET tags = ARRAY(
+        SELECT r.tag
+        FROM (
+            SELECT CASE WHEN t = ANY(p_sources) THEN p_cible ELSE t END AS tag, n
+            FROM unnest(tags) WITH ORDINALITY AS x(t, n)
+        ) r
+        GROUP BY r.tag
+        ORDER BY MIN(r.n)
+    )
+    WHERE user_id = auth.uid()
+      AND tags && p_sources;
+
+    GET DIAGNOSTICS v_nb = ROW_COUNT;
+    RETURN v_nb;
+END;
+$$;
+
+-- Retirer des tags de tous mes documents (corbeille comprise)
+CREATE OR REPLACE FUNCTION supprimer_tags(p_tags TEXT[])
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_nb INTEGER;
+BEGIN
+    -- Plus aucun tag : NULL, comme un document créé sans tag (pas '{}')
+    UPDATE documents
+    SET tags = NULLIF(ARRAY(SELECT t FROM unnest(tags) AS t WHERE t <> ALL(p_tags)), '{}')
+    WHERE user_id = auth.uid()
+      AND tags && p_tags;
+
+    GET DIAGNOSTICS v_nb = ROW_COUNT;
+    RETURN v_nb;
+END;
+$$;
+
+-- Actions groupées sur une sélection de documents (barre de sélection)
+-- Une seule requête au lieu d'un modifierDocument par document.
+-- Pas de SECURITY DEFINER : le RLS s'applique ligne par ligne, un document
+-- partagé en lecture seule est simplement ignoré par l'UPDATE.
+-- Favori et corbeille restent réservés au propriétaire, comme sur les cards.
+-- Les documents déjà dans l'état voulu ne sont pas touchés : pas de
+-- révision vide dans l'historique.
+-- Renvoie le nombre de documents réellement modifiés.
+CREATE OR REPLACE FUNCTION modifier_documents_en_masse(
+    p_ids UUID[],
+    p_action TEXT,                     -- 'ajouter_tags', 'retirer_tags', 'changer_type', 'favori' ou 'supprimer'
+    p_tags TEXT[] DEFAULT NULL,
+    p_type_doc VARCHAR DEFAULT NULL,
+    p_est_favori BOOLEAN DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_nb INTEGER;
+BEGIN
+    IF p_action = 'ajouter_tags' THEN
+        UPDATE documents
+        SET tags = ARRAY(
+            -- sans doublon, en gardant l'ordre : les tags existants puis les nouveaux
+            SELECT t FROM unnest(COALESCE(tags, '{}') || p_tags) WITH ORDINALITY AS x(t, n)
+            GROUP BY t
+            ORDER BY MIN(n)
+        )
+        WHERE id = ANY(p_ids) AND date_suppression IS NULL
+          AND NOT COALESCE(tags, '{}') @> p_tags;
+
+    ELSIF p_action = 'retirer_tags' THEN
+        UPDATE documents
+        SET tags = NULLIF(ARRAY(SELECT t FROM unnest(tags) AS t WHERE t <> ALL(p_tags)), '{}')
+        WHERE id = ANY(p_ids) AND date_suppression IS NULL
+          AND tags && p_tags;
+
+    ELSIF p_action = 'changer_type' THEN
+        UPDATE documents
+        SET type_doc = p_type_doc
+        WHERE id = ANY(p_ids) AND date_suppression IS NULL
+          AND type_doc IS DISTINCT FROM p_type_doc;
+
+    ELSIF p_action = 'favori' THEN
+        UPDATE documents
+        SET est_favori = p_est_favori
+        WHERE id = ANY(p_ids) AND date_suppression IS NULL
+          AND user_id = auth.uid()
+          AND est_favori IS DISTINCT FROM p_est_favori;
+
+    ELSIF p_action = 'supprimer' THEN
+        UPDATE documents
+        SET date_suppression = NOW()
+        WHERE id = ANY(p_ids) AND date_suppression IS NULL
+          AND user_id = auth.uid();
+
+    ELSE
+        RAISE EXCEPTION 'action_inconnue';
+    END IF;
+
+    GET DIAGNOSTICS v_nb = ROW_COUNT;
+    RETURN v_nb;
+END;
+$$;
+
+
+-- Ranger les recherches enregistrées dans l'ordre donné (glisser-déposer)
+-- Une seule requête : position = rang dans le tableau.
+-- Pas de SECURITY DEFINER : le RLS limite l'UPDATE à mes recherches.
+CREATE OR REPLACE FUNCTION reordonner_recherches(p_ids UUID[])
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    UPDATE recherches_sauvegardees r
+    SET position = x.rang
+    FROM unnest(p_ids) WITH ORDINALITY AS x(id, rang)
+    WHERE r.id = x.id;
+$$;
+
+-- ============================================
+-- DOUBLONS (voir doublons.js)
+-- Trois façons d'être le "même" document :
+--  - même fichier : empreinte SHA-256 identique (PDF, images)
+--  - même lien : URL identique une fois normalisée
+--  - notes : titre ou début du texte très ressemblants (pg_trgm)
+-- ============================================
+
+-- URL comparable : sans http(s)://, www., ancre, traceurs (utm_*, fbclid,
+-- gclid), ni / ou ? final. Seul l'hôte passe en minuscules : le chemin et
+-- les paramètres sont sensibles à la casse sur beaucoup de sites
+-- (/Cours et /cours peuvent être deux pages différentes).
+-- "https://www.Site.fr/Cours/?utm_source=x#intro" → "site.fr/Cours"
+-- IMMUTABLE pour pouvoir l'indexer (idx_documents_url_normalisee)
+CREATE OR REPLACE FUNCTION normaliser_url(p_url TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT NULLIF(
+        regexp_replace(
+        regexp_replace(
+        regexp_replace(
+            regexp_replace(LOWER(u.morceaux[1]), '^www\.', '') || u.morceaux[2],
+            '([?&])(utm_[a-z_]+|fbclid|gclid)=[^&]*', '\1', 'gi'),
+            '([?&])&+', '\1', 'g'),
+            '[/?&]+$', ''),
+        '')
+    FROM (
+        -- morceaux[1] = hôte (sans le schéma), morceaux[2] = tout ce qui suit
+        SELECT regexp_match(regexp_replace(TRIM(p_url), '#.*$', ''),
+                            '^(?:[a-z][a-z0-9+.-]*://)?([^/?#]*)(.*)$', 'i') AS morceaux
+    ) u;
+$$;
+
+-- Défini ici et pas avec les autres index : il a besoin de normaliser_url
+CREATE INDEX IF NOT EXISTS idx_documents_url_normalisee 
+    ON documents(user_id, normaliser_url(contenu))
+    WHERE type_doc = 'lien';
+
+-- Début des notes, pour trouver les paires de notes proches par l'index
+-- (paires_doublons) au lieu de comparer toutes les notes deux à deux
+CREATE INDEX IF NOT EXISTS idx_documents_notes_debut_trgm
+    ON documents USING GIN (LEFT(contenu, 2000) gin_trgm_ops)
+    WHERE type_doc = 'note';
+
+-- Similarité de deux notes : le titre, ou le début du texte (les 2000
+-- premiers caractères suffisent, et comparer des notes entières coûte cher)
+CREATE OR REPLACE FUNCTION similarite_notes(
+    p_titre_a TEXT, p_contenu_a TEXT,
+    p_titre_b TEXT, p_contenu_b TEXT
+)
+RETURNS REAL
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT GREATEST(
+        similarity(LOWER(p_titre_a), LOWER(p_titre_b)),
+        CASE WHEN NULLIF(TRIM(p_contenu_a), '') IS NULL OR NULLIF(TRIM(p_contenu_b), '') IS NULL THEN 0
+             ELSE similarity(LEFT(p_contenu_a, 2000), LEFT(p_contenu_b, 2000))
+        END
+    );
+$$;
+
+-- Doublons possibles d'un document qu'on s'apprête à créer (modal d'ajout)
+-- Seulement mes documents, hors corbeille. Le plus ressemblant d'abord.
+-- p_seuil : similarité minimale pour les notes (1 = identiques)
+CREATE OR REPLACE FUNCTION chercher_doublons(
+    p_type_doc TEXT,
+    p_titre TEXT,
+    p_contenu TEXT DEFAULT NULL,
+    p_empreinte TEXT DEFAULT NULL,
+    p_seuil REAL DEFAULT 0.6,
+    p_limite INTEGER DEFAULT 5
+)
+RETURNS TABLE (
+    id UUID, titre VARCHAR, type_doc VARCHAR, tags TEXT[],
+    date_creation TIMESTAMP WITH TIME ZONE, raison TEXT, similarite REAL
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH candidats AS (
+        SELECT d.id, 'fichier' AS raison, 1::REAL AS similarite
+        FROM documents d
+        WHERE d.user_id = auth.uid()
+          AND d.empreinte_fichier = p_empreinte
+        UNION ALL
+        SELECT d.id, 'url', 1
+        FROM documents d
+        WHERE p_type_doc = 'lien'
+          AND d.user_id = auth.uid()
+          AND d.type_doc = 'lien'
+          AND normaliser_url(d.contenu) = normaliser_url(p_contenu)
+        UNION ALL
+        SELECT d.id, 'texte', similarite_notes(d.titre, d.contenu, p_titre, p_contenu)
+        FROM documents d
+        WHERE p_type_doc = 'note'
+          AND d.user_id = auth.uid()
+          AND d.type_doc = 'note'
+    )
+    SELECT * FROM (
+        -- Un document ne sort qu'une fois, avec sa raison la plus forte
+        SELECT DISTINCT ON (d.id) d.id, d.titre, d.type_doc, d.tags, d.date_creation, c.raison, c.similarite
+        FROM candidats c
+        JOIN documents d ON d.id = c.id
+        WHERE d.date_suppression IS NULL
+          AND c.similarite >= p_seuil
+        ORDER BY d.id, c.similarite DESC
+    ) doublons
+    ORDER BY similarite DESC, date_creation DESC
+    LIMIT p_limite;
+$$;
+
+-- Rapport des doublons : les paires de mes documents qui se ressemblent
+-- (mêmes règles que chercher_doublons). Le JS regroupe les paires en
+-- groupes (A~B et B~C → A, B, C ensemble) : pour les fichiers et les
+-- liens, on ne renvoie donc que le premier document de chaque groupe
+-- avec chacun des autres, pas toutes les paires.
+-- Fichiers et liens : un GROUP BY (index sur l'empreinte et sur
+-- normaliser_url). Notes : % avec le seuil demandé, pour que l'index
+-- trigrammes (titre ou début du texte) ne propose que les notes proches,
+-- similarite_notes ne tourne que sur celles-là.
+-- plpgsql et pas STABLE : il faut régler pg_trgm.similarity_threshold
+-- (set_config, le temps de la transaction).
+CREATE OR REPLACE FUNCTION paires_doublons(p_seuil REAL DEFAULT 0.6)
+RETURNS TABLE (id_a UUID, id_b UUID, raison TEXT, similarite REAL)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    PERFORM set_config('pg_trgm.similarity_threshold', p_seuil::TEXT, TRUE);
+
+    RETURN QUERY
+    WITH groupes AS (
+        SELECT array_agg(d.id ORDER BY d.id) AS ids, 'fichier' AS raison
+        FROM documents d
+        WHERE d.user_id = auth.uid()
+          AND d.date_suppression IS NULL
+          AND d.empreinte_fichier IS NOT NULL
+        GROUP BY d.empreinte_fichier
+        HAVING COUNT(*) > 1
+        UNION ALL
+        SELECT array_agg(d.id ORDER BY d.id), 'url'
+        FROM documents d
+        WHERE d.user_id = auth.uid()
+          AND d.type_doc = 'lien'
+          AND d.date_suppression IS NULL
+        GROUP BY normaliser_url(d.contenu)
+        HAVING COUNT(*) > 1 AND normaliser_url(d.contenu) IS NOT NULL
+    )
+    SELECT g.ids[1], autre.id, g.raison, 1::REAL
+    FROM groupes g
+    CROSS JOIN LATERAL unnest(g.ids[2:]) AS autre(id)
+    UNION ALL
+    SELECT a.id, b.id, 'texte', s.similarite
+    FROM documents a
+    JOIN documents b
+      ON b.user_id = a.user_id
+     AND b.type_doc = 'note'
+     AND b.date_suppression IS NULL
+     AND b.id > a.id
+     AND (b.titre % a.titre OR LEFT(b.contenu, 2000) % LEFT(a.contenu, 2000))
+    CROSS JOIN LATERAL (
+        SELECT similarite_notes(a.titre, a.contenu, b.titre, b.contenu) AS similarite
+    ) s
+    WHERE a.user_id = auth.uid()
+      AND a.type_doc = 'note'
+      AND a.date_suppression IS NULL
+      AND s.similarite >= p_seuil;
+END;
+$$;
+
+-- Fusionner des doublons dans un seul document (p_garder) :
+--  - tags réunis (ceux du document gardé d'abord), favori si l'un l'était
+--  - description, dossier : repris d'un autre si le document gardé n'en a pas
+--  - partages repris (la permission la plus large gagne)
+--  - les autres vont à la corbeille : une fusion ratée se rattrape
+-- Titre, contenu et fichier restent ceux du document gardé.
+-- SECURITY DEFINER pour reprendre les partages (pas de policy INSERT sur
+-- partages, comme pour partager_document) : on vérifie donc nous-mêmes
+-- que tous les documents sont à l'user.
+-- Renvoie le document gardé, à jour.
+CREATE OR REPLACE FUNCTION fusionner_documents(p_garder UUID, p_autres UUID[])
+RETURNS documents
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_tous UUID[];
+    v_doc documents;
+BEGIN
+    p_autres := ARRAY(SELECT DISTINCT x FROM unnest(p_autres) AS x WHERE x <> p_garder);
+    v_tous := p_autres || p_garder;
+
+    IF cardinality(p_autres) = 0 THEN
+        RAISE EXCEPTION 'rien_a_fusionner';
+    END IF;
+    IF (SELECT COUNT(*) FROM documents
+        WHERE id = ANY(v_tous) AND user_id = auth.uid() AND date_suppression IS NULL
+       ) <> cardinality(v_tous) THEN
+        RAISE EXCEPTION 'document_introuvable';
+    END IF;
+    IF NOT mfa_respectee() THEN
+        RAISE EXCEPTION 'mfa_requise';
+    END IF;
+
+    UPDATE documents d
+    SET tags = NULLIF(ARRAY(
+            SELECT t
+            FROM documents x, unnest(COALESCE(x.tags, '{}')) WITH ORDINALITY AS u(t, n)
+            WHERE x.id = ANY(v_tous)
+            GROUP BY t
+            ORDER BY MIN(ARRAY[(x.id <> p_garder)::INT::BIGINT, n])
+        ), '{}'),
+        est_favori = (SELECT bool_or(COALESCE(est_favori, FALSE)) FROM documents WHERE id = ANY(v_tous)),
+        description = COALESCE(d.description, (
+            SELECT description FROM documents
+            WHERE id = ANY(p_autres) AND NULLIF(TRIM(description), '') IS NOT NULL
+            ORDER BY date_creation LIMIT 1
+        )),
+        dossier_id = COALESCE(d.dossier_id, (
+            SELECT dossier_id FROM documents
+            WHERE id = ANY(p_autres) AND dossier_id IS NOT NULL
+            ORDER BY date_creation LIMIT 1
+        ))
+    WHERE d.id = p_garder
+    RETURNING * INTO v_doc;
+
+    -- Un seul partage par personne (sinon ON CONFLICT toucherait deux fois la même ligne)
+    INSERT INTO partages (document_id, proprietaire_id, proprietaire_email,
+                          destinataire_id, destinataire_email, permission)
+    SELECT DISTINCT ON (p.destinataire_id)
+           p_garder, p.proprietaire_id, p.proprietaire_email,
+           p.destinataire_id, p.destinataire_email, p.permission
+    FROM partages p
+    WHERE p.document_id = ANY(p_autres)
+    ORDER BY p.destinataire_id, p.permission = 'edition' DESC
+    ON CONFLICT (document_id, destinataire_id) DO UPDATE
+        SET permission = CASE WHEN partages.permission = 'edition' THEN 'edition'
+                              ELSE EXCLUDED.permission END;
+
+    UPDATE documents
+    SET date_suppression = NOW()
+    WHERE id = ANY(p_autres);
+
+    RETURN v_doc;
+END;
+$$;
+
 
 -- ============================================
 -- ROW LEVEL SECURITY (RLS)
 -- Important avec Supabase : chaque user
 -- ne voit que ses propres documents
+-- (+ ceux qu'on lui a partagés)
 -- ============================================
 
 ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
 ALTER TABLE historique_recherches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE partages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE revisions_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dossiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recherches_sauvegardees ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vocabulaire ENABLE ROW LEVEL SECURITY;
+ALTER TABLE codes_secours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE verifications_mot_de_passe ENABLE ROW LEVEL SECURITY;
+
+-- Une policy par opération (au lieu d'un FOR ALL) parce que
+-- les droits ne sont plus les mêmes partout avec les partages.
+-- Attention : les policies de partages ne doivent PAS lire documents,
+-- sinon PostgreSQL part en récursion infinie entre les deux.
+
+-- Lire : ses documents + ceux partagés avec soi
+CREATE POLICY "documents_select" ON documents
+    FOR SELECT
+    USING (
+        auth.uid() = user_id
+        OR EXISTS (
+            SELECT 1 FROM partages p
+            WHERE p.document_id = documents.id
+              AND p.destinataire_id = auth.uid()
+        )
+    );
+
+-- Créer : seulement pour soi
+CREATE POLICY "documents_insert" ON documents
+    FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+-- Modifier : ses documents + ceux partagés en 'edition'
+-- (le trigger proteger_proprietaire bloque le changement de user_id)
+CREATE POLICY "documents_update" ON documents
+    FOR UPDATE
+    USING (
+        auth.uid() = user_id
+        OR EXISTS (
+            SELECT 1 FROM partages p
+            WHERE p.document_id = documents.id
+              AND p.destinataire_id = auth.uid()
+              AND p.permission = 'edition'
+        )
+    );
+
+-- Supprimer : seulement le propriétaire
+CREATE POLICY "documents_delete" ON documents
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Partages : visibles par le propriétaire et le destinataire.
+-- Pas de policy INSERT/UPDATE : on passe par partager_document().
+-- Le destinataire peut supprimer son partage (= "ne plus suivre ce document")
+CREATE POLICY "partages_select" ON partages
+    FOR SELECT
+    USING (auth.uid() = proprietaire_id OR auth.uid() = destinataire_id);
+
+CREATE POLICY "partages_delete" ON partages
+    FOR DELETE
+    USING (auth.uid() = proprietaire_id OR auth.uid() = destinataire_id);
 
--- Politique : un user ne peut voir/modifier que ses documents
-CREATE POLICY "documents_user_isolation" ON documents
+-- Révisions : lisibles par tous ceux qui voient le document
+-- (le sous-select sur documents passe lui-même par le RLS de documents)
+-- Pas d'INSERT/UPDATE/DELETE : seul le trigger écrit, et ON DELETE CASCADE nettoie
+CREATE POLICY "revisions_select" ON revisions_documents
+    FOR SELECT
+    USING (
+        EXISTS (SELECT 1 FROM documents d WHERE d.id = revisions_documents.document_id)
+    );
+
+-- Dossiers : strictement personnels (pas partagés avec les documents)
+CREATE POLICY "dossiers_user_isolation" ON dossiers
     FOR ALL
     USING (auth.uid() = user_id)
     WITH CHECK (auth.uid() = user_id);
@@ -110,6 +1514,193 @@ CREATE POLICY "historique_user_isolation" ON historique_recherches
     USING (auth.uid() = user_id)
     WITH CHECK (auth.uid() = user_id);
 
+CREATE POLICY "recherches_sauvegardees_user_isolation" ON recherches_sauvegardees
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Vocabulaire : lecture seule, le trigger maj_vocabulaire écrit
+CREATE POLICY "vocabulaire_select" ON vocabulaire
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Codes de secours : pas de SELECT (une empreinte de 12 caractères se
+-- casse hors ligne), on les crée / compte / utilise par les fonctions.
+-- Supprimer : quand on désactive la 2FA depuis "Mon compte".
+CREATE POLICY "codes_secours_delete" ON codes_secours
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Double authentification : un compte avec la 2FA doit avoir saisi son
+-- code (session aal2) pour toucher à ses données. Sans ça, un mot de passe
+-- volé suffirait pour tout lire par l'API, même si l'app redemande le code.
+-- AS RESTRICTIVE : ces policies s'ajoutent (ET) à celles du dessus,
+-- au lieu d'ouvrir un accès de plus (OU) comme les policies normales.
+CREATE POLICY "documents_mfa" ON documents
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+CREATE POLICY "partages_mfa" ON partages
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+CREATE POLICY "revisions_mfa" ON revisions_documents
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+CREATE POLICY "dossiers_mfa" ON dossiers
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+CREATE POLICY "historique_mfa" ON historique_recherches
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+CREATE POLICY "recherches_sauvegardees_mfa" ON recherches_sauvegardees
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+CREATE POLICY "vocabulaire_mfa" ON vocabulaire
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+CREATE POLICY "codes_secours_mfa" ON codes_secours
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (mfa_respectee()) WITH CHECK (mfa_respectee());
+
+
+-- ============================================
+-- STORAGE - fichiers PDF et images
+-- Bucket privé : on passe par des URLs signées
+-- pour ouvrir/télécharger côté JS
+-- ============================================
+
+-- 50 Mo max par fichier (même limite que TAILLE_MAX_FICHIER_MO dans storage.js)
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('documents', 'documents', FALSE, 52428800)
+ON CONFLICT (id) DO NOTHING;
+
+-- Chaque user ne touche qu'à son dossier : le 1er segment du chemin = son user_id
+CREATE POLICY "storage_documents_user_isolation" ON storage.objects
+    FOR ALL
+    TO authenticated
+    USING (
+        bucket_id = 'documents'
+        AND (storage.foldername(name))[1] = auth.uid()::TEXT
+    )
+    WITH CHECK (
+        bucket_id = 'documents'
+        AND (storage.foldername(name))[1] = auth.uid()::TEXT
+    );
+
+-- Lecture des fichiers des documents partagés avec soi
+CREATE POLICY "storage_documents_partages" ON storage.objects
+    FOR SELECT
+    TO authenticated
+    USING (
+        bucket_id = 'documents'
+        AND EXISTS (
+            SELECT 1
+            FROM documents d
+            JOIN partages p ON p.document_id = d.id
+            WHERE d.fichier_path = storage.objects.name
+              AND p.destinataire_id = auth.uid()
+        )
+    );
+
+-- Même règle que documents_mfa pour les fichiers (les autres buckets ne sont pas à nous)
+CREATE POLICY "storage_documents_mfa" ON storage.objects
+    AS RESTRICTIVE FOR ALL TO authenticated
+    USING (bucket_id <> 'documents' OR mfa_respectee())
+    WITH CHECK (bucket_id <> 'documents' OR mfa_respectee());
+
+
+-- ============================================
+-- TEMPS RÉEL (Supabase Realtime)
+-- Les onglets ouverts reçoivent les changements
+-- de documents (abonnerTempsReel dans app.js).
+-- Realtime applique le RLS : chacun ne reçoit que
+-- les lignes qu'il a le droit de lire.
+-- ============================================
+
+-- Pas de IF NOT EXISTS pour une publication : on vérifie à la main
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime'
+          AND schemaname = 'public'
+          AND tablename = 'documents'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE documents;
+    END IF;
+END $$;
+
+
+-- ============================================
+-- VÉRIFICATION DES LIENS (optionnel)
+-- L'app lance déjà une vérification par jour au plus
+-- (verifierLiensAnciens dans liens.js), mais seulement
+-- pour les users qui l'ouvrent. Pour vérifier tous les
+-- liens régulièrement : activer pg_cron et pg_net
+-- (Database > Extensions), ranger la clé service_role
+-- dans le Vault sous le nom 'service_role_key', puis
+-- exécuter ceci en remplaçant xxxx par l'id du projet.
+-- Chaque appel traite 20 liens pas vus depuis 7 jours :
+-- toutes les heures, ça suffit largement.
+-- ============================================
+
+-- SELECT cron.schedule(
+--     'verifier-liens',
+--     '0 * * * *',
+--     $$
+--     SELECT net.http_post(
+--         url := 'https://xxxx.supabase.co/functions/v1/apercu-lien',
+--         headers := jsonb_build_object(
+--             'Content-Type', 'application/json',
+--             'Authorization', 'Bearer ' || (
+--                 SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key'
+--             )
+--         ),
+--         body := '{"verifier": true}'::jsonb
+--     );
+--     $$
+-- );
+
+
+-- ============================================
+-- PURGE DE LA CORBEILLE (optionnel, conseillé)
+-- purger_corbeille ne tourne que quand un user
+-- ouvre l'app : sans ça, la corbeille d'un compte
+-- abandonné (et ses fichiers) reste pour toujours.
+-- L'edge function purger-corbeille le fait pour
+-- tous les comptes, fichiers du Storage compris
+-- (le SQL ne peut pas les supprimer lui-même).
+-- Même préparation que la vérification des liens
+-- (pg_cron, pg_net, clé 'service_role_key' dans le
+-- Vault), puis :
+--   supabase functions deploy purger-corbeille
+-- Le délai (30 jours) est dans la fonction : le
+-- garder égal à RETENTION_CORBEILLE_JOURS (documents.js).
+-- ============================================
+
+-- SELECT cron.schedule(
+--     'purger-corbeille',
+--     '30 3 * * *',
+--     $$
+--     SELECT net.http_post(
+--         url := 'https://xxxx.supabase.co/functions/v1/purger-corbeille',
+--         headers := jsonb_build_object(
+--             'Content-Type', 'application/json',
+--             'Authorization', 'Bearer ' || (
+--                 SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key'
+--             )
+--         ),
+--         body := '{}'::jsonb
+--     );
+--     $$
+-- );
+
 
 -- ============================================
 -- REQUÊTES OPTIMISÉES - à utiliser côté JS
@@ -118,6 +1709,7 @@ CREATE POLICY "historique_user_isolation" ON historique_recherches
 
 -- 1. Recherche full-text avec ranking
 -- ts_rank donne une note de pertinence (0 à 1)
+-- → implémentée dans la fonction rechercher_documents() plus haut
 /*
 SELECT 
     id, titre, description, type_doc, tags, date_creation, est_favori,
@@ -149,10 +1741,12 @@ LIMIT $3 OFFSET $4;
 
 -- 3. Récupérer tous les tags distincts d'un user (pour la sidebar)
 -- unnest() "déplie" les arrays PostgreSQL
+-- → implémentée (avec le nombre de documents) dans compter_tags() plus haut
 /*
 SELECT DISTINCT unnest(tags) AS tag
 FROM documents
 WHERE user_id = auth.uid()
+  AND date_suppression IS NULL
 ORDER BY tag;
 */
 
@@ -0,0 +1,183 @@
+// ============================================
+// apercu.test.ts - Tests de l'analyse des liens
+// ESIEA 2024 - Mohammed Abia
+//
+// Aucun accès réseau : fetch et le DNS sont remplacés
+// par des faux (une table URL → réponse, nom → IP).
+//   deno test supabase/functions/apercu-lien/
+// ============================================
+
+import { assert, assertEquals, assertRejects } from 'jsr:@std/assert@1';
+import { estAdresseLocale, estIpLocale, etatLien, recupererApercu } from './apercu.ts';
+
+const PAGE = `<!DOCTYPE html>
+<html><head>
+  <meta charset="utf-8">
+  <title>Titre de la balise</title>
+  <meta property="og:title" content="Le vrai titre &amp; co">
+  <meta name="description" content="  Une   description
+     sur deux lignes ">
+  <link rel="shortcut icon" href="/static/icone.png">
+</head><body>
+  <nav>Menu à ignorer</nav>
+  <p>Premier paragraphe</p>
+  <script>var secret = 1;</script>
+  <p>Caf&eacute; cr&egrave;me</p>
+</body></html>`;
+
+/**
+ * Faux fetch : une réponse par URL, et la liste des URLs demandées
+ */
+function fauxFetch(pages: Record<string, () => Response>) {
+    const appels: string[] = [];
+    const f = (entree: string | URL | Request) => {
+        const url = String(entree);
+        appels.push(url);
+        const page = pages[url];
+        return Promise.resolve(page ? page() : new Response('introuvable', { status: 404 }));
+    };
+    return { fetch: f as typeof fetch, appels };
+}
+
+/**
+ * Faux DNS : tout est public sauf les noms de la table
+ */
+function fauxDns(table: Record<string, string[]> = {}) {
+    return (hote: string) => Promise.resolve(table[hote] ?? ['93.184.216.34']);
+}
+
+const html = (corps: string) => () => new Response(corps, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+const redirection = (vers: string) => () => new Response(null, { status: 302, headers: { Location: vers } });
+
+Deno.test('extrait titre, description, favicon et texte', async () => {
+    const { fetch } = fauxFetch({ 'https://exemple.com/article': html(PAGE) });
+    const apercu = await recupererApercu('https://exemple.com/article', { fetch, resoudreDns: fauxDns() });
+
+    assertEquals(apercu.statut, 200);
+    assertEquals(apercu.erreur, null);
+    assertEquals(apercu.titre, 'Le vrai titre & co');
+    assertEquals(apercu.description, 'Une description sur deux lignes');
+    assertEquals(apercu.favicon, 'https://exemple.com/static/icone.png');
+    assertEquals(apercu.texte, 'Premier paragraphe\nCafé crème');
+});
+
+Deno.test('sans og:title ni icône : balise <title> et /favicon.ico', async () => {
+    const { fetch } = fauxFetch({ 'https://exemple.com/': html('<title> Accueil </title><p>Bonjour</p>') });
+    const apercu = await recupererApercu('https://exemple.com/', { fetch, resoudreDns: fauxDns() });
+
+    assertEquals(apercu.titre, 'Accueil');
+    assertEquals(apercu.description, null);
+    assertEquals(apercu.favicon, 'https://exemple.com/favicon.ico');
+});
+
+Deno.test('suit une redirection publique', async () => {
+    const { fetch, appels } = fauxFetch({
+        'https://exemple.com/court': redirection('/long'),
+        'https://exemple.com/long': html(PAGE)
+    });
+    const apercu = await recupererApercu('https://exemple.com/court', { fetch, resoudreDns: fauxDns() });
+
+    assertEquals(appels, ['https://exemple.com/court', 'https://exemple.com/long']);
+    assertEquals(apercu.url_finale, 'https://exemple.com/long');
+    assertEquals(apercu.titre, 'Le vrai titre & co');
+});
+
+Deno.test('refuse une redirection vers une IP locale, sans la charger', async () => {
+    for (const cible of ['http://127.0.0.1/admin', 'http://[::ffff:7f00:1]/', 'http://[::ffff:a9fe:a9fe]/latest/meta-data/']) {
+        const { fetch, appels } = fauxFetch({ 'https://exemple.com/piege': redirection(cible) });
+        const apercu = await recupererApercu('https://exemple.com/piege', { fetch, resoudreDns: fauxDns() });
+
+        assertEquals(apercu.statut, null);
+        assertEquals(apercu.erreur, 'Adresse locale refusée');
+        assertEquals(appels, ['https://exemple.com/piege']);
+    }
+});
+
+Deno.test('refuse une redirection vers un nom qui résout vers une IP privée', async () => {
+    const { fetch, appels } = fauxFetch({ 'https://exemple.com/piege': redirection('https://interne.exemple.com/') });
+    const apercu = await recupererApercu('https://exemple.com/piege', {
+        fetch,
+        resoudreDns: fauxDns({ 'interne.exemple.com': ['93.184.216.34', '10.0.0.5'] })
+    });
+
+    assertEquals(apercu.erreur, 'Adresse locale refusée');
+    assertEquals(appels, ['https://exemple.com/piege']);
+});
+
+Deno.test('refuse dès la première requête un nom qui résout vers le CGNAT', async () => {
+    const { fetch, appels } = fauxFetch({});
+    const apercu = await recupererApercu('https://cgnat.exemple.com/', {
+        fetch,
+        resoudreDns: fauxDns({ 'cgnat.exemple.com': ['100.64.1.1'] })
+    });
+
+    assertEquals(apercu.erreur, 'Adresse locale refusée');
+    assertEquals(appels, []);
+});
+
+Deno.test('lève une erreur pour une URL locale ou pas http(s)', async () => {
+    await assertRejects(() => recupererApercu('http://localhost:8000/'), Error, 'Adresse locale refusée');
+    await assertRejects(() => recupererApercu('http://100.100.100.200/'), Error, 'Adresse locale refusée');
+    await assertRejects(() => recupererApercu('ftp://exemple.com/'), Error, 'Seules les URLs http(s)');
+    await assertRejects(() => recupererApercu('pas une url'), Error, 'URL invalide');
+});
+
+Deno.test('classe les adresses IP', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '100.127.255.255', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:7f00:1', '::ffff:127.0.0.1',
+        '::ffff:a9fe:a9fe', '64:ff9b::a00:1', '2002:c0a8:101::1', 'pas-une-ip']) {
+        assert(estIpLocale(ip), `${ip} devrait être refusée`);
+    }
+    for (const ip of ['93.184.216.34', '100.128.0.1', '172.32.0.1', '2606:4700::6810:84e5', '::ffff:5db8:d822']) {
+        assert(!estIpLocale(ip), `${ip} devrait être acceptée`);
+    }
+    assert(estAdresseLocale(new URL('http://[::ffff:127.0.0.1]/')));
+    assert(estAdresseLocale(new URL('http://2130706433/')));   // 127.0.0.1 en décimal
+    assert(estAdresseLocale(new URL('http://localhost./')));
+    assert(!estAdresseLocale(new URL('https://exemple.com/')));
+});
+
+Deno.test('404 : lien mort tout de suite', async () => {
+    const { fetch } = fauxFetch({});
+    const apercu = await recupererApercu('https://exemple.com/disparu', { fetch, resoudreDns: fauxDns() });
+    assertEquals(apercu.statut, 404);
+    assertEquals(apercu.erreur, 'HTTP 404');
+
+    const etat = etatLien(apercu, null);
+    assertEquals(etat.mort, true);
+    assertEquals(etat.echecs, 1);
+});
+
+Deno.test('échecs réseau : mort au deuxième de suite, remis à zéro au succès', async () => {
+    const enPanne = fauxFetch({ 'https://exemple.com/': () => { throw new TypeError('connection refused'); } });
+    const apercu = await recupererApercu('https://exemple.com/', { fetch: enPanne.fetch, resoudreDns: fauxDns() });
+    assertEquals(apercu.statut, null);
+
+    const premier = etatLien(apercu, { favicon: 'https://exemple.com/favicon.ico' });
+    assertEquals(premier.echecs, 1);
+    assertEquals(premier.mort, false);
+    assertEquals(premier.favicon, 'https://exemple.com/favicon.ico');
+
+    const deuxieme = etatLien(apercu, premier);
+    assertEquals(deuxieme.echecs, 2);
+    assertEquals(deuxieme.mort, true);
+
+    const enLigne = fauxFetch({ 'https://exemple.com/': html(PAGE) });
+    const retour = etatLien(await recupererApercu('https://exemple.com/', { fetch: enLigne.fetch, resoudreDns: fauxDns() }), deuxieme);
+    assertEquals(retour.echecs, 0);
+    assertEquals(retour.mort, false);
+});
+
+Deno.test('une erreur 500 compte comme un échec, pas comme un lien mort', () => {
+    const apercu = { url_finale: 'https://exemple.com/', statut: 500, titre: null, description: null, favicon: null, texte: '', erreur: 'HTTP 500' };
+    const etat = etatLien(apercu, { echecs: 0 });
+    assertEquals(etat.echecs, 1);
+    assertEquals(etat.mort, false);
+});
+
+Deno.test('nom introuvable : un échec, pas une exception', async () => {
+    const { fetch, appels } = fauxFetch({});
+    const apercu = await recupererApercu('https://nexiste.pas/', { fetch, resoudreDns: () => Promise.resolve([]) });
+    assertEquals(apercu.erreur, 'Nom de domaine introuvable');
+    assertEquals(appels, []);
+});
@@ -0,0 +1,439 @@
+// ============================================
+// apercu.ts - Analyse d'une page web (documents "lien")
+// ESIEA 2024 - Mohammed Abia
+//
+// Titre, description, favicon et texte lisible d'une
+// URL, + est-ce que le lien est mort ?
+// Rien ici ne dépend de Supabase : fetch est passé en
+// option, on peut donc tester contre un petit serveur
+// HTTP local (voir autoriserLocal) ou un faux fetch.
+// ============================================
+
+// Au-delà, on coupe : une page n'a pas besoin de plus pour la recherche
+const TAILLE_MAX_PAGE = 2 * 1024 * 1024;   // 2 Mo lus au maximum
+const TAILLE_MAX_TEXTE = 20000;            // caractères gardés dans texte_lien
+const DELAI_MAX_MS = 8000;
+const REDIRECTIONS_MAX = 5;
+
+// Un lien est déclaré mort tout de suite sur ces codes...
+const STATUTS_MORTS = [404, 410];
+// ... et après ce nombre d'échecs de suite pour le reste (réseau, 5xx) :
+// un site en panne une nuit n'est pas un lien mort
+const ECHECS_AVANT_MORT = 2;
+
+export interface Apercu {
+    url_finale: string;
+    statut: number | null;       // code HTTP, null si pas de réponse
+    titre: string | null;
+    description: string | null;
+    favicon: string | null;
+    texte: string;
+    erreur: string | null;
+}
+
+export interface OptionsApercu {
+    fetch?: typeof fetch;
+    // Adresses IP d'un nom de domaine (A + AAAA). Par défaut Deno.resolveDns,
+    // un test passe une fausse table pour ne pas dépendre du réseau
+    resoudreDns?: (hote: string) => Promise<string[]>;
+    // Accepter localhost / réseau privé : seulement pour tester en local,
+    // sinon n'importe qui pourrait sonder le réseau interne du serveur
+    autoriserLocal?: boolean;
+    delaiMs?: number;
+}
+
+/**
+ * Les 4 octets d'une IPv4 écrite en décimal pointé, null sinon
+ */
+function octetsIpv4(ip: string): number[] | null {
+    const parties = ip.split('.');
+    if (parties.length !== 4 || !parties.every(p => /^\d{1,3}$/.test(p))) return null;
+    const octets = parties.map(Number);
+    return octets.every(o => o <= 255) ? octets : null;
+}
+
+/**
+ * Les 8 groupes de 16 bits d'une IPv6 (avec :: et IPv4 finale), null sinon
+ */
+function groupesIpv6(ip: string): number[] | null {
+    let texte = ip.toLowerCase().replace(/%.*$/, '');
+    // ::ffff:127.0.0.1 → ::ffff:7f00:1
+    const ipv4Finale = texte.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Finale) {
+        const o = octetsIpv4(ipv4Finale[1]);
+        if (!o) return null;
+        texte = texte.slice(0, -ipv4Finale[1].length) + ((o[0] << 8) | o[1]).toString(16) + ':' + ((o[2] << 8) | o[3]).toString(16);
+    }
+
+    const moities = texte.split('::');
+    if (moities.length > 2) return null;
+    const lire = (partie: string) => partie ? partie.split(':') : [];
+    const debut = lire(moities[0]);
+    const fin = moities.length === 2 ? lire(moities[1]) : [];
+    const manquants = 8 - debut.length - fin.length;
+    if (moities.length === 2 ? manquants < 1 : manquants !== 0) return null;
+
+    const groupes = [...debut, ...Array(moities.length === 2 ? manquants : 0).fill('0'), ...fin];
+    if (!groupes.every(g => /^[0-9a-f]{1,4}$/.test(g))) return null;
+    return groupes.map(g => parseInt(g, 16));
+}
+
+/**
+ * IPv4 non routable sur Internet : privée, loopback, link-local (métadonnées
+ * du cloud en 169.254.169.254), CGNAT, multicast, réservée...
+ */
+function estIpv4Locale([a, b, c]: number[]): boolean {
+    return a === 0 || a === 10 || a === 127
+        || (a === 100 && b >= 64 && b <= 127)     // CGNAT 100.64.0.0/10
+        || (a === 169 && b === 254)
+        || (a === 172 && b >= 16 && b <= 31)
+        || (a === 192 && b === 168)
+        || (a === 192 && b === 0 && (c === 0 || c === 2))   // IETF et documentation
+        || (a === 198 && (b === 18 || b === 19))  // tests de performance
+        || a >= 224;                              // multicast + réservé
+}
+
+/**
+ * Adresse IP (v4 ou v6) à refuser
+ * Les IPv6 qui transportent une IPv4 (::ffff:7f00:1, 64:ff9b::..., 2002:...)
+ * sont jugées sur l'IPv4 qu'elles contiennent.
+ * Une chaîne qui n'est pas une IP est refusée aussi : dans le doute, non.
+ * @param {string} ip
+ * @returns {boolean}
+ */
+export function estIpLocale(ip: string): boolean {
+    const octets = octetsIpv4(ip);
+    if (octets) return estIpv4Locale(octets);
+
+    const g = groupesIpv6(ip);
+    if (!g) return true;
+    const ipv4 = (haut: number, bas: number) => [haut >> 8, haut & 0xff, bas >> 8, bas & 0xff];
+
+    // ::/96 (::, ::1, ::a.b.c.d) et ::ffff:0:0/96 (IPv4 mappée)
+    if (g.slice(0, 5).every(x => x === 0) && (g[5] === 0 || g[5] === 0xffff)) {
+        return (g[5] === 0 && g[6] === 0) || estIpv4Locale(ipv4(g[6], g[7]));
+    }
+    // NAT64 64:ff9b::/96
+    if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) {
+        return estIpv4Locale(ipv4(g[6], g[7]));
+    }
+    // 6to4 2002::/16 : l'IPv4 est juste après le préfixe
+    if (g[0] === 0x2002) return estIpv4Locale(ipv4(g[1], g[2]));
+
+    return (g[0] & 0xfe00) === 0xfc00     // fc00::/7 (ULA)
+        || (g[0] & 0xffc0) === 0xfe80     // fe80::/10 (link-local)
+        || (g[0] & 0xff00) === 0xff00;    // ff00::/8 (multicast)
+}
+
+/**
+ * Refuser les adresses internes (SSRF) d'après l'URL seule :
+ * noms locaux (localhost, .local, .internal) et IP écrites en dur
+ * Un nom public peut encore pointer vers une IP privée : voir verifierDestination.
+ * @param {URL} url
+ * @returns {boolean}
+ */
+export function estAdresseLocale(url: URL): boolean {
+    const hote = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (octetsIpv4(hote) || hote.includes(':')) return estIpLocale(hote);
+    return hote === 'localhost'
+        || hote.endsWith('.localhost')
+        || hote.endsWith('.local')
+        || hote.endsWith('.internal');
+}
+
+/**
+ * Vérifier une URL avant de la charger
+ * @param {string} valeur
+ * @param {boolean} autoriserLocal
+ * @returns {URL}
+ * @throws {Error} URL invalide ou interdite
+ */
+export function verifierUrl(valeur: string, autoriserLocal = false): URL {
+    let url: URL;
+    try {
+        url = new URL(valeur.trim());
+    } catch {
+        throw new Error('URL invalide');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('Seules les URLs http(s) sont acceptées');
+    }
+    if (!autoriserLocal && estAdresseLocale(url)) {
+        throw new Error('Adresse locale refusée');
+    }
+    return url;
+}
+
+/**
+ * A + AAAA avec Deno.resolveDns (un nom sans IPv6 n'est pas une erreur)
+ */
+async function resoudreDnsDeno(hote: string): Promise<string[]> {
+    const [ipv4, ipv6] = await Promise.all([
+        Deno.resolveDns(hote, 'A').catch(() => [] as string[]),
+        Deno.resolveDns(hote, 'AAAA').catch(() => [] as string[])
+    ]);
+    return [...ipv4, ...ipv6];
+}
+
+/**
+ * Résoudre le nom de l'URL et refuser si UNE des IP est interne
+ * (sinon interne.exemple.com → 10.0.0.1 passerait). Appelée avant
+ * chaque requête, redirections comprises.
+ * Limite connue : fetch refait sa propre résolution juste après, un DNS
+ * qui change de réponse entre les deux (rebinding) n'est pas couvert.
+ * @param {URL} url - déjà passée par verifierUrl
+ * @throws {Error} nom introuvable ou adresse locale
+ */
+async function verifierDestination(url: URL, options: Required<OptionsApercu>): Promise<void> {
+    if (options.autoriserLocal) return;
+    const hote = url.hostname.replace(/^\[|\]$/g, '');
+    if (octetsIpv4(hote) || hote.includes(':')) return;   // IP en dur : déjà vue par estAdresseLocale
+
+    const adresses = await options.resoudreDns(hote);
+    if (adresses.length === 0) throw new Error('Nom de domaine introuvable');
+    if (adresses.some(estIpLocale)) throw new Error('Adresse locale refusée');
+}
+
+/**
+ * Charger une URL en suivant les redirections à la main
+ * (chaque étape repasse par verifierUrl et verifierDestination :
+ * une redirection vers localhost ou vers un nom qui y mène est refusée)
+ */
+async function charger(url: URL, options: Required<OptionsApercu>): Promise<{ reponse: Response; url: URL }> {
+    let courante = url;
+    for (let i = 0; i <= REDIRECTIONS_MAX; i++) {
+        await verifierDestination(courante, options);
+        const reponse = await options.fetch(courante.href, {
+            redirect: 'manual',
+            signal: AbortSignal.timeout(options.delaiMs),
+            headers: {
+                'User-Agent': 'DocManager/1.0 (apercu de lien)',
+                'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+            }
+        });
+
+        const destination = reponse.headers.get('location');
+        if (reponse.status >= 300 && reponse.status < 400 && destination) {
+            await reponse.body?.cancel();
+            courante = verifierUrl(new URL(destination, courante).href, options.autoriserLocal);
+            continue;
+        }
+        return { reponse, url: courante };
+    }
+    throw new Error('Trop de redirections');
+}
+
+/**
+ * Lire le corps sans dépasser TAILLE_MAX_PAGE
+ * @returns {Promise<Uint8Array>}
+ */
+async function lireCorps(reponse: Response): Promise<Uint8Array> {
+    if (!reponse.body) return new Uint8Array();
+    const lecteur = reponse.body.getReader();
+    const morceaux: Uint8Array[] = [];
+    let taille = 0;
+
+    while (taille < TAILLE_MAX_PAGE) {
+        const { done, value } = await lecteur.read();
+        if (done) break;
+        morceaux.push(value);
+        taille += value.length;
+    }
+    await lecteur.cancel();
+
+    const corps = new Uint8Array(Math.min(taille, TAILLE_MAX_PAGE));
+    let position = 0;
+    for (const morceau of morceaux) {
+        const reste = corps.length - position;
+        if (reste <= 0) break;
+        corps.set(morceau.subarray(0, reste), position);
+        position += Math.min(morceau.length, reste);
+    }
+    return corps;
+}
+
+/**
+ * Décoder le HTML avec le bon jeu de caractères
+ * (en-tête Content-Type, sinon <meta charset>, sinon UTF-8)
+ */
+function decoder(corps: Uint8Array, typeContenu: string): string {
+    const debut = new TextDecoder('latin1').decode(corps.subarray(0, 2048));
+    const charset = (typeContenu.match(/charset=["']?([\w-]+)/i)
+        || debut.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(corps);
+    } catch {
+        return new TextDecoder('utf-8').decode(corps);
+    }
+}
+
+const ENTITES: Record<string, string> = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    eacute: 'é', egrave: 'è', ecirc: 'ê', agrave: 'à', acirc: 'â',
+    ccedil: 'ç', ocirc: 'ô', ucirc: 'û', ugrave: 'ù', icirc: 'î', euml: 'ë', iuml: 'ï',
+    laquo: '«', raquo: '»', rsquo: '’', lsquo: '‘', hellip: '…', mdash: '—', ndash: '–'
+};
+
+/**
+ * Remplacer les entités HTML (&eacute;, &#233;, &#xE9;)
+ */
+export function decoderEntites(texte: string): string {
+    return texte.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entite, code: string) => {
+        if (code[0] === '#') {
+            const nombre = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(nombre) && nombre > 0 && nombre < 0x110000 ? String.fromCodePoint(nombre) : entite;
+        }
+        return ENTITES[code.toLowerCase()] ?? entite;
+    });
+}
+
+function nettoyer(texte: string | null | undefined): string | null {
+    if (!texte) return null;
+    const propre = decoderEntites(texte).replace(/\s+/g, ' ').trim();
+    return propre || null;
+}
+
+/**
+ * Valeur d'un attribut dans une balise (guillemets doubles, simples ou sans)
+ */
+function attribut(balise: string, nom: string): string | null {
+    const trouve = balise.match(new RegExp(`\\s${nom}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return trouve ? (trouve[1] ?? trouve[2] ?? trouve[3]) : null;
+}
+
+/**
+ * <meta property="og:title" content="..."> ou <meta name="description" ...>
+ */
+function meta(html: string, noms: string[]): string | null {
+    for (const balise of html.match(/<meta\b[^>]*>/gi) || []) {
+        const nom = (attribut(balise, 'property') || attribut(balise, 'name') || '').toLowerCase();
+        if (noms.includes(nom)) {
+            const contenu = nettoyer(attribut(balise, 'content'));
+            if (contenu) return contenu;
+        }
+    }
+    return null;
+}
+
+/**
+ * Favicon déclarée dans la page, sinon /favicon.ico du site
+ */
+function trouverFavicon(html: string, base: URL): string {
+    for (const balise of html.match(/<link\b[^>]*>/gi) || []) {
+        const rel = (attribut(balise, 'rel') || '').toLowerCase().split(/\s+/);
+        const href = attribut(balise, 'href');
+        if (href && (rel.includes('icon') || rel.includes('apple-touch-icon'))) {
+            try {
+                const url = new URL(decoderEntites(href), base);
+                if (url.protocol === 'https:' || url.protocol === 'http:') return url.href;
+            } catch {
+                // href cassé : on essaie le suivant
+            }
+        }
+    }
+    return new URL('/favicon.ico', base).href;
+}
+
+/**
+ * Texte lisible : sans scripts, styles, menus ni balises
+ * Pas de vrai parseur HTML dans le runtime, mais pour la recherche
+ * full-text un texte approximatif suffit largement.
+ */
+export function extraireTexte(html: string): string {
+    const corps = (html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1];
+    const texte = corps
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|svg|template|nav|header|footer|form|iframe)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/?(p|div|br|li|h[1-6]|tr|section|article|blockquote)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ');
+
+    return decoderEntites(texte)
+        .split('\n')
+        .map(ligne => ligne.replace(/\s+/g, ' ').trim())
+        .filter(ligne => ligne.length > 0)
+        .join('\n')
+        .slice(0, TAILLE_MAX_TEXTE);
+}
+
+/**
+ * Titre, description, favicon et texte d'une page HTML
+ * @param {string} html
+ * @param {URL} base - URL finale (pour les liens relatifs)
+ */
+export function analyserHtml(html: string, base: URL) {
+    const titreBalise = (html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+    return {
+        titre: meta(html, ['og:title', 'twitter:title']) || nettoyer(titreBalise),
+        description: meta(html, ['og:description', 'description', 'twitter:description']),
+        favicon: trouverFavicon(html, base),
+        texte: extraireTexte(html)
+    };
+}
+
+/**
+ * Tout ce qu'on peut savoir d'une URL
+ * Ne lève pas d'erreur pour un site injoignable : c'est un résultat
+ * (statut null + erreur), pas un bug. Lève seulement pour une URL refusée
+ * d'après son texte ; un nom qui mène à une IP interne donne un résultat
+ * avec l'erreur « Adresse locale refusée ».
+ *
+ * @param {string} valeur - URL du document (contenu)
+ * @param {OptionsApercu} [options]
+ * @returns {Promise<Apercu>}
+ */
+export async function recupererApercu(valeur: string, options: OptionsApercu = {}): Promise<Apercu> {
+    const opts: Required<OptionsApercu> = {
+        fetch: options.fetch ?? fetch,
+        resoudreDns: options.resoudreDns ?? resoudreDnsDeno,
+        autoriserLocal: options.autoriserLocal ?? false,
+        delaiMs: options.delaiMs ?? DELAI_MAX_MS
+    };
+    const url = verifierUrl(valeur, opts.autoriserLocal);
+    const vide: Apercu = { url_finale: url.href, statut: null, titre: null, description: null, favicon: null, texte: '', erreur: null };
+
+    let resultat: { reponse: Response; url: URL };
+    try {
+        resultat = await charger(url, opts);
+    } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        return { ...vide, erreur: message.includes('timed out') || message.includes('timeout') ? 'Délai dépassé' : message };
+    }
+
+    const { reponse, url: urlFinale } = resultat;
+    const apercu: Apercu = { ...vide, url_finale: urlFinale.href, statut: reponse.status };
+
+    if (!reponse.ok) {
+        await reponse.body?.cancel();
+        return { ...apercu, erreur: `HTTP ${reponse.status}` };
+    }
+
+    const typeContenu = reponse.headers.get('content-type') || '';
+    if (!/html|xml/i.test(typeContenu)) {
+        // PDF, image... : pas de texte, le nom du fichier fait un titre correct
+        await reponse.body?.cancel();
+        const nomFichier = decodeURIComponent(urlFinale.pathname.split('/').pop() || '');
+        return { ...apercu, titre: nomFichier || urlFinale.hostname, favicon: new URL('/favicon.ico', urlFinale).href };
+    }
+
+    const html = decoder(await lireCorps(reponse), typeContenu);
+    return { ...apercu, ...analyserHtml(html, urlFinale) };
+}
+
+/**
+ * Nouvel état du lien (colonne etat_lien) après une vérification
+ * @param {Apercu} apercu
+ * @param {object|null} ancien - etat_lien avant la vérification
+ * @returns {object}
+ */
+export function etatLien(apercu: Apercu, ancien: { echecs?: number; favicon?: string | null } | null) {
+    const echec = apercu.statut === null || apercu.statut >= 400;
+    const echecs = echec ? (ancien?.echecs ?? 0) + 1 : 0;
+    return {
+        favicon: apercu.favicon ?? ancien?.favicon ?? null,
+        statut: apercu.statut,
+        mort: (apercu.statut !== null && STATUTS_MORTS.includes(apercu.statut)) || echecs >= ECHECS_AVANT_MORT,
+        echecs,
+        erreur: apercu.erreur,
+        date_verification: new Date().toISOString()
+    };
+}
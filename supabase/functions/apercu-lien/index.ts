@@ -0,0 +1,194 @@
+// ============================================
+// apercu-lien - Edge function Supabase (Deno)
+// ESIEA 2024 - Mohammed Abia
+//
+// Le navigateur ne peut pas lire une autre page web
+// (CORS), d'où cette petite fonction côté serveur.
+// Trois usages (POST, JSON) :
+//   { url }          → aperçu sans rien enregistrer
+//                      (pré-remplir le titre dans le modal)
+//   { document_id }  → analyser le lien et enregistrer
+//                      texte_lien, etat_lien (+ description si vide)
+//   { verifier: true } → revérifier les liens pas vus depuis
+//                      JOURS_ENTRE_VERIFICATIONS jours (liens morts)
+//
+// Le client Supabase utilise le JWT de l'appelant :
+// le RLS s'applique comme dans l'app. Appelée avec la
+// clé service_role (cron, voir schema.sql), la
+// vérification couvre les liens de tout le monde.
+// Sans user connecté (ni service_role) : 401, même pour
+// { url }, sinon la fonction serait un proxy ouvert.
+//
+// Tester en local contre un faux site :
+//   APERCU_AUTORISER_LOCAL=1 supabase functions serve apercu-lien
+//   python3 -m http.server 8000   (dans un dossier avec des pages HTML)
+//   puis { "url": "http://host.docker.internal:8000/page.html" }
+// ============================================
+
+import { createClient, SupabaseClient, type User } from 'jsr:@supabase/supabase-js@2';
+import { Apercu, etatLien, recupererApercu } from './apercu.ts';
+
+const JOURS_ENTRE_VERIFICATIONS = 7;
+const LIENS_PAR_VERIFICATION = 20;    // par appel, pour rester sous la limite de temps des edge functions
+const VERIFICATIONS_EN_PARALLELE = 4;
+
+// Jamais en production : voir estAdresseLocale dans apercu.ts
+const AUTORISER_LOCAL = Deno.env.get('APERCU_AUTORISER_LOCAL') === '1';
+
+// L'app est sur GitHub Pages : autre origine que supabase.co
+const ENTETES_CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+interface DocumentLien {
+    id: string;
+    type_doc: string;
+    contenu: string | null;
+    description: string | null;
+    etat_lien: { echecs?: number; favicon?: string | null } | null;
+}
+
+function repondre(corps: unknown, statut = 200): Response {
+    return new Response(JSON.stringify(corps), {
+        status: statut,
+        headers: { ...ENTETES_CORS, 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Analyser l'URL d'un document, même invalide (l'erreur va dans etat_lien)
+ */
+async function apercuDocument(doc: DocumentLien): Promise<Apercu> {
+    try {
+        return await recupererApercu(doc.contenu || '', { autoriserLocal: AUTORISER_LOCAL });
+    } catch (err) {
+        return {
+            url_finale: doc.contenu || '', statut: null, titre: null, description: null,
+            favicon: null, texte: '', erreur: (err as Error).message
+        };
+    }
+}
+
+/**
+ * Analyser un lien et enregistrer le résultat sur le document
+ * @returns {Promise<object>} { apercu, etat_lien }
+ */
+async function analyserEtEnregistrer(supabase: SupabaseClient, doc: DocumentLien) {
+    const apercu = await apercuDocument(doc);
+    const changements: Record<string, unknown> = { etat_lien: etatLien(apercu, doc.etat_lien) };
+
+    // Page lue : on remplace le texte. Page injoignable : on garde l'ancien
+    // (un site en panne ne doit pas faire disparaître le lien des recherches)
+    if (apercu.statut !== null && apercu.statut < 400) {
+        changements.texte_lien = apercu.texte || null;
+        if (!doc.description && apercu.description) changements.description = apercu.description;
+    }
+
+    const { error } = await supabase.from('documents').update(changements).eq('id', doc.id);
+    if (error) {
+        console.error('Erreur enregistrement aperçu :', error.message);
+        throw new Error('Impossible d\'enregistrer l\'aperçu du lien');
+    }
+
+    return { apercu, etat_lien: changements.etat_lien };
+}
+
+/**
+ * { document_id } : appelé par l'app juste après l'enregistrement d'un lien
+ */
+async function analyserDocument(supabase: SupabaseClient, documentId: string) {
+    const { data: doc, error } = await supabase
+        .from('documents')
+        .select('id, type_doc, contenu, description, etat_lien')
+        .eq('id', documentId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Erreur lecture document :', error.message);
+        throw new Error('Impossible de lire le document');
+    }
+    if (!doc) throw new Error('Document introuvable');
+    if (doc.type_doc !== 'lien') throw new Error('Ce document n\'est pas un lien');
+
+    return await analyserEtEnregistrer(supabase, doc);
+}
+
+/**
+ * { verifier: true } : revérifier les liens les plus anciens
+ * Les liens jamais analysés passent en premier.
+ */
+async function verifierLiens(supabase: SupabaseClient, user: User | null) {
+    const limite = new Date(Date.now() - JOURS_ENTRE_VERIFICATIONS * 24 * 3600 * 1000).toISOString();
+
+    let requete = supabase
+        .from('documents')
+        .select('id, type_doc, contenu, description, etat_lien')
+        .eq('type_doc', 'lien')
+        .is('date_suppression', null)
+        .or(`etat_lien.is.null,etat_lien->>date_verification.lt.${limite}`);
+
+    // Appelée par un user : seulement ses liens (ceux partagés avec lui en
+    // lecture ne peuvent pas être mis à jour et reviendraient à chaque fois).
+    // Avec la clé service_role il n'y a pas d'user : tous les liens.
+    if (user) requete = requete.eq('user_id', user.id);
+
+    const { data, error } = await requete
+        .order('etat_lien->>date_verification', { ascending: true, nullsFirst: true })
+        .limit(LIENS_PAR_VERIFICATION);
+    if (error) {
+        console.error('Erreur lecture liens :', error.message);
+        throw new Error('Impossible de lire les liens à vérifier');
+    }
+
+    // Quelques pages à la fois : assez rapide sans surcharger un même site
+    const liens: DocumentLien[] = data || [];
+    let morts = 0;
+    for (let i = 0; i < liens.length; i += VERIFICATIONS_EN_PARALLELE) {
+        const resultats = await Promise.all(liens.slice(i, i + VERIFICATIONS_EN_PARALLELE)
+            .map(doc => analyserEtEnregistrer(supabase, doc).catch(() => null)));
+        morts += resultats.filter(r => r && (r.etat_lien as { mort: boolean }).mort).length;
+    }
+
+    return { verifies: liens.length, morts };
+}
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') return new Response('ok', { headers: ENTETES_CORS });
+    if (req.method !== 'POST') return repondre({ erreur: 'POST attendu' }, 405);
+
+    const autorisation = req.headers.get('Authorization') ?? '';
+    const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+        global: { headers: { Authorization: autorisation } },
+        auth: { persistSession: false }
+    });
+
+    // Le cron appelle avec la clé service_role, qui n'est pas un user
+    const jwt = autorisation.replace(/^Bearer /i, '');
+    const serviceRole = jwt !== '' && jwt === Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+    const user = serviceRole || !jwt ? null : (await supabase.auth.getUser(jwt)).data.user;
+    if (!user && !serviceRole) return repondre({ erreur: 'Connexion requise' }, 401);
+
+    let corps: { url?: string; document_id?: string; verifier?: boolean };
+    try {
+        corps = await req.json();
+    } catch {
+        return repondre({ erreur: 'JSON invalide' }, 400);
+    }
+
+    try {
+        if (corps.url) {
+            return repondre(await recupererApercu(corps.url, { autoriserLocal: AUTORISER_LOCAL }));
+        }
+        if (corps.document_id) {
+            return repondre(await analyserDocument(supabase, corps.document_id));
+        }
+        if (corps.verifier) {
+            return repondre(await verifierLiens(supabase, user));
+        }
+        return repondre({ erreur: 'url, document_id ou verifier attendu' }, 400);
+    } catch (err) {
+        return repondre({ erreur: (err as Error).message }, 400);
+    }
+});
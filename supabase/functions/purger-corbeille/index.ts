@@ -0,0 +1,94 @@
+// ============================================
+// purger-corbeille - Edge function Supabase (Deno)
+// ESIEA 2024 - Mohammed Abia
+//
+// Vide la corbeille de TOUS les comptes : documents
+// supprimés depuis plus de RETENTION_CORBEILLE_JOURS,
+// fichiers du Storage compris.
+// purgerCorbeille (documents.js) le fait déjà, mais
+// seulement quand l'user ouvre l'app : un compte
+// abandonné gardait sa corbeille (et ses fichiers)
+// pour toujours. Lancée chaque nuit par pg_cron (voir
+// PURGE DE LA CORBEILLE dans schema.sql).
+//
+// Seule la clé service_role est acceptée : la fonction
+// lit et supprime les documents de tout le monde.
+// ============================================
+
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+
+// Même valeur que RETENTION_CORBEILLE_JOURS dans js/documents.js :
+// l'app annonce ce délai à l'user quand il supprime un document
+const RETENTION_CORBEILLE_JOURS = 30;
+const DOCUMENTS_PAR_LOT = 100;
+const LOTS_MAX = 20;    // 2000 documents par appel, pour rester sous la limite de temps
+
+function repondre(corps: unknown, statut = 200): Response {
+    return new Response(JSON.stringify(corps), {
+        status: statut,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+Deno.serve(async (req) => {
+    if (req.method !== 'POST') return repondre({ erreur: 'POST attendu' }, 405);
+
+    const cleServiceRole = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const jwt = (req.headers.get('Authorization') ?? '').replace(/^Bearer /i, '');
+    if (jwt !== cleServiceRole) return repondre({ erreur: 'Clé service_role attendue' }, 401);
+
+    const supabase = createClient(Deno.env.get('SUPABASE_URL')!, cleServiceRole, {
+        auth: { persistSession: false }
+    });
+    const limite = new Date(Date.now() - RETENTION_CORBEILLE_JOURS * 24 * 3600 * 1000).toISOString();
+
+    let documents = 0;
+    let fichiers = 0;
+    for (let lot = 0; lot < LOTS_MAX; lot++) {
+        const { data, error } = await supabase
+            .from('documents')
+            .select('id, user_id, fichier_path')
+            .lt('date_suppression', limite)
+            .limit(DOCUMENTS_PAR_LOT);
+        if (error) {
+            console.error('Erreur lecture corbeille :', error.message);
+            return repondre({ erreur: 'Impossible de lire la corbeille' }, 500);
+        }
+        if (!data || data.length === 0) break;
+
+        // Les fichiers d'abord : si ça échoue, les documents restent dans la
+        // corbeille et seront repris au prochain passage (alors que dans
+        // l'autre sens, des fichiers resteraient sans plus aucun document)
+        // Seulement les fichiers rangés dans le dossier du propriétaire : avec la
+        // clé service_role, un fichier_path forgé effacerait le fichier d'un autre
+        // (la contrainte documents_fichier_du_proprietaire l'empêche déjà, on
+        // ne supprime pas à l'aveugle pour autant)
+        const chemins = data
+            .filter(doc => doc.fichier_path
+                && doc.fichier_path.startsWith(`${doc.user_id}/`)
+                && !/(^|\/)\.\.?(\/|$)/.test(doc.fichier_path))
+            .map(doc => doc.fichier_path as string);
+        if (chemins.length > 0) {
+            const { error: erreurStorage } = await supabase.storage.from('documents').remove(chemins);
+            if (erreurStorage) {
+                console.error('Erreur suppression fichiers :', erreurStorage.message);
+                return repondre({ erreur: 'Impossible de supprimer les fichiers', documents, fichiers }, 500);
+            }
+        }
+
+        const { error: erreurSuppression } = await supabase
+            .from('documents')
+            .delete()
+            .in('id', data.map(doc => doc.id));
+        if (erreurSuppression) {
+            console.error('Erreur suppression documents :', erreurSuppression.message);
+            return repondre({ erreur: 'Impossible de supprimer les documents', documents, fichiers }, 500);
+        }
+
+        documents += data.length;
+        fichiers += chemins.length;
+        if (data.length < DOCUMENTS_PAR_LOT) break;
+    }
+
+    return repondre({ documents, fichiers });
+});
@@ -0,0 +1,119 @@
+// ============================================
+// sw.js - Service worker (mode hors ligne)
+// ESIEA 2024 - Mohammed Abia
+//
+// Met en cache la "coquille" de l'app (HTML, CSS,
+// JS, libs du CDN) pour qu'elle s'ouvre sans réseau.
+// Les DONNÉES ne passent pas par ici : les appels
+// Supabase ne sont jamais interceptés, c'est
+// hors-ligne.js qui s'en occupe (miroir IndexedDB).
+//
+// À changer à chaque mise en ligne qui modifie
+// la liste des fichiers, pour vider l'ancien cache.
+// ============================================
+
+const NOM_CACHE = 'doc-manager-v7';
+
+// Chemins relatifs : l'app est servie dans un sous-dossier sur GitHub Pages
+const COQUILLE = [
+    './',
+    'index.html',
+    'login.html',
+    'style.css',
+    'js/auth.js',
+    'js/storage.js',
+    'js/extraction.js',
+    'js/documents.js',
+    'js/dossiers.js',
+    'js/search.js',
+    'js/suggestions.js',
+    'js/partages.js',
+    'js/historique.js',
+    'js/hors-ligne.js',
+    'js/detail.js',
+    'js/liens.js',
+    'js/selection.js',
+    'js/transfert.js',
+    'js/doublons.js',
+    'js/tags.js',
+    'js/navigation.js',
+    'js/recherches.js',
+    'js/compte.js',
+    'js/app.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(NOM_CACHE)
+            .then(cache => cache.addAll(COQUILLE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Supprimer les caches des versions précédentes
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(noms => Promise.all(noms
+                .filter(nom => nom !== NOM_CACHE)
+                .map(nom => caches.delete(nom))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+
+    // API Supabase (données, auth, storage) et tout ce qui n'est pas GET : réseau direct
+    if (event.request.method !== 'GET' || url.hostname.endsWith('.supabase.co')) return;
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(reseauPuisCache(event.request));
+    } else if (url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(cachePuisReseau(event.request));
+    }
+});
+
+/**
+ * Fichiers de l'app : le réseau d'abord pour avoir toujours la dernière
+ * version en ligne, le cache seulement si le réseau ne répond pas
+ * @param {Request} requete
+ * @returns {Promise<Response>}
+ */
+async function reseauPuisCache(requete) {
+    const cache = await caches.open(NOM_CACHE);
+    try {
+        const reponse = await fetch(requete);
+        if (reponse.ok) cache.put(requete, reponse.clone());
+        return reponse;
+    } catch (err) {
+        // ignoreSearch : index.html?doc=... doit trouver index.html
+        const enCache = await cache.match(requete, { ignoreSearch: true });
+        if (enCache) return enCache;
+        throw err;
+    }
+}
+
+/**
+ * Libs du CDN : les URLs sont versionnées (pdf.js, marked...),
+ * donc le cache d'abord. Mise à jour en arrière-plan pour supabase-js@2.
+ * @param {Request} requete
+ * @returns {Promise<Response>}
+ */
+async function cachePuisReseau(requete) {
+    const cache = await caches.open(NOM_CACHE);
+    const enCache = await cache.match(requete);
+
+    const depuisReseau = fetch(requete).then(reponse => {
+        // status 0 = réponse "opaque" (balise <script> sans CORS), on la garde aussi
+        if (reponse.ok || reponse.status === 0) cache.put(requete, reponse.clone());
+        return reponse;
+    });
+
+    if (enCache) {
+        depuisReseau.catch(() => {});  // hors ligne : le cache suffit
+        return enCache;
+    }
+    return depuisReseau;
+}